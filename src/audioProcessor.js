@@ -0,0 +1,320 @@
+// audioProcessor.js
+
+// Post-processing of a finished recording's 16-bit PCM. The stages always run in this order, each one
+// optional:
+//
+//   dc        DC offset removal - a 10 Hz first-order high-pass
+//   gate      noise gate - mutes a channel while its level stays under the threshold (with a short hold,
+//             so word endings aren't clipped)
+//   agc       automatic gain control - rides the gain towards a target speech level, up to maxGainDb of
+//             boost; the gain is held while the level is below the noise floor, so silence isn't pumped up
+//   lufs      loudness normalisation to a target integrated loudness (ITU-R BS.1770 K-weighting, 400 ms
+//             blocks, absolute and relative gating), with the gain capped so peaks stay under peakDb
+//   peak      peak normalisation - the loudest sample is brought to peakDb
+//
+// Channels are processed independently (stereo recordings have one call direction on each side).
+// Normalisation needs the whole recording, so the audio is read twice: once through the other stages to
+// measure the result, and again to write it with the normalisation gain applied. The audio comes from a
+// source ({ header, read() }) - a WAV file, or an encrypted capture decrypted as it is read.
+//
+// Stages are configured as a '+'-separated list of name[:param[:param]], e.g. 'dc+gate:-55+lufs:-16:-1'.
+
+const { once } = require('events');
+const { openWavSource, WAVE_FORMAT_PCM } = require('./wavFile');
+
+const STAGE_ORDER = ['dc', 'gate', 'agc', 'lufs', 'peak'];
+
+// Parameters of each stage and their defaults
+const STAGE_PARAMS = {
+  dc: [],
+  gate: [['thresholdDb', -50]],
+  agc: [['targetDb', -20], ['maxGainDb', 24]],
+  lufs: [['targetLufs', -16], ['peakDb', -1]],
+  peak: [['peakDb', -1]]
+};
+
+const DC_CUTOFF_HZ = 10;
+const GATE_ATTACK_MS = 1;
+const GATE_RELEASE_MS = 50;
+const GATE_HOLD_MS = 150;
+const AGC_WINDOW_MS = 300;
+const AGC_ATTACK_MS = 50;           // Gain reductions
+const AGC_RELEASE_MS = 2000;        // Gain increases
+const AGC_MAX_CUT_DB = 12;
+const AGC_NOISE_FLOOR_DB = -55;
+const MAX_NORMALIZE_GAIN_DB = 30;   // Never boost a nearly silent recording further than this
+const LUFS_BLOCK_MS = 400;
+const LUFS_STEP_MS = 100;
+const LUFS_ABSOLUTE_GATE = -70;
+const LUFS_RELATIVE_GATE = -10;
+
+const FULL_SCALE = 32768;
+const dbToGain = (db) => Math.pow(10, db / 20);
+const gainToDb = (gain) => 20 * Math.log10(gain);
+// One-pole smoothing coefficient for a time constant
+const smoothing = (ms, sampleRate) => Math.exp(-1000 / (ms * sampleRate));
+
+// Parse a stage list ('dc+gate:-55+lufs:-16') - returns { dc, gate, agc, lufs, peak } with null for the
+// stages not used, or null for an empty list / 'none'. Throws for unknown stages or bad parameters.
+function parseStages(spec) {
+  const text = (spec || '').trim();
+  if (text === '' || text === 'none') return null;
+  const stages = { dc: null, gate: null, agc: null, lufs: null, peak: null };
+  for (const part of text.split('+').map(p => p.trim()).filter(Boolean)) {
+    const [name, ...values] = part.split(':').map(v => v.trim());
+    const params = STAGE_PARAMS[name];
+    if (!params) throw new Error(`Unknown post-processing stage '${name}' (expected ${STAGE_ORDER.join(', ')})`);
+    if (values.length > params.length) throw new Error(`Too many parameters for post-processing stage '${part}'`);
+    const stage = {};
+    params.forEach(([param, defaultValue], index) => {
+      const value = values[index] === undefined || values[index] === '' ? defaultValue : Number(values[index]);
+      if (!Number.isFinite(value)) throw new Error(`Invalid ${param} '${values[index]}' in post-processing stage '${part}'`);
+      stage[param] = value;
+    });
+    stages[name] = stage;
+  }
+  if (stages.lufs && stages.peak) throw new Error(`Post-processing '${text}' normalises twice - use either lufs or peak`);
+  return stages;
+}
+
+// Stage list as text, for logs
+function describeStages(stages) {
+  if (!stages) return 'none';
+  return STAGE_ORDER.filter(name => stages[name]).map(name => {
+    const values = STAGE_PARAMS[name].map(([param]) => stages[name][param]);
+    return values.length > 0 ? `${name}:${values.join(':')}` : name;
+  }).join('+');
+}
+
+// Biquad filter (direct form I) - coefficients { b0, b1, b2, a1, a2 }
+function biquad(c) {
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+  return (x) => {
+    const y = c.b0 * x + c.b1 * x1 + c.b2 * x2 - c.a1 * y1 - c.a2 * y2;
+    x2 = x1; x1 = x;
+    y2 = y1; y1 = y;
+    return y;
+  };
+}
+
+// BS.1770 K-weighting (high shelf + high-pass) for any sample rate
+function kWeighting(sampleRate) {
+  let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+  const Vh = Math.pow(10, 3.999843853973347 / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let Q = 0.7071752369554196;
+  let a0 = 1 + K / Q + K * K;
+  const shelf = biquad({
+    b0: (Vh + Vb * K / Q + K * K) / a0,
+    b1: 2 * (K * K - Vh) / a0,
+    b2: (Vh - Vb * K / Q + K * K) / a0,
+    a1: 2 * (K * K - 1) / a0,
+    a2: (1 - K / Q + K * K) / a0
+  });
+  K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+  const highPass = biquad({ b0: 1, b1: -2, b2: 1, a1: 2 * (K * K - 1) / a0, a2: (1 - K / Q + K * K) / a0 });
+  return (x) => highPass(shelf(x));
+}
+
+// AudioProcessor class to run the post-processing stages over a WAV file
+class AudioProcessor {
+  // Constructor with the parsed stages (parseStages) and the audio layout
+  constructor(options) {
+    this.stages = options.stages;
+    this.sampleRate = options.sampleRate || 8000;
+    this.channels = options.channels || 1;
+  }
+
+  // Whether the stages need a measuring pass before the output can be written
+  get normalizes() {
+    return Boolean(this.stages.lufs || this.stages.peak);
+  }
+
+  // Per-channel function running dc, gate and agc over one sample (full scale = 1.0)
+  createChannelChain() {
+    const { dc, gate, agc } = this.stages;
+    const rate = this.sampleRate;
+    const steps = [];
+    if (dc) {
+      const r = Math.exp(-2 * Math.PI * DC_CUTOFF_HZ / rate);
+      let x1 = 0, y1 = 0;
+      steps.push((x) => {
+        const y = x - x1 + r * y1;
+        x1 = x;
+        y1 = y;
+        return y;
+      });
+    }
+    if (gate) {
+      const threshold = dbToGain(gate.thresholdDb);
+      const attack = smoothing(GATE_ATTACK_MS, rate);
+      const release = smoothing(GATE_RELEASE_MS, rate);
+      const holdSamples = Math.round(GATE_HOLD_MS * rate / 1000);
+      let envelope = 0, hold = 0, gain = 0;
+      steps.push((x) => {
+        const level = Math.abs(x);
+        envelope = level > envelope ? attack * envelope + (1 - attack) * level : release * envelope + (1 - release) * level;
+        if (envelope >= threshold) {
+          hold = holdSamples;
+        } else if (hold > 0) {
+          hold--;
+        }
+        const target = hold > 0 ? 1 : 0;
+        gain = target > gain ? attack * gain + (1 - attack) * target : release * gain + (1 - release) * target;
+        return x * gain;
+      });
+    }
+    if (agc) {
+      const target = dbToGain(agc.targetDb);
+      const maxGain = dbToGain(agc.maxGainDb);
+      const minGain = dbToGain(-AGC_MAX_CUT_DB);
+      const floor = dbToGain(AGC_NOISE_FLOOR_DB);
+      const window = smoothing(AGC_WINDOW_MS, rate);
+      const attack = smoothing(AGC_ATTACK_MS, rate);
+      const release = smoothing(AGC_RELEASE_MS, rate);
+      let power = 0, gain = 1;
+      steps.push((x) => {
+        power = window * power + (1 - window) * x * x;
+        const level = Math.sqrt(power);
+        if (level > floor) {
+          const desired = Math.min(maxGain, Math.max(minGain, target / level));
+          gain = desired < gain ? attack * gain + (1 - attack) * desired : release * gain + (1 - release) * desired;
+        }
+        return x * gain;
+      });
+    }
+    return (x) => {
+      for (const step of steps) x = step(x);
+      return x;
+    };
+  }
+
+  // Run the chain over a source's samples - onFrames(Float64Array of processed samples, interleaved) is
+  // called per chunk read (a trailing partial sample frame is left out)
+  async runChain(source, onFrames) {
+    const chains = Array.from({ length: this.channels }, () => this.createChannelChain());
+    const frameBytes = this.channels * 2;
+    let carry = Buffer.alloc(0);
+    for await (const chunk of source.read()) {
+      const data = carry.length ? Buffer.concat([carry, chunk]) : chunk;
+      const usable = data.length - (data.length % frameBytes);
+      carry = data.slice(usable);
+      const samples = new Float64Array(usable / 2);
+      for (let i = 0; i < samples.length; i++) {
+        samples[i] = chains[i % this.channels](data.readInt16LE(i * 2) / FULL_SCALE);
+      }
+      await onFrames(samples);
+    }
+  }
+
+  // Peak and integrated loudness of the chain's output - { peak (full scale = 1.0), loudness (LUFS or null) }
+  async measure(source) {
+    let peak = 0;
+    const weights = this.stages.lufs ? Array.from({ length: this.channels }, () => kWeighting(this.sampleRate)) : null;
+    const stepFrames = Math.round(LUFS_STEP_MS * this.sampleRate / 1000);
+    const steps = [];                   // Sum of K-weighted squares over all channels per 100 ms step
+    let stepSum = 0, stepCount = 0;
+    await this.runChain(source, (samples) => {
+      for (let i = 0; i < samples.length; i++) {
+        const x = samples[i];
+        if (Math.abs(x) > peak) peak = Math.abs(x);
+        if (weights) {
+          const channel = i % this.channels;
+          const weighted = weights[channel](x);
+          stepSum += weighted * weighted;
+          if (channel === this.channels - 1 && ++stepCount === stepFrames) {
+            steps.push(stepSum / stepFrames);
+            stepSum = 0;
+            stepCount = 0;
+          }
+        }
+      }
+    });
+    return { peak: peak, loudness: weights ? AudioProcessor.integratedLoudness(steps, LUFS_BLOCK_MS / LUFS_STEP_MS) : null };
+  }
+
+  // Gated integrated loudness from per-step mean squares - null if every block is below the absolute gate
+  static integratedLoudness(steps, stepsPerBlock) {
+    const blocks = [];
+    for (let i = 0; i + stepsPerBlock <= steps.length; i++) {
+      let sum = 0;
+      for (let j = 0; j < stepsPerBlock; j++) sum += steps[i + j];
+      blocks.push(sum / stepsPerBlock);
+    }
+    const loudness = (power) => -0.691 + 10 * Math.log10(power);
+    const gated = (threshold) => blocks.filter(power => power > 0 && loudness(power) > threshold);
+    const absolute = gated(LUFS_ABSOLUTE_GATE);
+    if (absolute.length === 0) return null;
+    const mean = (list) => list.reduce((total, power) => total + power, 0) / list.length;
+    const relative = gated(loudness(mean(absolute)) + LUFS_RELATIVE_GATE);
+    return loudness(mean(relative.length > 0 ? relative : absolute));
+  }
+
+  // Normalisation gain for a measurement (1 when not normalising or nothing could be measured)
+  normalizationGain(measurement) {
+    const { lufs, peak } = this.stages;
+    let gain = 1;
+    if (lufs && measurement.loudness !== null) {
+      gain = dbToGain(lufs.targetLufs - measurement.loudness);
+    } else if (peak && measurement.peak > 0) {
+      gain = dbToGain(peak.peakDb) / measurement.peak;
+    }
+    if (lufs && measurement.peak > 0) {
+      gain = Math.min(gain, dbToGain(lufs.peakDb) / measurement.peak);
+    }
+    return Math.min(gain, dbToGain(MAX_NORMALIZE_GAIN_DB));
+  }
+
+  // Process a 16-bit PCM WAV into `writeStream` (a recording writer's input), which is ended afterwards
+  // Resolves with a report { stages, durationSec, inputPeakDb?, loudness, gainDb, outputPeakDb }
+  async processFile(filePath, writeStream) {
+    return this.processSource(await openWavSource(filePath), writeStream, filePath);
+  }
+
+  // Process the 16-bit PCM of a source ({ header, read() }) into `writeStream` - see processFile()
+  async processSource(source, writeStream, name = 'The recording') {
+    const header = source.header;
+    if (header.audioFormat !== WAVE_FORMAT_PCM || header.bitDepth !== 16) {
+      throw new Error(`${name} is not a 16-bit PCM WAV`);
+    }
+    if (header.channels !== this.channels || header.sampleRate !== this.sampleRate) {
+      throw new Error(`${name} is ${header.channels} channel(s) at ${header.sampleRate} Hz, expected ${this.channels} at ${this.sampleRate} Hz`);
+    }
+
+    const measurement = this.normalizes ? await this.measure(source) : null;
+    const gain = measurement ? this.normalizationGain(measurement) : 1;
+    let outputPeak = 0;
+    let clipped = 0;
+    await this.runChain(source, async (samples) => {
+      const out = Buffer.alloc(samples.length * 2);
+      for (let i = 0; i < samples.length; i++) {
+        let value = Math.round(samples[i] * gain * FULL_SCALE);
+        if (value > 32767 || value < -32768) {
+          clipped++;
+          value = value > 0 ? 32767 : -32768;
+        }
+        if (Math.abs(value) > outputPeak) outputPeak = Math.abs(value);
+        out.writeInt16LE(value, i * 2);
+      }
+      if (!writeStream.write(out)) await once(writeStream, 'drain');
+    });
+    writeStream.end();
+
+    return {
+      stages: describeStages(this.stages),
+      durationSec: header.durationSec,
+      loudness: measurement && measurement.loudness !== null ? Number(measurement.loudness.toFixed(2)) : null,
+      gainDb: Number(gainToDb(gain).toFixed(2)),
+      outputPeakDb: outputPeak > 0 ? Number(gainToDb(outputPeak / FULL_SCALE).toFixed(2)) : null,
+      clippedSamples: clipped
+    };
+  }
+}
+
+AudioProcessor.parseStages = parseStages;
+AudioProcessor.describeStages = describeStages;
+
+// Export the AudioProcessor class for use in recordingFormats.js and index.js
+module.exports = AudioProcessor;
@@ -0,0 +1,155 @@
+// audioSocket.js
+
+// Import required Node.js modules for TCP
+const net = require('net');  // Module for TCP server/socket communication (AudioSocket)
+
+// AudioSocket frame types (Asterisk res_audiosocket)
+// Every frame is: 1 byte type, 2 bytes payload length (big-endian), payload
+const FRAME_HANGUP = 0x00;
+const FRAME_UUID = 0x01;
+const FRAME_DTMF = 0x03;
+const FRAME_ERROR = 0xFF;
+
+// Audio frame types - signed linear 16-bit little-endian mono at the given rate
+// (0x10 is the original 8 kHz frame, newer Asterisk versions add the wideband variants)
+const AUDIO_FRAME_RATES = {
+  0x10: 8000,
+  0x11: 12000,
+  0x12: 16000,
+  0x13: 24000,
+  0x14: 32000,
+  0x15: 44100,
+  0x16: 48000,
+  0x17: 96000,
+  0x18: 192000
+};
+
+const HEADER_LENGTH = 3;
+
+// Format the 16-byte binary UUID of a UUID frame as a lowercase string
+function formatUUID(buf) {
+  const hex = buf.toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+}
+
+// AudioSocketServer class accepting Asterisk AudioSocket connections (externalMedia with encapsulation
+// 'audiosocket' over TCP). Asterisk opens one connection per externalMedia channel and sends the UUID we
+// passed as `data` first, so connections are matched to sessions by that UUID rather than by address.
+class AudioSocketServer {
+  // Constructor with options for port, bind address and frame callbacks
+  constructor(options = {}) {
+    this.port = options.port || 9092;            // TCP port Asterisk connects to
+    this.address = options.address || '0.0.0.0'; // Interface the server listens on
+    this.onConnect = options.onConnect || (() => true);   // (uuid, remote) -> false to refuse the connection
+    this.onAudio = options.onAudio || (() => {});         // (uuid, pcm, sampleRate)
+    this.onDtmf = options.onDtmf || (() => {});           // (uuid, digit)
+    this.onHangup = options.onHangup || (() => {});       // (uuid, reason) - hangup frame or connection closed
+    this.onError = options.onError || (() => {});         // (uuid, code) - error frame from Asterisk
+    this.server = null;
+    this.connections = new Map();                // uuid -> socket
+    this.frameCount = 0;                         // Frames received over all connections
+  }
+
+  // Start listening - resolves once the server is bound
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = net.createServer((socket) => this.handleConnection(socket));
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.address, () => {
+        this.server.removeListener('error', reject);
+        this.server.on('error', (err) => {
+          console.error(`[AudioSocket] Server error:`, err.message || err);
+        });
+        resolve();
+      });
+    });
+  }
+
+  // Handle one Asterisk connection: buffer the TCP stream and split it into frames
+  handleConnection(socket) {
+    const remote = `${socket.remoteAddress}:${socket.remotePort}`;
+    let pending = Buffer.alloc(0);
+    let uuid = null;
+    let hungUp = false;
+
+    // Report the end of a call once, whichever comes first (hangup frame or the socket closing)
+    const finish = (reason) => {
+      if (hungUp || !uuid) return;
+      hungUp = true;
+      if (this.connections.get(uuid) === socket) this.connections.delete(uuid);
+      this.onHangup(uuid, reason);
+    };
+
+    socket.setNoDelay(true);
+    socket.on('data', (chunk) => {
+      pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+      while (pending.length >= HEADER_LENGTH) {
+        const type = pending[0];
+        const length = pending.readUInt16BE(1);
+        if (pending.length < HEADER_LENGTH + length) break;
+        const payload = pending.slice(HEADER_LENGTH, HEADER_LENGTH + length);
+        pending = pending.slice(HEADER_LENGTH + length);
+        this.frameCount++;
+
+        if (type === FRAME_UUID) {
+          if (uuid || length !== 16) {
+            console.warn(`[AudioSocket] Unexpected UUID frame (${length} bytes) from ${remote}`);
+            continue;
+          }
+          uuid = formatUUID(payload);
+          if (this.onConnect(uuid, remote) === false) {
+            console.warn(`[AudioSocket] No session for UUID ${uuid} from ${remote} - closing connection`);
+            uuid = null;
+            socket.destroy();
+            return;
+          }
+          this.connections.set(uuid, socket);
+        } else if (!uuid) {
+          // Audio before the UUID frame cannot be attributed to a session
+          console.warn(`[AudioSocket] Frame type 0x${type.toString(16)} before UUID from ${remote} - closing connection`);
+          socket.destroy();
+          return;
+        } else if (AUDIO_FRAME_RATES[type]) {
+          this.onAudio(uuid, payload, AUDIO_FRAME_RATES[type]);
+        } else if (type === FRAME_DTMF) {
+          if (length > 0) this.onDtmf(uuid, payload.toString('ascii', 0, 1));
+        } else if (type === FRAME_HANGUP) {
+          finish('hangup');
+          socket.end();
+          return;
+        } else if (type === FRAME_ERROR) {
+          this.onError(uuid, length > 0 ? payload[0] : null);
+        } else {
+          console.warn(`[AudioSocket] Ignoring unknown frame type 0x${type.toString(16)} for ${uuid}`);
+        }
+      }
+    });
+    socket.on('error', (err) => {
+      console.error(`[AudioSocket] Connection error from ${remote}${uuid ? ` (${uuid})` : ''}:`, err.message || err);
+    });
+    socket.on('close', () => finish('closed'));
+  }
+
+  // Close the connection of one session (e.g. when the session is cleaned up first)
+  disconnect(uuid) {
+    const socket = this.connections.get(uuid);
+    if (!socket) return false;
+    this.connections.delete(uuid);
+    socket.destroy();
+    return true;
+  }
+
+  // Stop accepting connections and drop the open ones (used on shutdown)
+  stop() {
+    for (const uuid of Array.from(this.connections.keys())) {
+      this.disconnect(uuid);
+    }
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+}
+
+// Export the AudioSocketServer class for use in index.js
+module.exports = AudioSocketServer;
@@ -0,0 +1,187 @@
+// callMixer.js
+
+// CallMixer class to put the decoded audio of each call direction (one SSRC each) on a common timeline.
+// Every source's first frame is anchored at its arrival time relative to the start of the recording,
+// after which each frame is placed from its RTP timestamp (anchor + ticks since the first frame), so
+// silence suppression and lost packets leave the right amount of room without relying on the jitter
+// buffer's gap fill. Anything that lands before the part already emitted, or on samples already queued,
+// is dropped - a gap filled both by the jitter buffer and by padding a lagging source only counts once.
+// Output is only emitted once every active source has covered a stretch of the timeline, or once a
+// silent/late source falls more than `maxLag` behind, in which case it is padded with silence.
+// In mono mode (channels = 1) all sources are summed into the single channel with clipping protection.
+class CallMixer {
+  // Constructor with options for channel count, sample rate, maximum lag and output callback
+  constructor(options = {}) {
+    this.channels = options.channels || 2;                 // 2 = stereo (one direction per channel), 1 = mono mix
+    this.sampleRate = options.sampleRate || 8000;          // Sample rate of the decoded PCM
+    this.maxLag = Math.round((options.maxLagMs || 500) * this.sampleRate / 1000); // Samples a source may fall behind
+    this.maxSkew = Math.round((options.maxSkewMs || 2000) * this.sampleRate / 1000); // Timestamp vs arrival drift before re-anchoring
+    this.onData = options.onData || (() => true);          // Called with interleaved 16-bit LE PCM
+    this.startTime = options.startTime || Date.now();      // Wall-clock time of timeline position 0
+    this.sources = new Map();                              // source key (SSRC) -> { channel, start, pending, ... }
+    this.outputPos = 0;                                    // Timeline position (in samples) already emitted
+  }
+
+  // Register a source on a channel - sources are otherwise assigned in order of arrival
+  // (first direction heard = left, second = right; everything shares channel 0 in mono)
+  addSource(key, channel = null) {
+    if (this.sources.has(key)) return this.sources.get(key);
+    if (channel === null) {
+      channel = this.channels === 1 ? 0 : this.sources.size;
+    }
+    if (channel >= this.channels) {
+      return null;
+    }
+    const source = {
+      channel,
+      start: null,                // Timeline position of the first queued sample
+      pending: new Int16Array(0), // Samples queued but not emitted yet
+      anchor: null,               // Timeline position of `firstTimestamp`
+      firstTimestamp: null,       // RTP timestamp the source was anchored at
+      lastTimestamp: null,        // RTP timestamp of the last frame
+      elapsed: 0,                 // Ticks between firstTimestamp and lastTimestamp (wraparound-safe)
+      clockRate: null,            // RTP clock of the timestamps
+      lastEnd: null               // Timeline position just after the last frame written
+    };
+    this.sources.set(key, source);
+    return source;
+  }
+
+  // Timeline position just after the last sample queued for a source
+  static sourceEnd(source) {
+    return source.start + source.pending.length;
+  }
+
+  // Timeline position just after the last sample written by a source - null before its first frame
+  sourcePosition(key) {
+    const source = this.sources.get(key);
+    return source ? source.lastEnd : null;
+  }
+
+  // Anchor a source's RTP timestamps at a timeline position
+  static anchor(source, position, timestamp, clockRate) {
+    source.anchor = position;
+    source.firstTimestamp = timestamp >>> 0;
+    source.lastTimestamp = timestamp >>> 0;
+    source.elapsed = 0;
+    source.clockRate = clockRate;
+  }
+
+  // Timeline position of a frame from its RTP timestamp - re-anchored at its arrival when the frame's end
+  // drifts more than `maxSkew` from the arrival time (sender reset its clock, or stopped without advancing it)
+  timestampPosition(source, timestamp, clockRate, length, arrival) {
+    if (source.anchor === null || source.clockRate !== clockRate) {
+      CallMixer.anchor(source, Math.max(arrival, this.outputPos), timestamp, clockRate);
+      return source.anchor;
+    }
+    source.elapsed += ((timestamp >>> 0) - source.lastTimestamp) | 0;
+    source.lastTimestamp = timestamp >>> 0;
+    const position = source.anchor + Math.round(source.elapsed * this.sampleRate / clockRate);
+    if (Math.abs(position + length - arrival) > this.maxSkew) {
+      CallMixer.anchor(source, Math.max(arrival, this.outputPos), timestamp, clockRate);
+      return source.anchor;
+    }
+    return position;
+  }
+
+  // Queue decoded PCM (16-bit LE mono) from one source and emit whatever is ready
+  // `timestamp` is the RTP timestamp of the first sample (ticks of `clockRate`) - without one the samples
+  // follow on from the source's previous frame
+  // Returns the result of the last onData call (false = downstream buffer full)
+  write(key, pcm, timestamp = null, clockRate = this.sampleRate, now = Date.now()) {
+    const source = this.sources.get(key) || this.addSource(key);
+    if (!source) return true; // No free channel for this source
+
+    const samples = new Int16Array(pcm.length / 2);
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = pcm.readInt16LE(i * 2);
+    }
+
+    const arrival = Math.round((now - this.startTime) * this.sampleRate / 1000);
+    let position;
+    if (timestamp !== null) {
+      position = this.timestampPosition(source, timestamp, clockRate, samples.length, arrival);
+    } else if (source.start === null) {
+      // First frame from this direction - anchor it at its arrival time
+      position = Math.max(arrival, this.outputPos);
+    } else {
+      position = CallMixer.sourceEnd(source);
+    }
+    if (source.start === null) {
+      source.start = Math.max(position, this.outputPos);
+    }
+    source.lastEnd = position + samples.length;
+
+    // Drop samples the timeline has already moved past (source lagged and was padded with silence)
+    // or that overlap audio already queued for this source
+    const end = CallMixer.sourceEnd(source);
+    const from = Math.max(position, end, this.outputPos);
+    if (from >= position + samples.length) {
+      return this.drain(false);
+    }
+
+    // Silence between the end of the queued audio and this frame (timestamp moved ahead), then the frame
+    const merged = new Int16Array(position + samples.length - source.start);
+    merged.set(source.pending, 0);
+    merged.set(samples.subarray(from - position), from - source.start);
+    source.pending = merged;
+
+    return this.drain(false);
+  }
+
+  // Soft-clip a mixed sample into 16-bit range - linear up to the knee, then compressed towards full scale
+  // so two loud talkers overlapping don't produce hard-clipped square waves
+  static softClip(value) {
+    const knee = 24576; // -2.5 dBFS
+    const magnitude = Math.abs(value);
+    if (magnitude <= knee) return value;
+    const headroom = 32767 - knee;
+    const over = magnitude - knee;
+    const clipped = knee + headroom * over / (over + headroom);
+    return Math.round(value < 0 ? -clipped : clipped);
+  }
+
+  // Emit the part of the timeline every source has covered (or everything, when flushing)
+  drain(flush) {
+    const registered = Array.from(this.sources.values()).filter(s => s);
+    const started = registered.filter(s => s.start !== null);
+    if (started.length === 0) return true;
+
+    // A registered source that hasn't delivered audio yet counts as lagging at the current position
+    const ends = registered.map(s => s.start === null ? this.outputPos : CallMixer.sourceEnd(s));
+    const latest = Math.max(...ends);
+    let readyUntil = flush ? latest : Math.max(Math.min(...ends), latest - this.maxLag);
+    if (readyUntil <= this.outputPos) return true;
+
+    const length = readyUntil - this.outputPos;
+    const mix = new Int32Array(length * this.channels); // Wide accumulator so summed sources can't overflow
+    for (const source of started) {
+      // Samples of this source that fall inside [outputPos, readyUntil)
+      const from = Math.max(source.start, this.outputPos);
+      const to = Math.min(CallMixer.sourceEnd(source), readyUntil);
+      for (let pos = from; pos < to; pos++) {
+        mix[(pos - this.outputPos) * this.channels + source.channel] += source.pending[pos - source.start];
+      }
+      // Forget what has been emitted
+      const consumed = Math.max(0, to - source.start);
+      source.pending = source.pending.subarray(consumed);
+      source.start += consumed;
+      if (source.start < readyUntil) source.start = readyUntil;
+    }
+    this.outputPos = readyUntil;
+
+    const output = Buffer.alloc(mix.length * 2);
+    for (let i = 0; i < mix.length; i++) {
+      output.writeInt16LE(CallMixer.softClip(mix[i]), i * 2);
+    }
+    return this.onData(output);
+  }
+
+  // Emit everything still queued (end of call), padding shorter sources with silence
+  flush() {
+    return this.drain(true);
+  }
+}
+
+// Export the CallMixer class for use in index.js
+module.exports = CallMixer;
@@ -0,0 +1,110 @@
+// codecs.js
+
+// Codec table for the audio formats Asterisk's externalMedia can deliver, plus the helpers needed to
+// turn their payloads into 16-bit little-endian PCM. G.711 decoding stays in index.js (convertPCMUtoPCM /
+// convertPCMAtoPCM); G.722 lives in g722.js.
+
+// Codec parameters:
+//   format      - EXTERNAL_MEDIA_CODEC / externalMedia `format` value
+//   payloadType - static RTP payload type (null = dynamic, negotiated out of band)
+//   clockRate   - RTP timestamp clock (G.722 famously uses 8000 although it samples at 16 kHz)
+//   sampleRate  - rate of the decoded PCM
+//   bytesPerTick - payload bytes per RTP timestamp tick
+const CODECS = {
+  PCMU: { name: 'PCMU', format: 'ulaw', payloadType: 0, clockRate: 8000, sampleRate: 8000, bytesPerTick: 1 },
+  PCMA: { name: 'PCMA', format: 'alaw', payloadType: 8, clockRate: 8000, sampleRate: 8000, bytesPerTick: 1 },
+  G722: { name: 'G722', format: 'g722', payloadType: 9, clockRate: 8000, sampleRate: 16000, bytesPerTick: 1 },
+  SLIN: { name: 'SLIN', format: 'slin', payloadType: null, clockRate: 8000, sampleRate: 8000, bytesPerTick: 2 },
+  SLIN16: { name: 'SLIN16', format: 'slin16', payloadType: null, clockRate: 16000, sampleRate: 16000, bytesPerTick: 2 }
+};
+
+// Look up a codec by its externalMedia format name ('ulaw', 'alaw', 'g722', 'slin', 'slin16')
+function codecFromFormat(format) {
+  return Object.values(CODECS).find(c => c.format === format) || null;
+}
+
+// Look up the codec of an RTP packet - static payload types map directly, dynamic ones (96-127)
+// can only be the session's configured codec if that codec itself uses a dynamic payload type
+function codecFromPayloadType(payloadType, sessionCodec) {
+  const staticCodec = Object.values(CODECS).find(c => c.payloadType === payloadType);
+  if (staticCodec) return staticCodec;
+  const configured = CODECS[sessionCodec];
+  if (payloadType >= 96 && payloadType <= 127 && configured && configured.payloadType === null) {
+    return configured;
+  }
+  return null;
+}
+
+// Number of RTP timestamp ticks a payload covers
+function payloadTicks(codec, payload) {
+  return Math.floor(payload.length / codec.bytesPerTick);
+}
+
+// Convert L16 (network byte order, RFC 3551) to 16-bit little-endian PCM
+function convertL16toPCM(l16Data) {
+  const pcmData = Buffer.alloc(l16Data.length & ~1);
+  for (let i = 0; i < pcmData.length; i += 2) {
+    pcmData[i] = l16Data[i + 1];
+    pcmData[i + 1] = l16Data[i];
+  }
+  return pcmData;
+}
+
+// Change the sample rate of 16-bit LE mono PCM by linear interpolation
+// (used when one direction of a wideband session arrives as narrowband G.711)
+function convertSampleRate(pcmData, fromRate, toRate) {
+  if (fromRate === toRate) return pcmData;
+  const inSamples = pcmData.length / 2;
+  const outSamples = Math.round(inSamples * toRate / fromRate);
+  const out = Buffer.alloc(outSamples * 2);
+  for (let i = 0; i < outSamples; i++) {
+    const pos = i * fromRate / toRate;
+    const index = Math.floor(pos);
+    const frac = pos - index;
+    const a = pcmData.readInt16LE(Math.min(index, inSamples - 1) * 2);
+    const b = pcmData.readInt16LE(Math.min(index + 1, inSamples - 1) * 2);
+    out.writeInt16LE(Math.round(a + (b - a) * frac), i * 2);
+  }
+  return out;
+}
+
+// Build a 16-bit PCM -> G.711 lookup table as the nearest-level inverse of a G.711 decoder (`decode(byte)` -> sample)
+// Using the inverse of the decoder the recorder itself uses means a frame that was decoded and re-encoded
+// without being mixed gets back exactly the bytes that arrived on the wire
+function g711EncodeTable(decode) {
+  const levels = [];
+  for (let code = 0; code < 256; code++) {
+    levels.push({ code: code, value: decode(code) });
+  }
+  levels.sort((a, b) => a.value - b.value);
+  const table = new Uint8Array(65536);
+  let level = 0;
+  for (let sample = -32768; sample <= 32767; sample++) {
+    while (level + 1 < levels.length &&
+           Math.abs(levels[level + 1].value - sample) <= Math.abs(levels[level].value - sample)) {
+      level++;
+    }
+    table[sample & 0xFFFF] = levels[level].code;
+  }
+  return table;
+}
+
+// Encode 16-bit LE PCM to G.711 bytes with a table from g711EncodeTable
+function encodeG711(pcmData, table) {
+  const out = Buffer.alloc(pcmData.length >> 1);
+  for (let i = 0; i < out.length; i++) {
+    out[i] = table[pcmData.readUInt16LE(i * 2)];
+  }
+  return out;
+}
+
+module.exports = {
+  CODECS,
+  codecFromFormat,
+  codecFromPayloadType,
+  payloadTicks,
+  convertL16toPCM,
+  convertSampleRate,
+  g711EncodeTable,
+  encodeG711
+};
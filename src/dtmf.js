@@ -0,0 +1,108 @@
+// dtmf.js
+
+// RFC 4733 telephone-event payload:
+//  0                   1                   2                   3
+//  0 1 2 3 4 5 6 7 8 9 0 1 2 3 4 5 6 7 8 9 0 1 2 3 4 5 6 7 8 9 0 1
+// |     event     |E|R| volume    |          duration             |
+// Events 0-9 are digits, 10 = '*', 11 = '#', 12-15 = A-D, 16 = flash.
+const EVENT_DIGITS = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', '*', '#', 'A', 'B', 'C', 'D', 'flash'];
+
+// DTMFEventTracker class to turn the stream of telephone-event packets of one session into digits.
+// A sender repeats the same event (same RTP timestamp) every 50ms while the key is held and sends the
+// final packet with the end bit set three times, so events are keyed by SSRC + RTP timestamp and each
+// digit is reported once: when it starts and again (with its duration) when it ends.
+class DTMFEventTracker {
+  // Constructor with the telephone-event clock rate and start/end callbacks
+  constructor(options = {}) {
+    this.clockRate = options.clockRate || 8000;  // telephone-event clock (8000 unless negotiated otherwise)
+    this.onStart = options.onStart || (() => {}); // Called with the event when a new digit begins
+    this.onEnd = options.onEnd || (() => {});     // Called with the event once the end bit arrives
+    this.redact = options.redact || (() => false); // Whether a digit starting now is kept out of the timeline
+    this.current = new Map();                     // SSRC -> event in progress
+    this.events = [];                             // Every digit seen, in order
+  }
+
+  // Parse a telephone-event payload - returns null if it is too short
+  static parse(payload) {
+    if (payload.length < 4) return null;
+    const event = payload[0];
+    return {
+      event: event,
+      digit: EVENT_DIGITS[event] || null,
+      end: (payload[1] & 0x80) !== 0,
+      volume: payload[1] & 0x3F,                  // Power level in -dBm0
+      duration: payload.readUInt16BE(2)           // In timestamp units
+    };
+  }
+
+  // Handle one telephone-event packet - `offsetMs` is the packet's position in the recording
+  // Returns the parsed packet, or null if it was malformed
+  handlePacket(ssrc, timestamp, payload, offsetMs) {
+    const packet = DTMFEventTracker.parse(payload);
+    if (!packet) return null;
+
+    let current = this.current.get(ssrc);
+    if (!current || current.timestamp !== timestamp) {
+      // New event - a new RTP timestamp always starts a new key press
+      current = {
+        ssrc: ssrc,
+        timestamp: timestamp,
+        event: packet.event,
+        digit: packet.digit,
+        offsetMs: Math.max(0, Math.round(offsetMs)),
+        durationMs: 0,
+        volume: packet.volume,
+        ended: false
+      };
+      current.redacted = this.redact(current);
+      this.current.set(ssrc, current);
+      this.events.push(current);
+      this.onStart(current);
+    }
+
+    current.durationMs = Math.round(packet.duration * 1000 / this.clockRate);
+    if (packet.end && !current.ended) {
+      // Only the first of the (usually three) end packets completes the digit
+      current.ended = true;
+      this.onEnd(current);
+    }
+    return packet;
+  }
+
+  // Record a digit reported as a whole rather than as RFC 4733 packets (AudioSocket DTMF frames)
+  // The duration is not known for these
+  addDigit(ssrc, digit, offsetMs) {
+    const event = {
+      ssrc: ssrc,
+      timestamp: null,
+      event: EVENT_DIGITS.indexOf(digit),
+      digit: digit,
+      offsetMs: Math.max(0, Math.round(offsetMs)),
+      durationMs: 0,
+      volume: null,
+      ended: true
+    };
+    event.redacted = this.redact(event);
+    this.events.push(event);
+    this.onStart(event);
+    this.onEnd(event);
+    return event;
+  }
+
+  // Digits in the order they were pressed, with their offsets (used for the session metadata)
+  // Redacted digits (pressed while the recording was paused) keep their timing but not which key it was
+  timeline() {
+    return this.events.map(e => ({
+      digit: e.redacted ? null : e.digit,
+      event: e.redacted ? null : e.event,
+      redacted: e.redacted,
+      offsetMs: e.offsetMs,
+      durationMs: e.durationMs,
+      ssrc: e.ssrc,
+      ended: e.ended
+    }));
+  }
+}
+
+// Export the DTMFEventTracker class for use in index.js
+module.exports = DTMFEventTracker;
@@ -0,0 +1,142 @@
+// dtmfDetector.js
+
+// DTMFToneDetector class to find in-band DTMF tones in one direction's decoded 16-bit PCM, for endpoints
+// that send key presses as audio instead of (or as well as) RFC 4733 events. The PCM is cut into blocks
+// of 25.6 ms (205 samples at 8 kHz), overlapping by half so a 40 ms key press spans two whole blocks,
+// and the Goertzel algorithm measures the energy at the eight DTMF frequencies in each. A block holds a
+// tone when the strongest row and column frequencies are loud enough, stand clear of the other
+// frequencies in their group, are within the allowed twist of each other and carry most of the block's
+// energy - speech and music rarely pass all of these. A tone starts after two such blocks for the same
+// key and ends after two blocks without it.
+//
+// Positions are counted in samples from the `position` passed with each chunk, so callers can put
+// detections straight onto their own timeline.
+
+const ROW_FREQUENCIES = [697, 770, 852, 941];
+const COLUMN_FREQUENCIES = [1209, 1336, 1477, 1633];
+const KEYS = ['123A', '456B', '789C', '*0#D'];
+
+const BLOCK_MS = 25.6;
+const MIN_TONE_DBFS = -36;          // Weakest tone (each of the pair) that counts
+const MAX_TWIST_DB = 8;             // Largest level difference between the row and column tone
+const MIN_GROUP_RATIO_DB = 8;       // Strongest tone of a group over the next strongest
+const MIN_TONE_ENERGY_SHARE = 0.7;  // Share of the block's energy in the two tones
+const START_BLOCKS = 2;             // Consecutive blocks needed to report a tone
+const END_BLOCKS = 2;               // ... and without it to end one
+
+const dbToPower = (db) => Math.pow(10, db / 10);
+
+class DTMFToneDetector {
+  // Constructor with the PCM sample rate and callbacks
+  // onTone(tone) is called when a tone starts and again each block it continues and when it ends, with the
+  // same object: { key, start, end (sample positions, end exclusive), ended }
+  constructor(options = {}) {
+    this.sampleRate = options.sampleRate || 8000;
+    this.onTone = options.onTone || (() => {});
+    this.blockSize = Math.round(this.sampleRate * BLOCK_MS / 1000);
+    this.hop = Math.floor(this.blockSize / 2);
+    this.coefficients = ROW_FREQUENCIES.concat(COLUMN_FREQUENCIES).map(f => 2 * Math.cos(2 * Math.PI * f / this.sampleRate));
+    // A full-scale sine over a block has energy blockSize / 2 (samples scaled to +/-1)
+    this.minToneEnergy = dbToPower(MIN_TONE_DBFS) * this.blockSize / 2;
+    this.block = new Float64Array(this.blockSize);
+    this.blockFill = 0;
+    this.blockStart = null;         // Position of the block's first sample
+    this.nextPosition = null;       // Position the next chunk should start at
+    this.candidate = null;          // { key, start, blocks } - key seen in recent blocks, not yet reported
+    this.tone = null;               // Tone being reported
+    this.misses = 0;                // Blocks in a row without the current tone's key
+    this.tones = 0;                 // Tones detected so far
+  }
+
+  // Feed a chunk of 16-bit LE mono PCM whose first sample sits at `position`
+  process(pcm, position) {
+    const samples = pcm.length >> 1;
+    if (position !== this.nextPosition) this.blockFill = 0; // Not contiguous - start a new block
+    this.nextPosition = position + samples;
+    for (let i = 0; i < samples; i++) {
+      if (this.blockFill === 0) this.blockStart = position + i;
+      this.block[this.blockFill++] = pcm.readInt16LE(i * 2) / 32768;
+      if (this.blockFill === this.blockSize) {
+        this.handleBlock(this.analyze(), this.blockStart, this.blockStart + this.blockSize);
+        // The next block starts halfway through this one
+        this.block.copyWithin(0, this.hop);
+        this.blockFill -= this.hop;
+        this.blockStart += this.hop;
+      }
+    }
+  }
+
+  // Key held in the current block - null if the block isn't a clean DTMF tone
+  analyze() {
+    const n = this.blockSize;
+    let energy = 0;
+    for (let i = 0; i < n; i++) energy += this.block[i] * this.block[i];
+    if (energy < 2 * this.minToneEnergy) return null;
+
+    // Goertzel - energy of a sine at each frequency, scaled like the block energy
+    const powers = this.coefficients.map((coefficient) => {
+      let s1 = 0, s2 = 0;
+      for (let i = 0; i < n; i++) {
+        const s0 = this.block[i] + coefficient * s1 - s2;
+        s2 = s1;
+        s1 = s0;
+      }
+      return 2 * (s1 * s1 + s2 * s2 - coefficient * s1 * s2) / n;
+    });
+    const strongest = (group) => {
+      const order = group.map((power, index) => ({ power, index })).sort((a, b) => b.power - a.power);
+      return order[0].power >= order[1].power * dbToPower(MIN_GROUP_RATIO_DB) ? order[0] : null;
+    };
+    const row = strongest(powers.slice(0, 4));
+    const column = strongest(powers.slice(4));
+    if (!row || !column) return null;
+    if (row.power < this.minToneEnergy || column.power < this.minToneEnergy) return null;
+    const twist = Math.abs(10 * Math.log10(row.power / column.power));
+    if (twist > MAX_TWIST_DB) return null;
+    if (row.power + column.power < MIN_TONE_ENERGY_SHARE * energy) return null;
+    return KEYS[row.index][column.index];
+  }
+
+  handleBlock(key, start, end) {
+    if (this.tone) {
+      if (key === this.tone.key) {
+        this.misses = 0;
+        this.tone.end = end;
+        this.onTone(this.tone);
+        return;
+      }
+      if (++this.misses < END_BLOCKS) return;
+      this.finishTone();
+    }
+    if (!key) {
+      this.candidate = null;
+      return;
+    }
+    if (!this.candidate || this.candidate.key !== key) {
+      this.candidate = { key: key, start: start, blocks: 0 };
+    }
+    if (++this.candidate.blocks >= START_BLOCKS) {
+      this.tone = { key: key, start: this.candidate.start, end: end, ended: false };
+      this.candidate = null;
+      this.misses = 0;
+      this.tones++;
+      this.onTone(this.tone);
+    }
+  }
+
+  finishTone() {
+    const tone = this.tone;
+    this.tone = null;
+    this.misses = 0;
+    tone.ended = true;
+    this.onTone(tone);
+  }
+
+  // End a tone still in progress (end of the call)
+  flush() {
+    if (this.tone) this.finishTone();
+  }
+}
+
+// Export the DTMFToneDetector class for use in index.js
+module.exports = DTMFToneDetector;
@@ -0,0 +1,336 @@
+// flacEncoder.js
+
+// Streaming FLAC encoder for 16-bit PCM (RFC 9639). Each block is coded with the best of the fixed
+// predictors (orders 0-4) and partitioned Rice coding of the residual; stereo blocks use left/side
+// decorrelation when it is smaller. The STREAMINFO block is written with unknown totals while the stream
+// is running - streamInfo() returns the final version to patch in at STREAMINFO_OFFSET once it has ended.
+
+// Import required Node.js modules for streams and the MD5 of the audio
+const { Transform } = require('stream');
+const crypto = require('crypto');
+
+const STREAMINFO_OFFSET = 8;                      // After "fLaC" and the metadata block header
+const STREAMINFO_LENGTH = 34;
+const MAX_RICE_PARAMETER = 14;                    // 4-bit parameters (15 is the escape code)
+const MAX_PARTITION_ORDER = 6;
+const SAMPLE_RATE_CODES = { 8000: 4, 16000: 5, 22050: 6, 24000: 7, 32000: 8, 44100: 9, 48000: 10 };
+
+// CRC-8 (poly 0x07) and CRC-16 (poly 0x8005) lookup tables used by frame headers and frames
+const CRC8_TABLE = new Uint8Array(256);
+const CRC16_TABLE = new Uint16Array(256);
+for (let i = 0; i < 256; i++) {
+  let crc8 = i;
+  let crc16 = i << 8;
+  for (let bit = 0; bit < 8; bit++) {
+    crc8 = (crc8 & 0x80) ? ((crc8 << 1) ^ 0x07) & 0xFF : (crc8 << 1) & 0xFF;
+    crc16 = (crc16 & 0x8000) ? ((crc16 << 1) ^ 0x8005) & 0xFFFF : (crc16 << 1) & 0xFFFF;
+  }
+  CRC8_TABLE[i] = crc8;
+  CRC16_TABLE[i] = crc16;
+}
+
+function crc8(buf) {
+  let crc = 0;
+  for (let i = 0; i < buf.length; i++) crc = CRC8_TABLE[crc ^ buf[i]];
+  return crc;
+}
+
+function crc16(buf) {
+  let crc = 0;
+  for (let i = 0; i < buf.length; i++) crc = ((crc << 8) & 0xFFFF) ^ CRC16_TABLE[(crc >> 8) ^ buf[i]];
+  return crc;
+}
+
+// MSB-first bit writer
+class BitWriter {
+  constructor(size = 4096) {
+    this.buf = Buffer.alloc(size);
+    this.length = 0;                              // Whole bytes written
+    this.current = 0;                             // Partial byte
+    this.bits = 0;                                // Bits used in the partial byte
+  }
+
+  pushByte(byte) {
+    if (this.length === this.buf.length) {
+      const grown = Buffer.alloc(this.buf.length * 2);
+      this.buf.copy(grown);
+      this.buf = grown;
+    }
+    this.buf[this.length++] = byte;
+  }
+
+  // Write the low `n` bits of a non-negative value (n may exceed 32 for the 36-bit sample count)
+  writeBits(value, n) {
+    while (n > 0) {
+      const free = 8 - this.bits;
+      const take = Math.min(free, n);
+      const chunk = Math.floor(value / Math.pow(2, n - take)) & ((1 << take) - 1);
+      this.current |= chunk << (free - take);
+      this.bits += take;
+      n -= take;
+      if (this.bits === 8) {
+        this.pushByte(this.current);
+        this.current = 0;
+        this.bits = 0;
+      }
+    }
+  }
+
+  // Write a signed value in `n` bits two's complement
+  writeSigned(value, n) {
+    this.writeBits(value < 0 ? value + Math.pow(2, n) : value, n);
+  }
+
+  // Unary code: `q` zero bits followed by a one
+  writeUnary(q) {
+    while (q >= 24) {
+      this.writeBits(0, 24);
+      q -= 24;
+    }
+    this.writeBits(1, q + 1);
+  }
+
+  // Pad to the next byte boundary with zero bits
+  align() {
+    if (this.bits > 0) this.writeBits(0, 8 - this.bits);
+  }
+
+  toBuffer() {
+    return this.buf.slice(0, this.length);
+  }
+}
+
+// Residual of the fixed predictor of the given order
+function fixedResidual(samples, order) {
+  const n = samples.length;
+  const residual = new Int32Array(Math.max(0, n - order));
+  for (let i = order; i < n; i++) {
+    let prediction = 0;
+    switch (order) {
+      case 1: prediction = samples[i - 1]; break;
+      case 2: prediction = 2 * samples[i - 1] - samples[i - 2]; break;
+      case 3: prediction = 3 * samples[i - 1] - 3 * samples[i - 2] + samples[i - 3]; break;
+      case 4: prediction = 4 * samples[i - 1] - 6 * samples[i - 2] + 4 * samples[i - 3] - samples[i - 4]; break;
+      default: break;
+    }
+    residual[i - order] = samples[i] - prediction;
+  }
+  return residual;
+}
+
+// Zigzag-fold a signed residual for Rice coding
+function fold(value) {
+  return value >= 0 ? value * 2 : -value * 2 - 1;
+}
+
+// Best Rice parameter and its cost in bits for residual[start, end)
+function riceCost(residual, start, end) {
+  const count = end - start;
+  if (count === 0) return { parameter: 0, bits: 0 };
+  let sum = 0;
+  for (let i = start; i < end; i++) sum += fold(residual[i]);
+  const mean = sum / count;
+  const estimate = mean > 1 ? Math.min(MAX_RICE_PARAMETER, Math.floor(Math.log2(mean))) : 0;
+  let best = null;
+  for (let k = Math.max(0, estimate - 1); k <= Math.min(MAX_RICE_PARAMETER, estimate + 1); k++) {
+    let bits = count * (k + 1);
+    for (let i = start; i < end; i++) bits += Math.floor(fold(residual[i]) / (1 << k));
+    if (!best || bits < best.bits) best = { parameter: k, bits: bits };
+  }
+  return best;
+}
+
+// Plan the coding of one channel of a block - returns the subframe description and its size in bits
+function planSubframe(samples, bitsPerSample) {
+  const n = samples.length;
+  let constant = true;
+  for (let i = 1; i < n && constant; i++) constant = samples[i] === samples[0];
+  if (constant) return { type: 'constant', samples, bitsPerSample, bits: 8 + bitsPerSample };
+
+  let best = { type: 'verbatim', samples, bitsPerSample, bits: 8 + n * bitsPerSample };
+  for (let order = 0; order <= 4 && order < n; order++) {
+    const residual = fixedResidual(samples, order);
+    for (let partitionOrder = 0; partitionOrder <= MAX_PARTITION_ORDER; partitionOrder++) {
+      const partitionSize = n >> partitionOrder;
+      if (n % (1 << partitionOrder) !== 0 || partitionSize <= order) break;
+      const parameters = [];
+      let bits = 8 + order * bitsPerSample + 2 + 4;
+      for (let p = 0; p < (1 << partitionOrder); p++) {
+        const start = p === 0 ? 0 : p * partitionSize - order;
+        const end = (p + 1) * partitionSize - order;
+        const cost = riceCost(residual, start, end);
+        parameters.push(cost.parameter);
+        bits += 4 + cost.bits;
+      }
+      if (bits < best.bits) {
+        best = { type: 'fixed', samples, bitsPerSample, order, residual, partitionOrder, parameters, bits };
+      }
+    }
+  }
+  return best;
+}
+
+// Write a planned subframe
+function writeSubframe(writer, plan) {
+  const { samples, bitsPerSample } = plan;
+  if (plan.type === 'constant') {
+    writer.writeBits(0x00, 8);
+    writer.writeSigned(samples[0], bitsPerSample);
+  } else if (plan.type === 'verbatim') {
+    writer.writeBits(0x02, 8);
+    for (let i = 0; i < samples.length; i++) writer.writeSigned(samples[i], bitsPerSample);
+  } else {
+    writer.writeBits((0x08 | plan.order) << 1, 8);
+    for (let i = 0; i < plan.order; i++) writer.writeSigned(samples[i], bitsPerSample);
+    writer.writeBits(0, 2);                       // Rice coding with 4-bit parameters
+    writer.writeBits(plan.partitionOrder, 4);
+    const partitionSize = samples.length >> plan.partitionOrder;
+    for (let p = 0; p < plan.parameters.length; p++) {
+      const k = plan.parameters[p];
+      const start = p === 0 ? 0 : p * partitionSize - plan.order;
+      const end = (p + 1) * partitionSize - plan.order;
+      writer.writeBits(k, 4);
+      for (let i = start; i < end; i++) {
+        const u = fold(plan.residual[i]);
+        writer.writeUnary(Math.floor(u / (1 << k)));
+        if (k > 0) writer.writeBits(u & ((1 << k) - 1), k);
+      }
+    }
+  }
+}
+
+// Frame number in FLAC's UTF-8-like variable length coding
+function writeCodedNumber(writer, value) {
+  if (value < 0x80) {
+    writer.writeBits(value, 8);
+    return;
+  }
+  let bytes = 2;
+  while (bytes < 6 && value >= Math.pow(2, 5 * bytes + 1)) bytes++;
+  const lead = (0xFF << (8 - bytes)) & 0xFF;
+  writer.writeBits(lead | Math.floor(value / Math.pow(2, 6 * (bytes - 1))), 8);
+  for (let i = bytes - 2; i >= 0; i--) {
+    writer.writeBits(0x80 | (Math.floor(value / Math.pow(2, 6 * i)) & 0x3F), 8);
+  }
+}
+
+// FLACEncoder class - a Transform stream taking interleaved 16-bit LE PCM and producing a FLAC stream
+class FLACEncoder extends Transform {
+  // Constructor with the sample rate, channel count and block size (samples per channel per frame)
+  constructor(options = {}) {
+    super();
+    this.sampleRate = options.sampleRate || 8000;
+    this.channels = options.channels || 1;
+    this.blockSize = options.blockSize || 4096;
+    this.bitsPerSample = 16;
+    this.frameBytes = this.blockSize * this.channels * 2;
+    this.pending = Buffer.alloc(0);
+    this.frameNumber = 0;
+    this.totalSamples = 0;                        // Samples per channel encoded so far
+    this.minFrameSize = 0;
+    this.maxFrameSize = 0;
+    this.md5 = crypto.createHash('md5');          // MD5 of the unencoded audio (part of STREAMINFO)
+    this.md5Digest = null;
+    this.headerWritten = false;
+  }
+
+  // STREAMINFO block body - totals and MD5 are only known once the stream has ended
+  streamInfo() {
+    const writer = new BitWriter(STREAMINFO_LENGTH);
+    writer.writeBits(this.blockSize, 16);
+    writer.writeBits(this.blockSize, 16);
+    writer.writeBits(this.minFrameSize, 24);
+    writer.writeBits(this.maxFrameSize, 24);
+    writer.writeBits(this.sampleRate, 20);
+    writer.writeBits(this.channels - 1, 3);
+    writer.writeBits(this.bitsPerSample - 1, 5);
+    writer.writeBits(this.md5Digest ? this.totalSamples : 0, 36);
+    const info = writer.toBuffer();
+    return Buffer.concat([info, this.md5Digest || Buffer.alloc(16)]);
+  }
+
+  // "fLaC" marker plus the (only, so last) STREAMINFO metadata block
+  streamHeader() {
+    const blockHeader = Buffer.from([0x80, 0x00, 0x00, STREAMINFO_LENGTH]);
+    return Buffer.concat([Buffer.from('fLaC', 'ascii'), blockHeader, this.streamInfo()]);
+  }
+
+  // Encode one block of interleaved PCM into a frame
+  encodeFrame(pcm) {
+    const blockSize = pcm.length / (2 * this.channels);
+    const channelSamples = [];
+    for (let c = 0; c < this.channels; c++) {
+      const samples = new Int32Array(blockSize);
+      for (let i = 0; i < blockSize; i++) samples[i] = pcm.readInt16LE((i * this.channels + c) * 2);
+      channelSamples.push(samples);
+    }
+
+    // Channel assignment: independent, or left/side for stereo when that codes smaller
+    let assignment = this.channels - 1;
+    let plans = channelSamples.map(samples => planSubframe(samples, this.bitsPerSample));
+    if (this.channels === 2) {
+      const side = new Int32Array(blockSize);
+      for (let i = 0; i < blockSize; i++) side[i] = channelSamples[0][i] - channelSamples[1][i];
+      const sidePlan = planSubframe(side, this.bitsPerSample + 1);
+      if (sidePlan.bits < plans[1].bits) {
+        assignment = 0x8;                         // Left/side
+        plans = [plans[0], sidePlan];
+      }
+    }
+
+    const writer = new BitWriter(pcm.length + 64);
+    writer.writeBits(0xFFF8, 16);                 // Sync code, fixed block size
+    writer.writeBits(0x7, 4);                     // Block size - 1 as 16 bits after the header
+    writer.writeBits(SAMPLE_RATE_CODES[this.sampleRate] || 0, 4);
+    writer.writeBits(assignment, 4);
+    writer.writeBits(0x4, 3);                     // 16 bits per sample
+    writer.writeBits(0, 1);
+    writeCodedNumber(writer, this.frameNumber);
+    writer.writeBits(blockSize - 1, 16);
+    writer.writeBits(crc8(writer.toBuffer()), 8);
+
+    for (const plan of plans) writeSubframe(writer, plan);
+    writer.align();
+    writer.writeBits(crc16(writer.toBuffer()), 16);
+
+    const frame = writer.toBuffer();
+    this.frameNumber++;
+    this.totalSamples += blockSize;
+    this.minFrameSize = this.minFrameSize === 0 ? frame.length : Math.min(this.minFrameSize, frame.length);
+    this.maxFrameSize = Math.max(this.maxFrameSize, frame.length);
+    return Buffer.from(frame);
+  }
+
+  _transform(chunk, encoding, callback) {
+    if (!this.headerWritten) {
+      this.push(this.streamHeader());
+      this.headerWritten = true;
+    }
+    this.md5.update(chunk);
+    this.pending = this.pending.length ? Buffer.concat([this.pending, chunk]) : chunk;
+    while (this.pending.length >= this.frameBytes) {
+      this.push(this.encodeFrame(this.pending.slice(0, this.frameBytes)));
+      this.pending = this.pending.slice(this.frameBytes);
+    }
+    callback();
+  }
+
+  _flush(callback) {
+    if (!this.headerWritten) {
+      this.push(this.streamHeader());
+      this.headerWritten = true;
+    }
+    const remainder = this.pending.length - (this.pending.length % (2 * this.channels));
+    if (remainder > 0) {
+      this.push(this.encodeFrame(this.pending.slice(0, remainder)));
+    }
+    this.pending = Buffer.alloc(0);
+    this.md5Digest = this.md5.digest();
+    callback();
+  }
+}
+
+FLACEncoder.STREAMINFO_OFFSET = STREAMINFO_OFFSET;
+
+// Export the FLACEncoder class for use in recordingFormats.js
+module.exports = FLACEncoder;
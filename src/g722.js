@@ -0,0 +1,212 @@
+// g722.js
+
+// G.722 (ITU-T 64 kbit/s SB-ADPCM) decoder producing 16 kHz 16-bit PCM.
+// Port of the reference decoder used by spandsp/Asterisk: 8 bits per sample (6 low band + 2 high band),
+// unpacked, one code byte per pair of output samples. The decoder is stateful, so each RTP stream (SSRC)
+// needs its own instance.
+
+// Quantiser and scale factor tables from the ITU-T G.722 specification
+const WL = [-60, -30, 58, 172, 334, 538, 1198, 3042];
+const RL42 = [0, 7, 6, 5, 4, 3, 2, 1, 7, 6, 5, 4, 3, 2, 1, 0];
+const ILB = [
+  2048, 2093, 2139, 2186, 2233, 2282, 2332, 2383, 2435, 2489, 2543, 2599, 2656, 2714, 2774, 2834,
+  2896, 2960, 3025, 3091, 3158, 3228, 3298, 3371, 3444, 3520, 3597, 3676, 3756, 3838, 3922, 4008
+];
+const WH = [0, -214, 798];
+const RH2 = [2, 1, 2, 1];
+const QM2 = [-7408, -1616, 7408, 1616];
+const QM4 = [
+  0, -20456, -12896, -8968, -6288, -4240, -2584, -1200,
+  20456, 12896, 8968, 6288, 4240, 2584, 1200, 0
+];
+const QM6 = [
+  -136, -136, -136, -136, -24808, -21904, -19008, -16704,
+  -14984, -13512, -12280, -11192, -10232, -9360, -8576, -7856,
+  -7192, -6576, -6000, -5456, -4944, -4464, -4008, -3576,
+  -3168, -2776, -2400, -2032, -1688, -1360, -1040, -728,
+  24808, 21904, 19008, 16704, 14984, 13512, 12280, 11192,
+  10232, 9360, 8576, 7856, 7192, 6576, 6000, 5456,
+  4944, 4464, 4008, 3576, 3168, 2776, 2400, 2032,
+  1688, 1360, 1040, 728, 432, 136, -432, -136
+];
+const QMF_COEFFS = [3, -11, 12, 32, -210, 951, 3876, -805, 362, -156, 53, -11];
+
+// Clamp to the 16-bit signed range
+function saturate(value) {
+  if (value > 32767) return 32767;
+  if (value < -32768) return -32768;
+  return value;
+}
+
+// G722Decoder class holding the ADPCM state of both sub-bands and the receive QMF
+class G722Decoder {
+  constructor() {
+    this.band = [G722Decoder.createBand(32), G722Decoder.createBand(8)]; // Low band, high band
+    this.x = new Array(24).fill(0);              // Receive QMF delay line
+  }
+
+  // Initial predictor state for one sub-band
+  static createBand(det) {
+    return {
+      s: 0, sp: 0, sz: 0, nb: 0, det: det,
+      r: [0, 0, 0], a: [0, 0, 0], ap: [0, 0, 0], p: [0, 0, 0],
+      d: [0, 0, 0, 0, 0, 0, 0], b: [0, 0, 0, 0, 0, 0, 0], bp: [0, 0, 0, 0, 0, 0, 0], sg: [0, 0, 0, 0, 0, 0, 0]
+    };
+  }
+
+  // Adaptive predictor update shared by both sub-bands (G.722 block 4)
+  static block4(band, d) {
+    // RECONS / PARREC
+    band.d[0] = d;
+    band.r[0] = saturate(band.s + d);
+    band.p[0] = saturate(band.sz + d);
+
+    // UPPOL2
+    for (let i = 0; i < 3; i++) {
+      band.sg[i] = band.p[i] >> 15;
+    }
+    let wd1 = saturate(band.a[1] << 2);
+    let wd2 = (band.sg[0] === band.sg[1]) ? -wd1 : wd1;
+    if (wd2 > 32767) wd2 = 32767;
+    let wd3 = (wd2 >> 7) + ((band.sg[0] === band.sg[2]) ? 128 : -128);
+    wd3 += (band.a[2] * 32512) >> 15;
+    if (wd3 > 12288) wd3 = 12288;
+    else if (wd3 < -12288) wd3 = -12288;
+    band.ap[2] = wd3;
+
+    // UPPOL1
+    band.sg[0] = band.p[0] >> 15;
+    band.sg[1] = band.p[1] >> 15;
+    wd1 = (band.sg[0] === band.sg[1]) ? 192 : -192;
+    wd2 = (band.a[1] * 32640) >> 15;
+    band.ap[1] = saturate(wd1 + wd2);
+    wd3 = saturate(15360 - band.ap[2]);
+    if (band.ap[1] > wd3) band.ap[1] = wd3;
+    else if (band.ap[1] < -wd3) band.ap[1] = -wd3;
+
+    // UPZERO
+    wd1 = (d === 0) ? 0 : 128;
+    band.sg[0] = d >> 15;
+    for (let i = 1; i < 7; i++) {
+      band.sg[i] = band.d[i] >> 15;
+      wd2 = (band.sg[i] === band.sg[0]) ? wd1 : -wd1;
+      wd3 = (band.b[i] * 32640) >> 15;
+      band.bp[i] = saturate(wd2 + wd3);
+    }
+
+    // DELAYA
+    for (let i = 6; i > 0; i--) {
+      band.d[i] = band.d[i - 1];
+      band.b[i] = band.bp[i];
+    }
+    for (let i = 2; i > 0; i--) {
+      band.r[i] = band.r[i - 1];
+      band.p[i] = band.p[i - 1];
+      band.a[i] = band.ap[i];
+    }
+
+    // FILTEP
+    wd1 = saturate(band.r[1] + band.r[1]);
+    wd1 = (band.a[1] * wd1) >> 15;
+    wd2 = saturate(band.r[2] + band.r[2]);
+    wd2 = (band.a[2] * wd2) >> 15;
+    band.sp = saturate(wd1 + wd2);
+
+    // FILTEZ
+    let sz = 0;
+    for (let i = 6; i > 0; i--) {
+      wd1 = saturate(band.d[i] + band.d[i]);
+      sz += (band.b[i] * wd1) >> 15;
+    }
+    band.sz = saturate(sz);
+
+    // PREDIC
+    band.s = saturate(band.sp + band.sz);
+  }
+
+  // Decode a buffer of G.722 code bytes into 16-bit LE PCM at 16 kHz (two samples per byte)
+  decode(data) {
+    const pcm = Buffer.alloc(data.length * 4);
+    const low = this.band[0];
+    const high = this.band[1];
+    let out = 0;
+
+    for (let j = 0; j < data.length; j++) {
+      const code = data[j];
+      let wd1 = code & 0x3F;
+      const ihigh = (code >> 6) & 0x03;
+      let wd2 = QM6[wd1];
+      wd1 >>= 2;
+
+      // Low band: INVQBL, RECONS, LIMIT
+      wd2 = (low.det * wd2) >> 15;
+      let rlow = low.s + wd2;
+      if (rlow > 16383) rlow = 16383;
+      else if (rlow < -16384) rlow = -16384;
+
+      // Low band: INVQAL
+      wd2 = QM4[wd1];
+      const dlowt = (low.det * wd2) >> 15;
+
+      // Low band: LOGSCL
+      wd2 = RL42[wd1];
+      wd1 = (low.nb * 127) >> 7;
+      wd1 += WL[wd2];
+      if (wd1 < 0) wd1 = 0;
+      else if (wd1 > 18432) wd1 = 18432;
+      low.nb = wd1;
+
+      // Low band: SCALEL
+      wd1 = (low.nb >> 6) & 31;
+      wd2 = 8 - (low.nb >> 11);
+      let wd3 = (wd2 < 0) ? (ILB[wd1] << -wd2) : (ILB[wd1] >> wd2);
+      low.det = wd3 << 2;
+
+      G722Decoder.block4(low, dlowt);
+
+      // High band: INVQAH, RECONS, LIMIT
+      wd2 = QM2[ihigh];
+      const dhigh = (high.det * wd2) >> 15;
+      let rhigh = dhigh + high.s;
+      if (rhigh > 16383) rhigh = 16383;
+      else if (rhigh < -16384) rhigh = -16384;
+
+      // High band: LOGSCH
+      wd2 = RH2[ihigh];
+      wd1 = (high.nb * 127) >> 7;
+      wd1 += WH[wd2];
+      if (wd1 < 0) wd1 = 0;
+      else if (wd1 > 22528) wd1 = 22528;
+      high.nb = wd1;
+
+      // High band: SCALEH
+      wd1 = (high.nb >> 6) & 31;
+      wd2 = 10 - (high.nb >> 11);
+      wd3 = (wd2 < 0) ? (ILB[wd1] << -wd2) : (ILB[wd1] >> wd2);
+      high.det = wd3 << 2;
+
+      G722Decoder.block4(high, dhigh);
+
+      // Receive QMF - recombine the sub-bands into two 16 kHz samples
+      for (let i = 0; i < 22; i++) {
+        this.x[i] = this.x[i + 2];
+      }
+      this.x[22] = rlow + rhigh;
+      this.x[23] = rlow - rhigh;
+
+      let xout1 = 0;
+      let xout2 = 0;
+      for (let i = 0; i < 12; i++) {
+        xout2 += this.x[2 * i] * QMF_COEFFS[i];
+        xout1 += this.x[2 * i + 1] * QMF_COEFFS[11 - i];
+      }
+      pcm.writeInt16LE(saturate(xout1 >> 11), out);
+      pcm.writeInt16LE(saturate(xout2 >> 11), out + 2);
+      out += 4;
+    }
+    return pcm;
+  }
+}
+
+// Export the G722Decoder class for use in codecs.js
+module.exports = G722Decoder;
@@ -7,13 +7,39 @@ try {
 
 const express = require('express');
 const ari = require('ari-client');
-const dgram = require('dgram');
 const fs = require('fs-extra');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const wav = require('wav'); // WAV file writer (matching reference implementation)
 const http = require('http');
+const crypto = require('crypto');
 const RTPServer = require('./rtpServer'); // Reference RTPServer class
+const RTPPortPool = require('./portPool'); // Per-session RTP port leasing
+const JitterBuffer = require('./jitterBuffer'); // Per-SSRC packet reordering and gap filling
+const CallMixer = require('./callMixer'); // Aligns both call directions on a common timeline
+const Codecs = require('./codecs'); // Codec table, L16 and sample rate helpers
+const G722Decoder = require('./g722'); // G.722 wideband decoder
+const DTMFEventTracker = require('./dtmf'); // RFC 4733 telephone-event decoding
+const RTCP = require('./rtcp'); // RTCP parsing, reception statistics and receiver reports
+const SRTPContext = require('./srtp'); // SRTP/SRTCP decryption (AES_CM_128_HMAC_SHA1_80/32)
+const AudioSocketServer = require('./audioSocket'); // Asterisk AudioSocket (TCP) transport
+const RTPPacketParser = require('./rtpPacket'); // RTP header parsing (CSRC, extension, padding)
+const MP3Converter = require('./mp3Converter'); // WAV to MP3 (ffmpeg/lame if installed, lamejs otherwise)
+const RecordingFormats = require('./recordingFormats'); // Output format registry (WAV, G.711 WAV, FLAC, MP3)
+const { syncWavHeader } = require('./wavFile');         // Rewrites WAV header sizes from the file size
+const SegmentedRecorder = require('./segmentedRecorder'); // Splits long recordings into <sessionId>-part-N files
+const { createRecordingStorage } = require('./recordingStorage'); // Local disk / S3-compatible recording storage
+const RetentionSweeper = require('./retentionSweeper'); // Age limits and disk quota for stored recordings
+const RecordingEncryption = require('./recordingEncryption'); // AES-256-GCM encryption of finished recordings
+const RecordingIndex = require('./recordingIndex'); // SQLite index of the per-recording metadata sidecars
+const RecordingLedger = require('./recordingLedger'); // Signed, hash-chained digests of finished recordings
+const RecordingNames = require('./recordingNames'); // Naming template and validation of recording names
+const AudioProcessor = require('./audioProcessor'); // Post-processing stages (normalisation, AGC, noise gate, DC removal)
+const Resampler = require('./resampler'); // Windowed-sinc sample rate conversion of recordings
+const RecordingPause = require('./recordingPause'); // Masks paused stretches of a recording (card numbers)
+const DTMFToneDetector = require('./dtmfDetector'); // Goertzel detection of in-band DTMF tones
+const ToneRedactor = require('./toneRedactor'); // Silences detected DTMF tones in the mixed recording
+const RoutingRules = require('./routingRules'); // Rule table mapping dialed extensions to dial targets
 
 const app = express();
 app.use(express.json());
@@ -24,12 +50,364 @@ const ARI_URL = process.env.ARI_URL || 'http://139.59.15.144:8088/ari';
 const ARI_USERNAME = process.env.ARI_USERNAME || 'asterisk';
 const ARI_PASSWORD = process.env.ARI_PASSWORD || 'asterisk123';
 const RTP_PORT = parseInt(process.env.RTP_PORT || '20000');
+// RTP port range - each recording session leases its own port from this range
+// Defaults to 1000 ports starting at RTP_PORT (e.g. 20000-20999)
+const RTP_PORT_MIN = parseInt(process.env.RTP_PORT_MIN || String(RTP_PORT));
+const RTP_PORT_MAX = parseInt(process.env.RTP_PORT_MAX || String(RTP_PORT_MIN + 999));
 const RECORDINGS_DIR = process.env.RECORDINGS_DIR || path.join(__dirname, '..', 'recordings');
+// The recorder's own state (recording index, ledger, retention audit log) is kept in DATA_DIR by default -
+// never in RECORDINGS_DIR, whose files are served by GET /recordings/<name>
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+// Path of a state file - the configured one, or <DATA_DIR>/<filename>. A file left at the old default in
+// RECORDINGS_DIR (with its SQLite -wal/-shm companions) is moved to DATA_DIR the first time
+function stateFilePath(configured, filename) {
+  if (configured) return configured;
+  const statePath = path.join(DATA_DIR, filename);
+  const legacyPath = path.join(RECORDINGS_DIR, filename);
+  if (fs.existsSync(legacyPath) && !fs.existsSync(statePath)) {
+    try {
+      for (const suffix of ['', '-wal', '-shm']) {
+        if (fs.existsSync(legacyPath + suffix)) fs.moveSync(legacyPath + suffix, statePath + suffix);
+      }
+      console.log(`Moved ${legacyPath} to ${statePath}`);
+    } catch (err) {
+      console.error(`Failed to move ${legacyPath} out of the recordings directory to ${statePath}:`, err.message);
+      process.exit(1);
+    }
+  }
+  return statePath;
+}
+// Recording file names (without extension) relative to RECORDINGS_DIR, from a template of tokens -
+// {sessionId} {channelId} {extension} {callerId} {callerName} {date} {time} {YYYY} {MM} {DD} {hh} {mm} {ss}
+// (UTC, see recordingNames.js), e.g. '{YYYY}/{MM}/{DD}/{time}_{extension}_{callerId}_{sessionId}'
+// The file name part must contain {sessionId} or {channelId} so every call gets its own files
+const RECORDING_NAME_TEMPLATE = process.env.RECORDING_NAME_TEMPLATE || RecordingNames.DEFAULT_TEMPLATE;
+try {
+  RecordingNames.parseTemplate(RECORDING_NAME_TEMPLATE);
+} catch (err) {
+  console.error(`Invalid RECORDING_NAME_TEMPLATE:`, err.message);
+  process.exit(1);
+}
+// SQLite database indexing each recording's metadata sidecar (<name>.metadata.json) for
+// GET /recordings/search - kept locally even when recordings are uploaded to S3
+const RECORDINGS_INDEX_DB = stateFilePath(process.env.RECORDINGS_INDEX_DB, 'recordings.db');
+// Where finished recordings are kept: 'local' (RECORDINGS_DIR only) or 's3' (uploaded to an S3-compatible
+// bucket when the call ends - AWS S3 or e.g. MinIO with S3_ENDPOINT=http://minio:9000)
+// STORAGE_KEEP_LOCAL: 'true' keeps the copy in RECORDINGS_DIR after a successful upload
+// STORAGE_UPLOAD_RETRIES: further attempts at a failed upload; S3_PART_SIZE_MB: multipart part size (min 5)
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'local';
+const STORAGE_KEEP_LOCAL = process.env.STORAGE_KEEP_LOCAL === 'true';
+const STORAGE_UPLOAD_RETRIES = parseInt(process.env.STORAGE_UPLOAD_RETRIES || '3');
+const S3_PART_SIZE_MB = parseInt(process.env.S3_PART_SIZE_MB || '8');
+if (!['local', 's3'].includes(STORAGE_BACKEND)) {
+  console.error(`Unsupported STORAGE_BACKEND '${STORAGE_BACKEND}' (expected local or s3)`);
+  process.exit(1);
+}
+if (STORAGE_BACKEND === 's3' && !process.env.S3_BUCKET) {
+  console.error('STORAGE_BACKEND=s3 needs S3_BUCKET');
+  process.exit(1);
+}
+if (isNaN(STORAGE_UPLOAD_RETRIES) || STORAGE_UPLOAD_RETRIES < 0 || isNaN(S3_PART_SIZE_MB) || S3_PART_SIZE_MB < 5) {
+  console.error(`Invalid upload settings: STORAGE_UPLOAD_RETRIES '${process.env.STORAGE_UPLOAD_RETRIES}', S3_PART_SIZE_MB '${process.env.S3_PART_SIZE_MB}' (minimum 5)`);
+  process.exit(1);
+}
+// SHUTDOWN_TIMEOUT_MS: on SIGTERM/SIGINT, how long the calls in progress get to finish their recordings
+// (encoding, upload) before the process exits - keep it below the container's stop timeout (docker stop -t)
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS || '25000');
+// Retention - recordings older than RETENTION_MAX_AGE_DAYS are deleted from every storage backend
+// (0 = keep forever), RETENTION_BY_EXTENSION overrides the age per extension, e.g. '7001=90,7002=7'
+// RETENTION_QUOTA_MB caps the recordings in RECORDINGS_DIR, deleting the oldest first (0 = no quota)
+// RETENTION_DRY_RUN: 'true' only logs what would be deleted; deletions are appended to RETENTION_AUDIT_LOG
+const RETENTION_MAX_AGE_DAYS = parseFloat(process.env.RETENTION_MAX_AGE_DAYS || '0');
+const RETENTION_BY_EXTENSION = {};
+for (const entry of (process.env.RETENTION_BY_EXTENSION || '').split(',').map(e => e.trim()).filter(Boolean)) {
+  const [ext, days] = entry.split('=').map(e => e.trim());
+  RETENTION_BY_EXTENSION[ext] = parseFloat(days);
+}
+const RETENTION_QUOTA_MB = parseFloat(process.env.RETENTION_QUOTA_MB || '0');
+const RETENTION_SWEEP_INTERVAL_MIN = parseFloat(process.env.RETENTION_SWEEP_INTERVAL_MIN || '60');
+const RETENTION_DRY_RUN = process.env.RETENTION_DRY_RUN === 'true';
+const RETENTION_AUDIT_LOG = stateFilePath(process.env.RETENTION_AUDIT_LOG, 'retention-audit.log');
+if ([RETENTION_MAX_AGE_DAYS, RETENTION_QUOTA_MB, ...Object.values(RETENTION_BY_EXTENSION)].some(v => isNaN(v) || v < 0) ||
+    isNaN(RETENTION_SWEEP_INTERVAL_MIN) || RETENTION_SWEEP_INTERVAL_MIN <= 0) {
+  console.error(`Invalid retention settings: RETENTION_MAX_AGE_DAYS '${process.env.RETENTION_MAX_AGE_DAYS}', RETENTION_BY_EXTENSION '${process.env.RETENTION_BY_EXTENSION}', RETENTION_QUOTA_MB '${process.env.RETENTION_QUOTA_MB}', RETENTION_SWEEP_INTERVAL_MIN '${process.env.RETENTION_SWEEP_INTERVAL_MIN}'`);
+  process.exit(1);
+}
+// Encryption at rest - with ENCRYPTION_KEY_FILE set, recordings are encrypted as they are written (AES-256-GCM,
+// one data key per file wrapped with the key file's current master key) and saved as <name>.enc - no plaintext
+// audio reaches the disk. The call is captured to <name>.raw.wav.enc and encoded from it when the call ends,
+// so WAV_HEADER_UPDATE_MS and RESAMPLE_AT don't apply; a capture cut short by a crash is repaired at startup
+// Manage keys and decrypt exported files with `npm run recording-crypto` (src/recordingCryptoCli.js)
+// DECRYPT_API_TOKEN: bearer token that lets GET /recordings/<name> serve <name>.enc decrypted, and serve
+// the .metadata.json / .stats.json sidecars (caller IDs) - without it those are never served
+const ENCRYPTION_KEY_FILE = process.env.ENCRYPTION_KEY_FILE || null;
+const DECRYPT_API_TOKEN = process.env.DECRYPT_API_TOKEN || null;
+const recordingEncryption = ENCRYPTION_KEY_FILE ? new RecordingEncryption({ keyFilePath: ENCRYPTION_KEY_FILE }) : null;
+if (recordingEncryption) {
+  recordingEncryption.keyring().catch((err) => {
+    console.error(`Invalid ENCRYPTION_KEY_FILE '${ENCRYPTION_KEY_FILE}':`, err.message || err);
+    process.exit(1);
+  });
+}
+// Tamper evidence - with SIGNING_KEY_FILE (an Ed25519 private key in PEM) set, the SHA-256 of every
+// finished recording and manifest is signed and appended to the hash-chained LEDGER_FILE
+// LEDGER_TRUSTED_KEYS: comma-separated public key files of earlier signing keys, so their entries still verify
+// Check files with GET /recordings/<name>/verify or offline with `npm run recording-ledger`
+const SIGNING_KEY_FILE = process.env.SIGNING_KEY_FILE || null;
+const LEDGER_FILE = stateFilePath(process.env.LEDGER_FILE, 'recordings-ledger.jsonl');
+const LEDGER_TRUSTED_KEYS = (process.env.LEDGER_TRUSTED_KEYS || '').split(',').map(f => f.trim()).filter(Boolean);
+const recordingLedger = SIGNING_KEY_FILE ? new RecordingLedger({
+  ledgerPath: LEDGER_FILE,
+  signingKeyPath: SIGNING_KEY_FILE,
+  trustedKeyPaths: LEDGER_TRUSTED_KEYS
+}) : null;
+if (recordingLedger) {
+  recordingLedger.keys().catch((err) => {
+    console.error(`Invalid SIGNING_KEY_FILE '${SIGNING_KEY_FILE}' or LEDGER_TRUSTED_KEYS:`, err.message || err);
+    process.exit(1);
+  });
+}
+const recordingStorage = createRecordingStorage({
+  backend: STORAGE_BACKEND,
+  directory: RECORDINGS_DIR,
+  keepLocal: STORAGE_KEEP_LOCAL,
+  s3: {
+    bucket: process.env.S3_BUCKET,
+    prefix: process.env.S3_PREFIX || '',
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === undefined ? undefined : process.env.S3_FORCE_PATH_STYLE === 'true',
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    partSize: S3_PART_SIZE_MB * 1024 * 1024,
+    retries: STORAGE_UPLOAD_RETRIES
+  }
+});
 // Codec configuration - must match the codec used by the SIP endpoints
-// Options: 'ulaw' (PCMU, G.711 μ-law) or 'alaw' (PCMA, G.711 A-law)
+// Options: 'ulaw' (PCMU, G.711 μ-law), 'alaw' (PCMA, G.711 A-law),
+//          'g722' (G.722, 16 kHz), 'slin' (L16, 8 kHz) or 'slin16' (L16, 16 kHz)
 // Since external media doesn't negotiate via SDP, this must match exactly
 // IMPORTANT: This must match the 'allow=' codec in sip.conf
+// Wideband codecs (g722, slin16) produce 16 kHz recordings
 const EXTERNAL_MEDIA_CODEC = process.env.EXTERNAL_MEDIA_CODEC || 'alaw';
+if (!Codecs.codecFromFormat(EXTERNAL_MEDIA_CODEC)) {
+  console.error(`Unsupported EXTERNAL_MEDIA_CODEC '${EXTERNAL_MEDIA_CODEC}' (expected ulaw, alaw, g722, slin or slin16)`);
+  process.exit(1);
+}
+// Media transport between Asterisk and the recorder
+// 'udp'         - RTP over UDP, one leased port per session (transport: 'udp', encapsulation: 'rtp')
+// 'audiosocket' - Asterisk AudioSocket over TCP, one connection per session matched by its UUID
+//                 (transport: 'tcp', encapsulation: 'audiosocket') - carries signed linear audio only
+// AUDIOSOCKET_PORT: TCP port Asterisk connects to when MEDIA_TRANSPORT is 'audiosocket'
+const MEDIA_TRANSPORT = process.env.MEDIA_TRANSPORT || 'udp';
+const AUDIOSOCKET_PORT = parseInt(process.env.AUDIOSOCKET_PORT || '9092');
+if (MEDIA_TRANSPORT !== 'udp' && MEDIA_TRANSPORT !== 'audiosocket') {
+  console.error(`Unsupported MEDIA_TRANSPORT '${MEDIA_TRANSPORT}' (expected udp or audiosocket)`);
+  process.exit(1);
+}
+if (MEDIA_TRANSPORT === 'audiosocket' && EXTERNAL_MEDIA_CODEC !== 'slin' && EXTERNAL_MEDIA_CODEC !== 'slin16') {
+  console.error(`MEDIA_TRANSPORT 'audiosocket' requires EXTERNAL_MEDIA_CODEC slin or slin16 (got '${EXTERNAL_MEDIA_CODEC}')`);
+  process.exit(1);
+}
+// Call routing - which extensions are taken, where they are dialed, whether they are recorded, and the
+// codec and ring timeout per route (see routingRules.js for the rule fields and patterns).
+// ROUTING_RULES_FILE is a JSON file with the rule array, ROUTING_RULES the same JSON inline, e.g.
+// '[{"pattern":"_70XX","technology":"PJSIP"},{"pattern":"8000","record":false,"timeout":20}]'.
+// Without either, 7001 and 7002 are dialed as SIP/7001 and SIP/7002 and recorded
+const ROUTING_RULES_FILE = process.env.ROUTING_RULES_FILE || null;
+let routingRules;
+try {
+  if (ROUTING_RULES_FILE) {
+    routingRules = RoutingRules.parse(fs.readFileSync(ROUTING_RULES_FILE, 'utf8'));
+  } else if (process.env.ROUTING_RULES) {
+    routingRules = RoutingRules.parse(process.env.ROUTING_RULES);
+  } else {
+    routingRules = new RoutingRules();
+  }
+} catch (err) {
+  console.error(`Invalid routing configuration${ROUTING_RULES_FILE ? ` in ${ROUTING_RULES_FILE}` : ''}: ${err.message}`);
+  process.exit(1);
+}
+if (MEDIA_TRANSPORT === 'audiosocket') {
+  const unsupported = routingRules.codecs.filter(codec => codec !== 'slin' && codec !== 'slin16');
+  if (unsupported.length) {
+    console.error(`MEDIA_TRANSPORT 'audiosocket' requires routing rule codecs slin or slin16 (got '${unsupported.join("', '")}')`);
+    process.exit(1);
+  }
+}
+// RFC 4733 telephone-event (DTMF) payload type - Asterisk uses 101 unless configured otherwise
+// Event packets are captured into the session's DTMF timeline and kept out of the audio
+const DTMF_PAYLOAD_TYPE = parseInt(process.env.DTMF_PAYLOAD_TYPE || '101');
+// In-band DTMF (key presses sent as audio) - INBAND_DTMF 'detect' finds the tones in each direction's
+// decoded audio and lists when they were heard in the recording metadata (never which keys),
+// 'redact' also replaces them with silence in the recording (which then trails the call by 150 ms
+// while it is written), 'off' (default) does neither
+const INBAND_DTMF = process.env.INBAND_DTMF || 'off';
+if (!['off', 'detect', 'redact'].includes(INBAND_DTMF)) {
+  console.error(`Invalid INBAND_DTMF '${INBAND_DTMF}' (expected off, detect or redact)`);
+  process.exit(1);
+}
+// Pausing a recording (POST /sessions/:id/pause and /resume) while card details are taken - the paused
+// audio is replaced with PAUSE_MASK 'silence' or 'tone' (PAUSE_TONE_HZ at -20 dBFS) so the recording keeps
+// its length, and digits pressed while paused are left out of the DTMF timeline.
+// PAUSE_DTMF_SEQUENCE / RESUME_DTMF_SEQUENCE (e.g. '*7' and '*8') pause and resume from the keypad
+const PAUSE_MASK = process.env.PAUSE_MASK || 'silence';
+const PAUSE_TONE_HZ = parseInt(process.env.PAUSE_TONE_HZ || '1000');
+const PAUSE_DTMF_SEQUENCE = process.env.PAUSE_DTMF_SEQUENCE || '';
+const RESUME_DTMF_SEQUENCE = process.env.RESUME_DTMF_SEQUENCE || '';
+if (!['silence', 'tone'].includes(PAUSE_MASK) || isNaN(PAUSE_TONE_HZ) || PAUSE_TONE_HZ <= 0 || PAUSE_TONE_HZ >= 4000) {
+  console.error(`Invalid pause configuration: PAUSE_MASK '${PAUSE_MASK}' (silence, tone), PAUSE_TONE_HZ '${process.env.PAUSE_TONE_HZ}' (1-3999)`);
+  process.exit(1);
+}
+if (![PAUSE_DTMF_SEQUENCE, RESUME_DTMF_SEQUENCE].every(sequence => /^[0-9*#A-D]*$/.test(sequence)) ||
+    (PAUSE_DTMF_SEQUENCE && PAUSE_DTMF_SEQUENCE === RESUME_DTMF_SEQUENCE)) {
+  console.error(`Invalid DTMF pause sequences: PAUSE_DTMF_SEQUENCE '${PAUSE_DTMF_SEQUENCE}', RESUME_DTMF_SEQUENCE '${RESUME_DTMF_SEQUENCE}' (digits 0-9 * # A-D, different from each other)`);
+  process.exit(1);
+}
+// RTCP - each session also listens on the odd port above its RTP port (RTP port + 1)
+// RTCP_INTERVAL_MS: how often receiver reports are sent back once the sender's RTCP address is known,
+// and how often Asterisk is asked for the round-trip time of the call's SIP legs
+const RTCP_INTERVAL_MS = parseInt(process.env.RTCP_INTERVAL_MS || '5000');
+// SRTP - encrypted media between Asterisk and the recorder
+// SRTP_PROFILE: '' (cleartext RTP), 'AES_CM_128_HMAC_SHA1_80' or 'AES_CM_128_HMAC_SHA1_32'
+// SRTP_KEY: static base64 master key + salt (30 bytes, as in SDES "inline:", e.g. `openssl rand -base64 30`)
+//           shared by all sessions
+// SRTP_SESSION_KEYS: 'true' generates a fresh key for every session instead, passed with the externalMedia
+//           channel as the SRTP_CRYPTO channel variable (SDES crypto attribute, "<profile> inline:<key>")
+// One of the two is required with SRTP_PROFILE. Asterisk's externalMedia channel (UnicastRTP) has no SDES/DTLS
+// key exchange and doesn't read SRTP_CRYPTO itself: the media has to be protected by whatever sends it to the
+// recorder, e.g. an SRTP relay between Asterisk and the recorder - configured with SRTP_KEY, or reading each
+// channel's SRTP_CRYPTO (over ARI/AMI or in the dialplan) for per-session keys
+const SRTP_PROFILE = process.env.SRTP_PROFILE || '';
+const SRTP_KEY = process.env.SRTP_KEY || '';
+const SRTP_SESSION_KEYS = process.env.SRTP_SESSION_KEYS === 'true';
+if (SRTP_PROFILE && MEDIA_TRANSPORT !== 'udp') {
+  console.warn(`SRTP_PROFILE is ignored with MEDIA_TRANSPORT '${MEDIA_TRANSPORT}'`);
+} else if (SRTP_PROFILE) {
+  if (!SRTP_KEY && !SRTP_SESSION_KEYS) {
+    console.error('SRTP_PROFILE needs SRTP_KEY, or SRTP_SESSION_KEYS=true to pass a key per session with the externalMedia channel');
+    process.exit(1);
+  }
+  if (SRTP_KEY && SRTP_SESSION_KEYS) {
+    console.error('Set either SRTP_KEY or SRTP_SESSION_KEYS=true, not both');
+    process.exit(1);
+  }
+  try {
+    new SRTPContext({ profile: SRTP_PROFILE, key: SRTP_KEY || SRTPContext.generateKey() });
+  } catch (err) {
+    console.error(`Invalid SRTP configuration: ${err.message}`);
+    process.exit(1);
+  }
+}
+// Jitter buffer configuration
+// JITTER_BUFFER_PACKETS: packets held back waiting for a late/reordered packet (5 x 20ms = 100ms)
+// JITTER_MAX_GAP_MS: longest timeline gap that is filled (longer jumps are treated as a clock reset)
+// JITTER_GAP_FILL: 'silence' writes zeros for lost audio, 'plc' repeats the last frame with a fade-out
+const JITTER_BUFFER_PACKETS = parseInt(process.env.JITTER_BUFFER_PACKETS || '5');
+const JITTER_MAX_GAP_MS = parseInt(process.env.JITTER_MAX_GAP_MS || '30000');
+const JITTER_GAP_FILL = process.env.JITTER_GAP_FILL || 'silence';
+// Stereo recording - the first direction (SSRC) heard on the left channel, the second on the right
+// (RTP doesn't say which party a stream comes from, so this is arrival order, not caller/callee)
+// Otherwise both directions are mixed into a single mono channel
+// MIXER_MAX_LAG_MS: how long to wait for a silent/late direction before padding it with silence
+const RECORDING_STEREO = process.env.RECORDING_STEREO === 'true';
+const MIXER_MAX_LAG_MS = parseInt(process.env.MIXER_MAX_LAG_MS || '500');
+// Recording output format: 'wav' (16-bit PCM), 'wav-alaw' / 'wav-ulaw' (WAV with the G.711 format tag,
+// half the size of PCM), 'flac' (lossless) or 'mp3' (recorded as WAV, encoded when the call ends)
+// RECORDING_FORMAT_BY_EXTENSION overrides it per extension, e.g. '7001=flac,7002=wav-alaw'
+// MP3_ENABLED (replaced by RECORDING_FORMAT): 'false' still records WAV when RECORDING_FORMAT isn't set
+const RECORDING_FORMAT = process.env.RECORDING_FORMAT || (process.env.MP3_ENABLED === 'false' ? 'wav' : 'mp3');
+if (process.env.MP3_ENABLED !== undefined) {
+  if (process.env.MP3_ENABLED === 'false' && RECORDING_FORMAT === 'mp3') {
+    console.error('MP3_ENABLED=false conflicts with RECORDING_FORMAT=mp3 - remove MP3_ENABLED');
+    process.exit(1);
+  }
+  console.warn(`MP3_ENABLED is deprecated, use RECORDING_FORMAT instead (recording ${RECORDING_FORMAT})`);
+}
+const RECORDING_FORMAT_BY_EXTENSION = {};
+for (const entry of (process.env.RECORDING_FORMAT_BY_EXTENSION || '').split(',').map(e => e.trim()).filter(Boolean)) {
+  const [ext, format] = entry.split('=').map(e => e.trim());
+  RECORDING_FORMAT_BY_EXTENSION[ext] = format;
+}
+for (const format of [RECORDING_FORMAT, ...Object.values(RECORDING_FORMAT_BY_EXTENSION)]) {
+  if (!RecordingFormats.getFormat(format)) {
+    console.error(`Unsupported recording format '${format}' (expected ${Object.keys(RecordingFormats.FORMATS).join(', ')})`);
+    process.exit(1);
+  }
+}
+// Sample rate of the recording files - RECORDING_SAMPLE_RATE e.g. 16000 or 44100 resamples the audio
+// (8 kHz for G.711, 16 kHz for g722/slin16) with a windowed-sinc filter; empty or 0 keeps the session's rate.
+// RESAMPLE_AT 'stream' resamples while the call is recorded, 'finalize' captures at the session's rate
+// and resamples when the call ends (recordings with post-processing are always resampled at the end)
+const RECORDING_SAMPLE_RATE = parseInt(process.env.RECORDING_SAMPLE_RATE || '0');
+const RESAMPLE_AT = process.env.RESAMPLE_AT || 'stream';
+if (isNaN(RECORDING_SAMPLE_RATE) || (RECORDING_SAMPLE_RATE !== 0 && (RECORDING_SAMPLE_RATE < 8000 || RECORDING_SAMPLE_RATE > 192000)) || !['stream', 'finalize'].includes(RESAMPLE_AT)) {
+  console.error(`Invalid resampling configuration: RECORDING_SAMPLE_RATE '${process.env.RECORDING_SAMPLE_RATE}' (8000-192000, 0 = session rate), RESAMPLE_AT '${RESAMPLE_AT}' (stream, finalize)`);
+  process.exit(1);
+}
+if (RECORDING_SAMPLE_RATE) {
+  try {
+    // Every session rate the routes can produce must convert to the recording rate
+    for (const codec of [EXTERNAL_MEDIA_CODEC].concat(routingRules.codecs)) {
+      Resampler.filterBank(Codecs.codecFromFormat(codec).sampleRate, RECORDING_SAMPLE_RATE);
+    }
+  } catch (err) {
+    console.error(`Invalid RECORDING_SAMPLE_RATE: ${err.message}`);
+    process.exit(1);
+  }
+}
+// How often the sizes in a WAV header are rewritten while recording, so a crash leaves a playable file
+// (0 = only when the call ends). WAV files left with stale sizes are repaired on startup.
+const WAV_HEADER_UPDATE_MS = parseInt(process.env.WAV_HEADER_UPDATE_MS || '5000');
+if (isNaN(WAV_HEADER_UPDATE_MS) || WAV_HEADER_UPDATE_MS < 0) {
+  console.error(`Invalid WAV_HEADER_UPDATE_MS '${process.env.WAV_HEADER_UPDATE_MS}' (expected milliseconds, 0 to disable)`);
+  process.exit(1);
+}
+// Recording rotation - a session's recording is split into <sessionId>-part-N segments once the current
+// one reaches SEGMENT_MAX_SECONDS of audio or SEGMENT_MAX_BYTES on disk (0 = no limit, single file). The size
+// is checked between writes, so FLAC segments can run over by the block the encoder is holding.
+// A <sessionId>.manifest.json lists the segments with their start offsets
+const SEGMENT_MAX_SECONDS = parseInt(process.env.SEGMENT_MAX_SECONDS || '0');
+const SEGMENT_MAX_BYTES = parseInt(process.env.SEGMENT_MAX_BYTES || '0');
+if (isNaN(SEGMENT_MAX_SECONDS) || SEGMENT_MAX_SECONDS < 0 || isNaN(SEGMENT_MAX_BYTES) || SEGMENT_MAX_BYTES < 0) {
+  console.error(`Invalid segment limits: SEGMENT_MAX_SECONDS '${process.env.SEGMENT_MAX_SECONDS}', SEGMENT_MAX_BYTES '${process.env.SEGMENT_MAX_BYTES}' (0 = no limit)`);
+  process.exit(1);
+}
+// MP3 encoding (RECORDING_FORMAT 'mp3')
+// MP3_BITRATE: constant bitrate in kbps (32 suits 8 kHz voice, use 48-64 for 16 kHz or stereo)
+// MP3_MODE: 'auto' (same channels as the WAV), 'mono', 'stereo' or 'joint' (joint stereo, binaries only)
+// MP3_ENCODER: 'auto' (ffmpeg, then lame, then the built-in lamejs), 'ffmpeg', 'lame' or 'lamejs'
+// MP3_DELETE_WAV: 'true' removes the WAV once the MP3 has been written
+const MP3_BITRATE = parseInt(process.env.MP3_BITRATE || '32');
+const MP3_MODE = process.env.MP3_MODE || 'auto';
+const MP3_ENCODER = process.env.MP3_ENCODER || 'auto';
+const MP3_DELETE_WAV = process.env.MP3_DELETE_WAV === 'true';
+if (!['auto', 'mono', 'stereo', 'joint'].includes(MP3_MODE) || !['auto', 'ffmpeg', 'lame', 'lamejs'].includes(MP3_ENCODER)) {
+  console.error(`Invalid MP3 configuration: MP3_MODE '${MP3_MODE}' (auto, mono, stereo, joint), MP3_ENCODER '${MP3_ENCODER}' (auto, ffmpeg, lame, lamejs)`);
+  process.exit(1);
+}
+// Post-processing when a call ends (audioProcessor.js) - a '+'-separated list of stages:
+//   dc                      DC offset removal
+//   gate[:thresholdDb]      noise gate (default -50 dBFS)
+//   agc[:targetDb[:maxGainDb]]  automatic gain control (default -20 dBFS target, up to 24 dB of gain)
+//   lufs[:target[:peakDb]]  loudness normalisation (default -16 LUFS, peaks kept under -1 dBFS)
+//   peak[:peakDb]           peak normalisation (default -1 dBFS)
+// e.g. POSTPROCESS='dc+gate+lufs:-18'. 'none' or empty disables it. POSTPROCESS_BY_EXTENSION overrides it
+// per extension, e.g. '7001=dc+agc,7002=none'. The call is captured to <name>.raw.wav and the processed
+// audio is written as the recording; POSTPROCESS_KEEP_RAW 'true' keeps the raw capture alongside it.
+const POSTPROCESS_KEEP_RAW = process.env.POSTPROCESS_KEEP_RAW === 'true';
+let POSTPROCESS = null;
+const POSTPROCESS_BY_EXTENSION = {};
+try {
+  POSTPROCESS = AudioProcessor.parseStages(process.env.POSTPROCESS);
+  for (const entry of (process.env.POSTPROCESS_BY_EXTENSION || '').split(',').map(e => e.trim()).filter(Boolean)) {
+    const [ext, stages] = entry.split('=').map(e => e.trim());
+    POSTPROCESS_BY_EXTENSION[ext] = AudioProcessor.parseStages(stages);
+  }
+} catch (err) {
+  console.error(`Invalid post-processing configuration: ${err.message}`);
+  process.exit(1);
+}
 
 // Determine RTP server address - use IP address that Asterisk can reach
 // If running locally, use the Asterisk server's IP or localhost
@@ -69,503 +447,634 @@ try {
 
 // Store active RTP sessions
 const activeSessions = new Map();
+// Sessions whose files are still being finalized/uploaded after leaving activeSessions
+const finishingSessions = new Map();
+
+// Call metadata index - one row per finished session
+let recordingIndex = null;
+try {
+  recordingIndex = new RecordingIndex({ dbPath: RECORDINGS_INDEX_DB });
+  console.log(`Recording index: ${RECORDINGS_INDEX_DB} (${recordingIndex.size} recordings)`);
+} catch (error) {
+  console.error(`Failed to open recording index at ${RECORDINGS_INDEX_DB}:`, error.message);
+  process.exit(1);
+}
+
+// Whether a recording belongs to a live or finishing session - its files are still being written
+function isRecordingInUse(recordingName) {
+  return Array.from(activeSessions.values()).concat(Array.from(finishingSessions.values()))
+    .some(session => session.recordingName === recordingName);
+}
+
+// Retention sweeper - never touches the recordings of live or finishing sessions
+const retentionSweeper = new RetentionSweeper({
+  storage: recordingStorage,
+  maxAgeDays: RETENTION_MAX_AGE_DAYS,
+  maxAgeDaysByExtension: RETENTION_BY_EXTENSION,
+  quotaBytes: RETENTION_QUOTA_MB * 1024 * 1024,
+  dryRun: RETENTION_DRY_RUN,
+  intervalMs: RETENTION_SWEEP_INTERVAL_MIN * 60 * 1000,
+  auditLogPath: RETENTION_AUDIT_LOG,
+  isActive: (recordingName) => isRecordingInUse(recordingName),
+  // A recording deleted from every backend leaves the index too
+  onDelete: async (recordingName) => {
+    if (!(await recordingStorage.locate(`${recordingName}.metadata.json`))) recordingIndex.removeByName(recordingName);
+  }
+});
 
 // Maps to track external media channels and SIP channels with their bridges (matching reference implementation)
 const extMap = new Map(); // channelId -> { bridgeId, sessionId }
 const sipMap = new Map(); // channelId -> bridge object
 
-// RTP Server - listens for RTP packets
-const rtpServer = dgram.createSocket('udp4');
+// RTP port pool - every session leases its own UDP socket, so packets are matched to sessions by port
+const rtpPortPool = new RTPPortPool({ minPort: RTP_PORT_MIN, maxPort: RTP_PORT_MAX });
+
+// AudioSocket server - only started when MEDIA_TRANSPORT is 'audiosocket'
+// AudioSocket carries the bridge mix as a single stream, so it is registered with the mixer as one source
+// (duplicated onto both channels of a stereo recording)
+const AUDIOSOCKET_SOURCES = ['audiosocket-left', 'audiosocket-right'];
+const audioSocketServer = MEDIA_TRANSPORT === 'audiosocket' ? new AudioSocketServer({
+  port: AUDIOSOCKET_PORT,
+  onConnect: (sessionId, remote) => {
+    const session = activeSessions.get(sessionId);
+    if (!session || session.closing) return false;
+    console.log(`[AudioSocket] Connection from ${remote} for session ${sessionId.substring(0, 8)}...`);
+    for (let channel = 0; channel < session.channels; channel++) {
+      session.mixer.addSource(AUDIOSOCKET_SOURCES[channel], channel);
+    }
+    return true;
+  },
+  onAudio: (sessionId, pcm, sampleRate) => handleAudioSocketAudio(sessionId, pcm, sampleRate),
+  onDtmf: (sessionId, digit) => {
+    const session = activeSessions.get(sessionId);
+    if (!session || session.closing) return;
+    session.dtmf.addDigit(AUDIOSOCKET_SOURCES[0], digit, Date.now() - session.startTime);
+  },
+  onHangup: async (sessionId, reason) => {
+    if (!activeSessions.has(sessionId)) return;
+    console.log(`[AudioSocket] ${reason === 'hangup' ? 'Hangup frame' : 'Connection closed'} for session ${sessionId.substring(0, 8)}... - cleaning up`);
+    await cleanupSession(sessionId);
+  },
+  onError: (sessionId, code) => {
+    console.warn(`[AudioSocket] Error frame (code ${code}) for session ${sessionId.substring(0, 8)}...`);
+  }
+}) : null;
+
+// Handle a slin audio frame from a session's AudioSocket connection
+function handleAudioSocketAudio(sessionId, pcm, frameRate) {
+  const session = activeSessions.get(sessionId);
+  if (!session || session.closing) return;
+  
+  const pcmData = Codecs.convertSampleRate(pcm.slice(0, pcm.length & ~1), frameRate, session.sampleRate);
+  if (session.packetCount === 0) {
+    console.log(`[AudioSocket] First audio frame for session ${sessionId.substring(0, 8)}...: ${pcm.length} bytes at ${frameRate} Hz`);
+  }
+  let written = true;
+  for (let channel = 0; channel < session.channels; channel++) {
+    written = writeSessionPCM(session, AUDIOSOCKET_SOURCES[channel], pcmData) && written;
+  }
+  if (!written && session.writeStream.writable) {
+    // The TCP connection is flow-controlled by the WAV stream - pause reading until it drains
+    const socket = audioSocketServer.connections.get(sessionId);
+    if (socket && !socket.isPaused()) {
+      socket.pause();
+      session.writeStream.once('drain', () => socket.resume());
+    }
+  }
+  session.packetCount = (session.packetCount || 0) + 1;
+  if (session.packetCount === 1 || session.packetCount % 100 === 0) {
+    console.log(`Session ${sessionId.substring(0, 8)}... (ext: ${session.extension}): Received ${session.packetCount} AudioSocket frames, PCM size=${pcmData.length}`);
+  }
+}
 
 // Track ALL UDP packets received (not just RTP)
 let totalUdpPackets = 0;
 
-rtpServer.on('message', (msg, rinfo) => {
+// Handle a packet received on a session's leased RTP socket
+function handleRTPPacket(sessionId, msg, rinfo) {
   totalUdpPackets++;
   
-  // Check if we have any active (non-closing) 7001/7002 sessions before logging
-  const hasTargetSessions = Array.from(activeSessions.values()).some(s => !s.closing && (s.extension === '7001' || s.extension === '7002'));
+  const session = activeSessions.get(sessionId);
   
-  // Only log UDP packet details if we have 7001/7002 sessions active
-  if (hasTargetSessions) {
-    // Log ALL UDP packets for first 20 packets to debug
-    if (totalUdpPackets <= 20) {
-      console.log(`\n[7001/7002] [UDP] Packet #${totalUdpPackets}: ${msg.length} bytes from ${rinfo.address}:${rinfo.port}`);
-      if (msg.length >= 12) {
-        const firstByte = msg[0];
-        const version = (firstByte >> 6) & 0x3;
-        const payloadType = msg[1] & 0x7f;
-        console.log(`[7001/7002] [UDP] Looks like RTP: version=${version}, PT=${payloadType}, hex=${msg.slice(0, 12).toString('hex')}`);
-      } else {
-        console.log(`[7001/7002] [UDP] Too short for RTP, hex=${msg.toString('hex')}`);
+  // Check if session exists and is not closing - if not, skip immediately
+  if (!session || session.closing) {
+    // Session doesn't exist or is being cleaned up - ignore late-arriving packets
+    return;
+  }
+  
+  session.udpPacketCount = (session.udpPacketCount || 0) + 1;
+  
+  // Log the first UDP packets on this session's port to debug
+  if (session.udpPacketCount <= 20) {
+    console.log(`\n[UDP] Port ${session.rtpPort} packet #${session.udpPacketCount}: ${msg.length} bytes from ${rinfo.address}:${rinfo.port}`);
+    if (msg.length >= 12) {
+      const firstByte = msg[0];
+      const version = (firstByte >> 6) & 0x3;
+      const payloadType = msg[1] & 0x7f;
+      console.log(`[UDP] Looks like RTP: version=${version}, PT=${payloadType}, hex=${msg.slice(0, 12).toString('hex')}`);
+    } else {
+      console.log(`[UDP] Too short for RTP, hex=${msg.toString('hex')}`);
+    }
+  } else if (totalUdpPackets % 100 === 0) {
+    const activeCount = Array.from(activeSessions.values()).filter(s => !s.closing).length;
+    console.log(`[UDP] Total UDP packets received: ${totalUdpPackets} (${activeCount} active sessions, ${rtpPortPool.inUse} RTP ports leased)`);
+  }
+  
+  // SRTP: verify the auth tag and decrypt - rejected packets are counted per session and dropped
+  if (session.srtp) {
+    const decrypted = session.srtp.unprotect(msg);
+    if (!decrypted) {
+      if (session.srtp.rejectedCount <= 5 || session.srtp.rejectedCount % 100 === 0) {
+        console.warn(`[SRTP] Rejected packet from ${rinfo.address}:${rinfo.port} for session ${sessionId.substring(0, 8)}... (${session.srtp.rejectedCount} rejected: ${JSON.stringify(session.srtp.rejected)})`);
       }
-    } else if (totalUdpPackets % 100 === 0) {
-      const targetSessionCount = Array.from(activeSessions.values()).filter(s => !s.closing && (s.extension === '7001' || s.extension === '7002')).length;
-      console.log(`[7001/7002] [UDP] Total UDP packets received: ${totalUdpPackets} (${targetSessionCount} active 7001/7002 sessions)`);
+      return;
     }
+    msg = decrypted;
   }
   
-  // RTP packet structure: 12 bytes header + payload
-  if (msg.length < 12) {
-    if (hasTargetSessions && totalUdpPackets <= 20) {
-      console.log(`[7001/7002] [UDP] Packet too short for RTP: ${msg.length} bytes from ${rinfo.address}:${rinfo.port}`);
+  // Parse the RTP header - CSRCs, header extension and padding are stripped from the payload,
+  // malformed packets are counted per reason and dropped
+  const packet = session.rtpParser.parse(msg);
+  if (!packet) {
+    if (session.rtpParser.rejectedCount <= 5 || session.rtpParser.rejectedCount % 100 === 0) {
+      console.warn(`[RTP] Rejected ${msg.length}-byte packet from ${rinfo.address}:${rinfo.port} for session ${sessionId.substring(0, 8)}... (${session.rtpParser.rejectedCount} rejected: ${JSON.stringify(session.rtpParser.rejected)})`);
     }
     return;
   }
+  const { payloadType, sequenceNumber, timestamp, ssrc, payload } = packet;
   
-  // Parse RTP header - matching reference implementation (simple 12-byte header)
-  const version = (msg[0] >> 6) & 0x3;
-  const padding = (msg[0] >> 5) & 0x1;
-  const hasExtension = (msg[0] >> 4) & 0x1;  // RTP extension header flag
-  const csrcCount = msg[0] & 0xf;
-  const marker = (msg[1] >> 7) & 0x1;
-  const payloadType = msg[1] & 0x7f;
-  const sequenceNumber = (msg[2] << 8) | msg[3];
-  const timestamp = (msg[4] << 24) | (msg[5] << 16) | (msg[6] << 8) | msg[7];
-  const ssrc = (msg[8] << 24) | (msg[9] << 16) | (msg[10] << 8) | msg[11];
-  
-  // Payload extraction - matching reference: simple slice from byte 12
-  // Reference code: const muPayload = msg.slice(12);
-  // For most RTP packets, payload starts at byte 12 (after 12-byte header)
-  // If CSRC or extension headers are present, we'll handle them below
-  let payloadOffset = 12;
+  // Always log first few packets to debug
+  const isFirstPacket = !global.rtpPacketCount;
+  global.rtpPacketCount = (global.rtpPacketCount || 0) + 1;
+  if (isFirstPacket || global.rtpPacketCount <= 10) {
+    const activeCount = Array.from(activeSessions.values()).filter(s => !s.closing).length;
+    console.log(`[RTP] Packet #${global.rtpPacketCount}: SSRC=${ssrc}, PT=${payloadType}, Seq=${sequenceNumber}, From=${rinfo.address}:${rinfo.port}, Port=${session.rtpPort}, Size=${msg.length}, ActiveSessions=${activeCount}`);
+  }
   
-  // Handle CSRC if present (4 bytes per CSRC)
-  if (csrcCount > 0) {
-    payloadOffset += csrcCount * 4;
+  // Log every 100th packet to show we're receiving data
+  if (global.rtpPacketCount % 100 === 0) {
+    const activeCount = Array.from(activeSessions.values()).filter(s => !s.closing).length;
+    console.log(`[RTP] Received ${global.rtpPacketCount} total packets (${activeCount} active sessions)`);
   }
   
-  // Handle extension header if present (matching RTP spec)
-  if (hasExtension && msg.length > payloadOffset + 4) {
-    // Extension header: 2 bytes (length field) + length * 4 bytes
-    const extLength = ((msg[payloadOffset] << 8) | msg[payloadOffset + 1]) * 4;
-    payloadOffset += 2 + extLength;  // 2 bytes for length field + extension data
+  // Every packet on this port belongs to this session - just track the SSRCs it carries
+  // (bidirectional audio shows up as two SSRCs on the same port)
+  if (!session.ssrc) {
+    session.ssrc = ssrc;
+    session.ssrcs = [ssrc];
+    console.log(`✓ Session ${sessionId.substring(0, 8)}... (port ${session.rtpPort}): assigned SSRC ${ssrc} (From=${rinfo.address}:${rinfo.port})`);
+  } else if (!session.ssrcs.includes(ssrc)) {
+    session.ssrcs.push(ssrc);
+    console.log(`✓ Session ${sessionId.substring(0, 8)}... (port ${session.rtpPort}): added second SSRC ${ssrc} (bidirectional audio, primary=${session.ssrc})`);
   }
   
-  // Only log packet details if we have active (non-closing) 7001/7002 sessions
-  if (hasTargetSessions) {
-    // Always log first few packets to debug
-    const isFirstPacket = !global.rtpPacketCount;
-    global.rtpPacketCount = (global.rtpPacketCount || 0) + 1;
-    if (isFirstPacket || global.rtpPacketCount <= 10) {
-      const activeCount = Array.from(activeSessions.values()).filter(s => !s.closing).length;
-      console.log(`[7001/7002] [RTP] Packet #${global.rtpPacketCount}: SSRC=${ssrc}, PT=${payloadType}, Seq=${sequenceNumber}, From=${rinfo.address}:${rinfo.port}, Size=${msg.length}, ActiveSessions=${activeCount}`);
-    }
-    
-    // Log every 100th packet to show we're receiving data
-    if (global.rtpPacketCount % 100 === 0) {
-      const targetSessionCount = Array.from(activeSessions.values()).filter(s => !s.closing && (s.extension === '7001' || s.extension === '7002')).length;
-      console.log(`[7001/7002] [RTP] Received ${global.rtpPacketCount} total packets (${targetSessionCount} active 7001/7002 sessions)`);
+  // Register each new direction with the mixer - stereo gives it its own channel in order of arrival
+  // (first heard left, second right), mono sums every direction into the single channel
+  if (session.mixer && !session.mixer.sources.has(ssrc)) {
+    const source = session.mixer.addSource(ssrc);
+    if (source && session.mixer.channels === 1) {
+      console.log(`SSRC ${ssrc} mixed into mono recording`);
+    } else if (source) {
+      console.log(`SSRC ${ssrc} recorded on ${source.channel === 0 ? 'left (first direction)' : 'right (second direction)'} channel`);
+    } else {
+      console.warn(`⚠ SSRC ${ssrc} has no free stereo channel - its audio will not be recorded`);
+      session.mixer.sources.set(ssrc, null);
     }
-  } else {
-    // Still count packets but don't log if no active 7001/7002 sessions
-    global.rtpPacketCount = (global.rtpPacketCount || 0) + 1;
   }
   
-  // Find session by SSRC first
-  let sessionId = findSessionBySSRC(ssrc);
+  // Reception statistics for RTCP (loss and interarrival jitter per SSRC, RFC 3550)
+  let receptionStats = session.receptionStats.get(ssrc);
+  if (!receptionStats) {
+    receptionStats = new RTCP.ReceptionStats(ssrc, Codecs.CODECS[session.codec].clockRate);
+    session.receptionStats.set(ssrc, receptionStats);
+  }
+  receptionStats.update(sequenceNumber, timestamp, Date.now());
   
-  // If not found by SSRC, try matching by address/port
-  if (!sessionId) {
-    sessionId = findSessionByAddress(rinfo.address, rinfo.port);
+  if (!session.writeStream) {
+    console.log(`Session ${sessionId} has no writeStream`);
+    return;
   }
   
-  // If still not found, try matching ANY active (non-closing) session
-  // External media can send RTP from various ports, so be flexible
-  const activeOnlySessions = Array.from(activeSessions.entries()).filter(([_, s]) => !s.closing);
-  if (!sessionId && activeOnlySessions.length > 0) {
-    const sessions = activeOnlySessions;
-    
-    // If only one session, use it (most common case)
-    if (sessions.length === 1) {
-      sessionId = sessions[0][0];
-      const session = sessions[0][1];
-      if (!session.ssrc) {
-        session.ssrc = ssrc;
-        session.ssrcs = [ssrc];
-        console.log(`✓✓✓ Matched RTP packet to only active session ${sessionId}, assigned SSRC ${ssrc} (From=${rinfo.address}:${rinfo.port})`);
-      } else if (session.ssrc === ssrc || session.ssrcs.includes(ssrc)) {
-        // SSRC already matches - this is known
-      } else if (!session.ssrcs.includes(ssrc)) {
-        // Different SSRC - likely the reverse direction (bidirectional audio)
-        session.ssrcs.push(ssrc);
-        console.log(`✓ Matched RTP packet to session ${sessionId}, added second SSRC ${ssrc} (bidirectional audio, primary=${session.ssrc})`);
+  if (payload.length === 0) {
+    if (session.packetCount === 0) {
+      console.warn(`Warning: Packet has no payload (${msg.length} bytes, header ${packet.headerLength} bytes)`);
+    }
+    return;
+  }
+  
+  session.rtpPacketCount = (session.rtpPacketCount || 0) + 1;
+  
+  // Debug: Log first packet details to verify payload extraction
+  if (session.rtpPacketCount === 1) {
+    console.log(`First packet for session ${sessionId.substring(0, 8)}...: payload size=${payload.length}, total packet=${msg.length}, PT=${payloadType}, CSRC=${packet.csrcs.length}, Ext=${packet.extension !== null}, Padding=${packet.paddingLength}`);
+    if (payload.length > 0) {
+      console.log(`First payload bytes (hex): ${payload.slice(0, Math.min(20, payload.length)).toString('hex')}`);
+      // Also show first few μ-law values for debugging
+      const muSamples = [];
+      for (let i = 0; i < Math.min(10, payload.length); i++) {
+        muSamples.push(`0x${payload[i].toString(16).padStart(2, '0')}`);
       }
-    } else {
-      // Multiple sessions - try to match by SSRC first, then by port
-      for (const [sid, sess] of sessions) {
-        // If this session already knows this SSRC, use it
-        if (sess.ssrc === ssrc || (sess.ssrcs && sess.ssrcs.includes(ssrc))) {
-          sessionId = sid;
+      console.log(`First μ-law samples: ${muSamples.join(', ')}`);
+      
+      // Check if all bytes are the same (might indicate an issue)
+      const firstByte = payload[0];
+      let allSame = true;
+      for (let i = 1; i < Math.min(20, payload.length); i++) {
+        if (payload[i] !== firstByte) {
+          allSame = false;
           break;
         }
       }
-      
-      // If still no match, try matching by port or assign to session without SSRC
-      if (!sessionId) {
-        for (const [sid, sess] of sessions) {
-          // Match by port if it matches our RTP_PORT or session's expected port
-          if (rinfo.port === sess.rtpPort || rinfo.port === RTP_PORT || !sess.ssrc) {
-            sessionId = sid;
-            const session = sess;
-            if (!session.ssrc) {
-              session.ssrc = ssrc;
-              session.ssrcs = [ssrc];
-              console.log(`✓ Matched RTP packet to session ${sessionId} (no SSRC yet), assigned SSRC ${ssrc}`);
-            } else if (!session.ssrcs || !session.ssrcs.includes(ssrc)) {
-              // Different SSRC - likely the reverse direction
-              if (!session.ssrcs) session.ssrcs = [session.ssrc];
-              session.ssrcs.push(ssrc);
-              console.log(`✓ Matched RTP packet to session ${sessionId}, added second SSRC ${ssrc} (bidirectional, primary=${session.ssrc})`);
-            }
-            break;
-          }
-        }
-      }
-      
-      // If still no match and we have sessions, use the first one without SSRC or assign as second SSRC
-      if (!sessionId) {
-        for (const [sid, sess] of sessions) {
-          if (!sess.ssrc) {
-            sessionId = sid;
-            sess.ssrc = ssrc;
-            sess.ssrcs = [ssrc];
-            console.log(`✓✓✓ Using first session without SSRC ${sessionId}, assigned SSRC ${ssrc}`);
-            break;
-          } else if (!sess.ssrcs || sess.ssrcs.length === 1) {
-            // Session has only one SSRC, this might be the second direction
-            sessionId = sid;
-            if (!sess.ssrcs) sess.ssrcs = [sess.ssrc];
-            sess.ssrcs.push(ssrc);
-            console.log(`✓ Matched unmatched packet SSRC ${ssrc} to session ${sessionId} as second SSRC (primary=${sess.ssrc})`);
-            break;
-          }
-        }
+      if (allSame && payload.length > 10) {
+        console.warn(`⚠ WARNING: All payload bytes are the same (0x${firstByte.toString(16)}). This might indicate a problem.`);
       }
     }
   }
   
-  if (sessionId) {
-    const session = activeSessions.get(sessionId);
-    
-    // Check if session exists and is not closing - if not, skip immediately
-    if (!session || session.closing) {
-      // Session doesn't exist or is being cleaned up - ignore late-arriving packets
-      return;
+  // Telephone-event (DTMF) packets share the SSRC and sequence space with the audio but carry no audio -
+  // record the digit and only mark their sequence numbers as consumed in the jitter buffer, so it doesn't
+  // wait for them or count them as lost (the timestamp gap they leave is filled there)
+  if (payloadType === DTMF_PAYLOAD_TYPE) {
+    session.dtmf.handlePacket(ssrc, timestamp >>> 0, payload, Date.now() - session.startTime);
+    getJitterBuffer(sessionId, session, ssrc, Codecs.CODECS[session.codec]).skip(sequenceNumber);
+    return;
+  }
+  
+  // Work out the codec from the payload type (PT=0 PCMU, PT=8 PCMA, PT=9 G.722, dynamic PT = configured codec)
+  const codec = Codecs.codecFromPayloadType(payloadType, session.codec);
+  if (!codec) {
+    if (!session.unsupportedPayloadTypes.has(payloadType)) {
+      session.unsupportedPayloadTypes.add(payloadType);
+      console.log(`Session ${sessionId}: Unsupported payload type ${payloadType} (session codec ${session.codec})`);
     }
-    
-    // FILTER: Only process packets for extensions 7001 and 7002
-    if (session.extension !== '7001' && session.extension !== '7002') {
-      // Skip packets from other extensions - don't log or process
+    return;
+  }
+  
+  // Queue the packet in this SSRC's jitter buffer - it is decoded and written in sequence order
+  const jitterBuffer = getJitterBuffer(sessionId, session, ssrc, codec);
+  jitterBuffer.push(sequenceNumber, timestamp, Codecs.payloadTicks(codec, payload), { codec, payload });
+}
+
+// Handle a packet received on a session's RTCP port (RTP port + 1)
+function handleRTCPPacket(sessionId, msg, rinfo) {
+  const session = activeSessions.get(sessionId);
+  if (!session || session.closing) return;
+  
+  const rtcp = session.rtcp;
+  if (session.srtp) {
+    // SRTCP - authenticate and decrypt before parsing
+    msg = session.srtp.unprotectRTCP(msg);
+    if (!msg) {
+      rtcp.errors++;
       return;
     }
-    
-    if (session && session.writeStream) {
-      // Extract payload - EXACTLY matching reference implementation
-      // Reference code line 114: const muPayload = msg.slice(12);
-      // Simple approach: just skip 12-byte RTP header (no CSRC/extension handling)
-      if (msg.length > 12) {
-        const payload = msg.slice(12);  // Simple slice like reference
-        
-        // Debug: Log first packet details to verify payload extraction
-        if (session.packetCount === 0) {
-          console.log(`[7001/7002] First packet for session ${sessionId.substring(0, 8)}...: payload size=${payload.length}, total packet=${msg.length}, PT=${payloadType}, CSRC=${csrcCount}, Ext=${hasExtension}`);
-          if (payload.length > 0) {
-            console.log(`[7001/7002] First payload bytes (hex): ${payload.slice(0, Math.min(20, payload.length)).toString('hex')}`);
-            // Also show first few μ-law values for debugging
-            const muSamples = [];
-            for (let i = 0; i < Math.min(10, payload.length); i++) {
-              muSamples.push(`0x${payload[i].toString(16).padStart(2, '0')}`);
-            }
-            console.log(`[7001/7002] First μ-law samples: ${muSamples.join(', ')}`);
-            
-            // Check if all bytes are the same (might indicate an issue)
-            const firstByte = payload[0];
-            let allSame = true;
-            for (let i = 1; i < Math.min(20, payload.length); i++) {
-              if (payload[i] !== firstByte) {
-                allSame = false;
-                break;
-              }
-            }
-            if (allSame && payload.length > 10) {
-              console.warn(`[7001/7002] ⚠ WARNING: All payload bytes are the same (0x${firstByte.toString(16)}). This might indicate a problem.`);
-            }
-          }
-        }
-        
-        // CRITICAL: Detect codec from RTP payload type and update session if needed
-        // PT=0 = PCMU (μ-law), PT=8 = PCMA (A-law)
-        // Note: Bidirectional audio means we'll receive both codecs - handle per SSRC
-        const ssrcCodec = payloadType === 0 ? 'PCMU' : 'PCMA';
-        
-        // Track codec per SSRC (bidirectional audio can have different codecs per direction)
-        if (!session.ssrcCodecs) {
-          session.ssrcCodecs = new Map();
-        }
-        
-        // Only log mismatch once per SSRC
-        if (!session.ssrcCodecs.has(ssrc)) {
-          session.ssrcCodecs.set(ssrc, ssrcCodec);
-          if (session.codec !== ssrcCodec && session.packetCount < 10) {
-            // Only warn on first few packets to avoid spam
-            console.log(`[7001/7002] Detected codec ${ssrcCodec} (PT=${payloadType}) for SSRC ${ssrc} (session default: ${session.codec})`);
-          }
-        }
-        
-        // Use SSRC-specific codec for this packet
-        const packetCodec = session.ssrcCodecs.get(ssrc) || ssrcCodec;
-        
-        // Convert PCMU (G.711 μ-law) to PCM
-        // Use packetCodec (SSRC-specific) instead of session.codec for bidirectional audio
-        if (payloadType === 0 || packetCodec === 'PCMU') {
-          if (payload.length > 0) {
-            // Check for silence packets (0x7F in μ-law is silence, but 0xFF is also silence/error)
-            let silenceCount = 0;
-            let ffCount = 0;
-            for (let i = 0; i < payload.length; i++) {
-              if (payload[i] === 0x7F) silenceCount++;
-              if (payload[i] === 0xFF) ffCount++;
-            }
-            
-            // Warn if all bytes are 0xFF (this indicates no audio or connection issue)
-            if (ffCount === payload.length && session.packetCount === 0) {
-              console.error(`[7001/7002] ⚠ CRITICAL: All payload bytes are 0xFF! This indicates:`);
-              console.error(`[7001/7002]   1. External media channel not receiving audio from bridge`);
-              console.error(`[7001/7002]   2. Codec mismatch (configured ${EXTERNAL_MEDIA_CODEC} but receiving PCMU)`);
-              console.error(`[7001/7002]   3. Bridge not properly set up`);
-            }
-            
-            const pcmData = convertPCMUtoPCM(payload);
-            if (pcmData && pcmData.length > 0) {
-              // Check if PCM data contains actual audio (not all zeros or silence)
-              let maxSample = 0;
-              let minSample = 0;
-              let nonZeroSamples = 0;
-              for (let i = 0; i < pcmData.length; i += 2) {
-                const sample = pcmData.readInt16LE(i);
-                if (sample !== 0) nonZeroSamples++;
-                maxSample = Math.max(maxSample, Math.abs(sample));
-                minSample = Math.min(minSample, Math.abs(sample));
-              }
-              
-              // Log audio level diagnostics for first few packets
-              if (session.packetCount === 0) {
-                console.log(`[7001/7002] Audio level check - Max: ${maxSample}, Min: ${minSample}, Non-zero samples: ${nonZeroSamples}/${pcmData.length/2}`);
-                console.log(`[7001/7002] Silence check - μ-law silence bytes (0x7F): ${silenceCount}/${payload.length}`);
-                if (silenceCount === payload.length) {
-                  console.warn(`[7001/7002] ⚠ WARNING: All payload bytes are silence (0x7F). No audio data in packet.`);
-                }
-                if (maxSample < 100) {
-                  console.warn(`[7001/7002] ⚠ WARNING: Very low audio levels detected (max=${maxSample}). Audio may be silent or very quiet.`);
-                }
-                // Show first few PCM samples for debugging
-                const sampleCount = Math.min(5, pcmData.length / 2);
-                const samples = [];
-                for (let i = 0; i < sampleCount * 2; i += 2) {
-                  samples.push(pcmData.readInt16LE(i));
-                }
-                console.log(`[7001/7002] First ${sampleCount} PCM samples:`, samples);
-              }
-              
-              try {
-                // Check if stream is writable before writing
-                if (session.writeStream && session.writeStream.writable && !session.writeStream.destroyed) {
-                  const written = session.writeStream.write(pcmData);
-                  if (!written) {
-                    // Buffer is full, wait for drain
-                    session.writeStream.once('drain', () => {
-                      console.log(`[7001/7002] WAV stream drained for session ${sessionId.substring(0, 8)}...`);
-                    });
-                  }
-                  session.packetCount = (session.packetCount || 0) + 1;
-                  if (session.packetCount === 1 || session.packetCount % 100 === 0) {
-                    console.log(`[7001/7002] Session ${sessionId.substring(0, 8)}... (ext: ${session.extension}): Received ${session.packetCount} packets, SSRC=${ssrc}, PCM size=${pcmData.length}, Max level=${maxSample}`);
-                  }
-                } else {
-                  if (session.packetCount === 0) {
-                    console.error(`[7001/7002] ⚠ WARNING: WriteStream not writable for first packet! writable=${session.writeStream?.writable}, destroyed=${session.writeStream?.destroyed}`);
-                  }
-                }
-              } catch (writeErr) {
-                console.error(`[7001/7002] Error writing to WAV stream:`, writeErr.message || writeErr);
-                console.error(`[7001/7002] WriteStream state: writable=${session.writeStream?.writable}, destroyed=${session.writeStream?.destroyed}, writableEnded=${session.writeStream?.writableEnded}`);
-              }
-            } else {
-              if (session.packetCount === 0) {
-                console.warn(`[7001/7002] Warning: PCM conversion returned empty buffer for first packet`);
-              }
-            }
-          } else {
-            if (session.packetCount === 0) {
-              console.warn(`[7001/7002] Warning: Empty payload in first packet`);
-            }
-          }
-        } else if (payloadType === 8 || packetCodec === 'PCMA') {
-          // PCMA (G.711 A-law)
-          if (payload.length > 0) {
-            // Check for silence packets (0xD5 in A-law is silence, similar to 0x7F in μ-law)
-            let silenceCount = 0;
-            for (let i = 0; i < payload.length; i++) {
-              if (payload[i] === 0xD5) silenceCount++;  // A-law silence value
-            }
-            
-            const pcmData = convertPCMAtoPCM(payload);
-            if (pcmData && pcmData.length > 0) {
-              // Check if PCM data contains actual audio (not all zeros or silence)
-              let maxSample = 0;
-              let minSample = 0;
-              let nonZeroSamples = 0;
-              for (let i = 0; i < pcmData.length; i += 2) {
-                const sample = pcmData.readInt16LE(i);
-                if (sample !== 0) nonZeroSamples++;
-                maxSample = Math.max(maxSample, Math.abs(sample));
-                minSample = Math.min(minSample, Math.abs(sample));
-              }
-              
-              // Log audio level diagnostics for first few packets
-              if (session.packetCount === 0) {
-                console.log(`[7001/7002] Audio level check (A-law) - Max: ${maxSample}, Min: ${minSample}, Non-zero samples: ${nonZeroSamples}/${pcmData.length/2}`);
-                console.log(`[7001/7002] Silence check (A-law) - silence bytes (0xD5): ${silenceCount}/${payload.length}`);
-                if (silenceCount === payload.length) {
-                  console.warn(`[7001/7002] ⚠ WARNING: All payload bytes are silence (0xD5). No audio data in packet.`);
-                }
-                if (maxSample < 100) {
-                  console.warn(`[7001/7002] ⚠ WARNING: Very low audio levels detected (max=${maxSample}). Audio may be silent or very quiet.`);
-                }
-                // Show first few PCM samples for debugging
-                const sampleCount = Math.min(5, pcmData.length / 2);
-                const samples = [];
-                for (let i = 0; i < sampleCount * 2; i += 2) {
-                  samples.push(pcmData.readInt16LE(i));
-                }
-                console.log(`[7001/7002] First ${sampleCount} PCM samples (A-law):`, samples);
-              }
-              
-              try {
-                // Check if stream is writable before writing
-                if (session.writeStream && session.writeStream.writable && !session.writeStream.destroyed) {
-                  const written = session.writeStream.write(pcmData);
-                  if (!written) {
-                    // Buffer is full, wait for drain
-                    session.writeStream.once('drain', () => {
-                      console.log(`[7001/7002] WAV stream drained for session ${sessionId.substring(0, 8)}...`);
-                    });
-                  }
-                  session.packetCount = (session.packetCount || 0) + 1;
-                  if (session.packetCount === 1 || session.packetCount % 100 === 0) {
-                    console.log(`[7001/7002] Session ${sessionId.substring(0, 8)}... (ext: ${session.extension}): Received ${session.packetCount} packets, SSRC=${ssrc}, PCM size=${pcmData.length}, Max level=${maxSample}`);
-                  }
-                } else {
-                  if (session.packetCount === 0) {
-                    console.error(`[7001/7002] ⚠ WARNING: WriteStream not writable for first packet! writable=${session.writeStream?.writable}, destroyed=${session.writeStream?.destroyed}`);
-                  }
-                }
-              } catch (writeErr) {
-                console.error(`[7001/7002] Error writing to WAV stream:`, writeErr.message || writeErr);
-                console.error(`[7001/7002] WriteStream state: writable=${session.writeStream?.writable}, destroyed=${session.writeStream?.destroyed}, writableEnded=${session.writeStream?.writableEnded}`);
-              }
-            } else {
-              if (session.packetCount === 0) {
-                console.warn(`[7001/7002] Warning: PCM conversion returned empty buffer for first packet`);
-              }
-            }
-          } else {
-            if (session.packetCount === 0) {
-              console.warn(`[7001/7002] Warning: Empty payload in first packet`);
-            }
-          }
-        } else {
-          if (session.packetCount === 0) {
-            console.log(`[7001/7002] Session ${sessionId}: Unsupported payload type ${payloadType} (expected 0 for PCMU or 8 for PCMA)`);
-          }
-        }
-      } else {
-        if (session.packetCount === 0) {
-          console.warn(`[7001/7002] Warning: Packet too short (${msg.length} bytes, need > ${payloadOffset})`);
-        }
+  }
+  
+  let packets;
+  try {
+    packets = RTCP.parseCompound(msg);
+  } catch (err) {
+    rtcp.errors++;
+    if (rtcp.errors <= 5) {
+      console.warn(`[RTCP] Invalid packet on port ${session.rtcpPort} from ${rinfo.address}:${rinfo.port}: ${err.message}`);
+    }
+    return;
+  }
+  
+  const now = Date.now();
+  rtcp.packets++;
+  if (!rtcp.remote) {
+    console.log(`[RTCP] First RTCP packet for session ${sessionId.substring(0, 8)}... from ${rinfo.address}:${rinfo.port}`);
+  }
+  rtcp.remote = { address: rinfo.address, port: rinfo.port }; // Receiver reports go back here
+  
+  for (const packet of packets) {
+    switch (packet.type) {
+      case 'SR': {
+        // Remember the SR so our next RR can carry LSR/DLSR, and keep the sender's own counters
+        const stats = session.receptionStats.get(packet.ssrc);
+        const lsr = ((packet.ntpMsw & 0xFFFF) << 16 | (packet.ntpLsw >>> 16)) >>> 0;
+        if (stats) stats.lastSR = { lsr, arrivalMs: now };
+        rtcp.senderReports[packet.ssrc] = {
+          packetCount: packet.packetCount,
+          octetCount: packet.octetCount,
+          rtpTimestamp: packet.rtpTimestamp,
+          receivedAt: new Date(now).toISOString()
+        };
+        handleRTCPReportBlocks(session, packet.ssrc, packet.reports);
+        break;
       }
-    } else {
-      if (!sessionId) {
-        // Only log if we have active (non-closing) 7001/7002 sessions
-        const hasTargetSessions = Array.from(activeSessions.values()).some(s => !s.closing && (s.extension === '7001' || s.extension === '7002'));
-        if (hasTargetSessions) {
-          console.log(`[7001/7002] No session found for SSRC=${ssrc}, From=${rinfo.address}:${rinfo.port}`);
+      case 'RR':
+        handleRTCPReportBlocks(session, packet.ssrc, packet.reports);
+        break;
+      case 'SDES':
+        for (const chunk of packet.chunks) {
+          rtcp.sdes[chunk.ssrc] = chunk.items;
         }
-      } else if (!session) {
-        // Session was removed - this is expected during cleanup, don't log
-      } else if (!session.writeStream) {
-        console.log(`[7001/7002] Session ${sessionId} has no writeStream`);
+        break;
+      case 'BYE':
+        rtcp.byes.push({ ssrcs: packet.ssrcs, reason: packet.reason, receivedAt: new Date(now).toISOString() });
+        console.log(`[RTCP] BYE from SSRC ${packet.ssrcs.join(',')} for session ${sessionId.substring(0, 8)}...${packet.reason ? ` (${packet.reason})` : ''}`);
+        break;
+      default:
+        break;
+    }
+  }
+}
+
+// Keep the peer's view of the streams it reports on
+// (no round-trip time from these - that needs the peer to echo a sender report, and the recorder only receives)
+function handleRTCPReportBlocks(session, reporterSsrc, reports) {
+  for (const block of reports) {
+    session.rtcp.remoteReports[block.ssrc] = {
+      reporter: reporterSsrc,
+      fractionLost: block.fractionLost,
+      cumulativeLost: block.cumulativeLost,
+      jitter: block.jitter
+    };
+  }
+}
+
+// Send a receiver report for every session whose sender has told us its RTCP address
+function sendReceiverReports() {
+  for (const [sessionId, session] of activeSessions) {
+    if (session.closing || !session.rtcp.remote || !session.rtcpSocket || session.receptionStats.size === 0) continue;
+    let report = RTCP.buildReceiverReport(session.rtcp.ssrc, `rtp-recorder@${session.rtpAddress}`, Array.from(session.receptionStats.values()));
+    if (session.srtp) report = session.srtp.protectRTCP(report);
+    session.rtcpSocket.send(report, session.rtcp.remote.port, session.rtcp.remote.address, (err) => {
+      if (err) console.error(`[RTCP] Error sending RR for session ${sessionId}:`, err.message || err);
+    });
+  }
+}
+
+setInterval(sendReceiverReports, RTCP_INTERVAL_MS);
+
+// Round-trip time of each SIP leg of a call, as Asterisk measures it from the phones' RTCP (CHANNEL(rtcp,rtt),
+// in seconds) - the last figure is kept once the channel is gone
+async function refreshRoundTripTimes() {
+  if (!ariClient) return;
+  for (const session of activeSessions.values()) {
+    if (session.closing) continue;
+    for (const [leg, channelId] of [['caller', session.channelId], ['dialed', session.dialedChannelId]]) {
+      if (!channelId) continue;
+      try {
+        const variable = await ariClient.channels.getChannelVar({ channelId: channelId, variable: 'CHANNEL(rtcp,rtt)' });
+        const rtt = parseFloat(variable.value);
+        if (rtt > 0) session.rtcp.roundTripMs[leg] = rtt * 1000;
+      } catch (err) {
+        // Channel already hung up, or no RTCP on it yet
       }
     }
-  } else {
-    // Only log unmatched packets if we have active (non-closing) 7001/7002 sessions
-    const hasTargetSessions = Array.from(activeSessions.values()).some(s => !s.closing && (s.extension === '7001' || s.extension === '7002'));
-    
-    if (!hasTargetSessions) {
-      // No active 7001/7002 sessions - silently ignore all unmatched packets
-      return;
+  }
+}
+
+setInterval(refreshRoundTripTimes, RTCP_INTERVAL_MS);
+
+// Loss, jitter and round-trip figures for a session (HTTP API and the stats file written at cleanup)
+function getSessionStats(session) {
+  const streams = Array.from(session.receptionStats.values()).map(stats => {
+    const summary = stats.summary();
+    const senderReport = session.rtcp.senderReports[summary.ssrc];
+    if (senderReport) {
+      // Compare against what the sender says it sent
+      summary.senderPacketCount = senderReport.packetCount;
+    }
+    if (session.rtcp.sdes[summary.ssrc]) {
+      summary.cname = session.rtcp.sdes[summary.ssrc].cname || null;
+    }
+    return summary;
+  });
+  return {
+    streams: streams,
+    rtp: session.rtpParser.summary(),
+    srtp: session.srtp ? session.srtp.summary() : null,
+    rtcp: {
+      packets: session.rtcp.packets,
+      invalidPackets: session.rtcp.errors,
+      remote: session.rtcp.remote,
+      roundTripMs: session.rtcp.roundTripMs,
+      senderReports: session.rtcp.senderReports,
+      remoteReports: session.rtcp.remoteReports,
+      sdes: session.rtcp.sdes,
+      byes: session.rtcp.byes
+    }
+  };
+}
+
+// Get (or create) the jitter buffer for one SSRC of a session
+function getJitterBuffer(sessionId, session, ssrc, codec) {
+  let jitterBuffer = session.jitterBuffers.get(ssrc);
+  if (!jitterBuffer) {
+    jitterBuffer = new JitterBuffer({
+      depth: JITTER_BUFFER_PACKETS,
+      clockRate: codec.clockRate,
+      maxGap: Math.round(JITTER_MAX_GAP_MS * codec.clockRate / 1000),
+      onFrame: (frame) => writeRTPPayload(sessionId, session, ssrc, frame.data.codec, frame.data.payload, frame.timestamp),
+      // Gaps are measured in RTP clock ticks - convert to samples at the session rate
+      onGap: (ticks, timestamp) => writeConcealment(sessionId, session, ssrc, Math.round(ticks * session.sampleRate / codec.clockRate), timestamp, codec.clockRate)
+    });
+    session.jitterBuffers.set(ssrc, jitterBuffer);
+  }
+  return jitterBuffer;
+}
+
+// Fill a hole in the timeline (lost packets or silence suppression) so the recording keeps the call's length
+// The mixer places the fill at its RTP timestamp and drops whatever it has already padded with silence
+function writeConcealment(sessionId, session, ssrc, samples, timestamp, clockRate) {
+  const pcmData = JitterBuffer.concealment(samples, JITTER_GAP_FILL, session.lastPcm.get(ssrc));
+  session.concealedSamples = (session.concealedSamples || 0) + samples;
+  try {
+    if (session.writeStream && session.writeStream.writable && !session.writeStream.destroyed) {
+      writeSessionPCM(session, ssrc, pcmData, timestamp, clockRate);
+    }
+  } catch (writeErr) {
+    console.error(`Error writing concealment to WAV stream:`, writeErr.message || writeErr);
+  }
+}
+
+// Write decoded PCM from one SSRC - through the mixer when the session has one, straight to the WAV stream otherwise
+// `timestamp` (RTP ticks of `clockRate`) places the PCM on the mixer's timeline - AudioSocket frames have none
+// Returns false when the WAV stream's buffer is full
+function writeSessionPCM(session, ssrc, pcmData, timestamp = null, clockRate = null) {
+  if (session.mixer) {
+    const written = session.mixer.write(ssrc, pcmData, timestamp, clockRate || session.sampleRate);
+    if (session.toneDetectors) detectInbandDTMF(session, ssrc, pcmData);
+    return written;
+  }
+  return session.writeStream.write(pcmData);
+}
+
+// Look for in-band DTMF in a direction's decoded PCM, just written to the mixer - tones are placed on
+// the mixer's timeline so the redactor can silence them on the right channel
+function detectInbandDTMF(session, ssrc, pcmData) {
+  const end = session.mixer.sourcePosition(ssrc);
+  if (end === null) return;
+  let detector = session.toneDetectors.get(ssrc);
+  if (!detector) {
+    const channel = session.channels === 1 ? null : session.mixer.addSource(ssrc).channel;
+    detector = new DTMFToneDetector({
+      sampleRate: session.sampleRate,
+      onTone: (tone) => handleInbandTone(session, channel, tone, detector.blockSize)
+    });
+    session.toneDetectors.set(ssrc, detector);
+  }
+  detector.process(pcmData, end - pcmData.length / 2);
+}
+
+// A detected tone started, went on or ended - the silenced stretch gets a block's margin either side for
+// the parts of the tone the detector couldn't see whole
+function handleInbandTone(session, channel, tone, margin) {
+  if (!tone.record) {
+    tone.record = { start: tone.start, end: tone.end, channel: channel };
+    session.inbandTones.push(tone.record);
+    if (session.toneRedactor) {
+      tone.interval = { start: tone.start - margin, end: tone.end + margin, channel: channel, ended: false };
+      session.toneRedactor.redact(tone.interval);
+    }
+  }
+  tone.record.end = tone.end;
+  if (tone.interval) {
+    tone.interval.end = tone.end + margin;
+    tone.interval.ended = tone.ended;
+  }
+  if (tone.ended) {
+    // Which key it was is deliberately never logged
+    console.log(`In-band DTMF tone at ${(tone.start / session.sampleRate).toFixed(2)}s (${Math.round((tone.end - tone.start) * 1000 / session.sampleRate)}ms)${session.toneRedactor ? ', silenced' : ''}`);
+  }
+}
+
+// Decode an RTP payload to 16-bit LE PCM at the session's sample rate
+function decodeRTPPayload(session, ssrc, codec, payload) {
+  let pcmData;
+  switch (codec.name) {
+    case 'PCMU':
+      pcmData = convertPCMUtoPCM(payload);
+      break;
+    case 'PCMA':
+      pcmData = convertPCMAtoPCM(payload);
+      break;
+    case 'G722': {
+      // G.722 is stateful - one decoder per direction
+      let decoder = session.g722Decoders.get(ssrc);
+      if (!decoder) {
+        decoder = new G722Decoder();
+        session.g722Decoders.set(ssrc, decoder);
+      }
+      pcmData = decoder.decode(payload);
+      break;
+    }
+    case 'SLIN':
+    case 'SLIN16':
+      pcmData = Codecs.convertL16toPCM(payload);
+      break;
+    default:
+      return null;
+  }
+  // A narrowband direction in a wideband session is brought up to the session rate
+  return Codecs.convertSampleRate(pcmData, codec.sampleRate, session.sampleRate);
+}
+
+// Decode one in-order RTP payload and write it to the session's WAV stream
+function writeRTPPayload(sessionId, session, ssrc, codec, payload, timestamp) {
+  // Track codec per SSRC (bidirectional audio can have different codecs per direction)
+  // Only log mismatch once per SSRC
+  if (!session.ssrcCodecs.has(ssrc)) {
+    session.ssrcCodecs.set(ssrc, codec.name);
+    if (session.codec !== codec.name) {
+      console.log(`Detected codec ${codec.name} for SSRC ${ssrc} (session default: ${session.codec})`);
+    }
+  }
+  
+  if (payload.length === 0) {
+    if (session.packetCount === 0) {
+      console.warn(`Warning: Empty payload in first packet`);
+    }
+    return;
+  }
+  
+  // G.711 silence diagnostics on the first packet
+  // (0x7F/0xFF are μ-law silence, 0xD5 is A-law silence)
+  if (session.packetCount === 0 && (codec.name === 'PCMU' || codec.name === 'PCMA')) {
+    const silenceByte = codec.name === 'PCMU' ? 0x7F : 0xD5;
+    let silenceCount = 0;
+    let ffCount = 0;
+    for (let i = 0; i < payload.length; i++) {
+      if (payload[i] === silenceByte) silenceCount++;
+      if (payload[i] === 0xFF) ffCount++;
     }
     
-    // Log unmatched packets only if we have active 7001/7002 sessions (might be for them)
-    const activeCount = Array.from(activeSessions.values()).filter(s => !s.closing).length;
-    if (activeCount === 0) {
-      // Log first few unmatched packets when no sessions exist
-      if (global.unmatchedPacketCount === undefined) {
-        global.unmatchedPacketCount = 0;
+    // Warn if all bytes are 0xFF (this indicates no audio or connection issue)
+    if (codec.name === 'PCMU' && ffCount === payload.length) {
+      console.error(`⚠ CRITICAL: All payload bytes are 0xFF! This indicates:`);
+      console.error(`  1. External media channel not receiving audio from bridge`);
+      console.error(`  2. Codec mismatch (configured ${EXTERNAL_MEDIA_CODEC} but receiving PCMU)`);
+      console.error(`  3. Bridge not properly set up`);
+    }
+    console.log(`Silence check (${codec.name}) - silence bytes (0x${silenceByte.toString(16).toUpperCase()}): ${silenceCount}/${payload.length}`);
+    if (silenceCount === payload.length) {
+      console.warn(`⚠ WARNING: All payload bytes are silence (0x${silenceByte.toString(16).toUpperCase()}). No audio data in packet.`);
+    }
+  }
+  
+  const pcmData = decodeRTPPayload(session, ssrc, codec, payload);
+  if (!pcmData || pcmData.length === 0) {
+    if (session.packetCount === 0) {
+      console.warn(`Warning: PCM conversion returned empty buffer for first packet`);
+    }
+    return;
+  }
+  session.lastPcm.set(ssrc, pcmData); // Kept for packet loss concealment
+  
+  // Check if PCM data contains actual audio (not all zeros or silence)
+  let maxSample = 0;
+  let minSample = 0;
+  let nonZeroSamples = 0;
+  for (let i = 0; i < pcmData.length; i += 2) {
+    const sample = pcmData.readInt16LE(i);
+    if (sample !== 0) nonZeroSamples++;
+    maxSample = Math.max(maxSample, Math.abs(sample));
+    minSample = Math.min(minSample, Math.abs(sample));
+  }
+  
+  // Log audio level diagnostics for first few packets
+  if (session.packetCount === 0) {
+    console.log(`Audio level check (${codec.name}) - Max: ${maxSample}, Min: ${minSample}, Non-zero samples: ${nonZeroSamples}/${pcmData.length/2}`);
+    if (maxSample < 100) {
+      console.warn(`⚠ WARNING: Very low audio levels detected (max=${maxSample}). Audio may be silent or very quiet${session.postProcess ? ` - post-processing (${AudioProcessor.describeStages(session.postProcess)}) will run when the call ends` : ''}.`);
+    }
+    // Show first few PCM samples for debugging
+    const sampleCount = Math.min(5, pcmData.length / 2);
+    const samples = [];
+    for (let i = 0; i < sampleCount * 2; i += 2) {
+      samples.push(pcmData.readInt16LE(i));
+    }
+    console.log(`First ${sampleCount} PCM samples (${codec.name}):`, samples);
+  }
+  
+  try {
+    // Check if stream is writable before writing
+    if (session.writeStream && session.writeStream.writable && !session.writeStream.destroyed) {
+      const written = writeSessionPCM(session, ssrc, pcmData, timestamp, codec.clockRate);
+      if (!written) {
+        // Buffer is full, wait for drain
+        session.writeStream.once('drain', () => {
+          console.log(`WAV stream drained for session ${sessionId.substring(0, 8)}...`);
+        });
       }
-      global.unmatchedPacketCount++;
-      if (global.unmatchedPacketCount <= 10 || global.unmatchedPacketCount % 100 === 0) {
-        console.log(`[7001/7002] ⚠ Unmatched RTP packet: SSRC=${ssrc}, PT=${payloadType}, From=${rinfo.address}:${rinfo.port}, Active sessions: 0`);
-        console.log(`  → No active sessions! Packets arriving but no call in progress.`);
+      session.packetCount = (session.packetCount || 0) + 1;
+      if (session.packetCount === 1 || session.packetCount % 100 === 0) {
+        console.log(`Session ${sessionId.substring(0, 8)}... (ext: ${session.extension}): Received ${session.packetCount} packets, SSRC=${ssrc}, PCM size=${pcmData.length}, Max level=${maxSample}`);
       }
     } else {
-      // Log occasionally when we have active sessions but can't match
-      if (Math.random() < 0.01) {
-        const targetSessions = Array.from(activeSessions.entries()).filter(([_, s]) => !s.closing && (s.extension === '7001' || s.extension === '7002'));
-        console.log(`[7001/7002] ⚠ Unmatched RTP packet: SSRC=${ssrc}, PT=${payloadType}, From=${rinfo.address}:${rinfo.port}`);
-        console.log(`  → Active 7001/7002 sessions:`, targetSessions.map(([id, s]) => `${id.substring(0, 8)}... (${s.extension})`));
-        console.log(`  → Session SSRCs:`, targetSessions.map(([_, s]) => {
-          if (s.ssrcs && s.ssrcs.length > 0) {
-            return s.ssrcs.join(',');
-          }
-          return s.ssrc || 'none';
-        }));
-        
-        // Try to match to a session that has only one SSRC (likely bidirectional audio)
-        for (const [sid, sess] of targetSessions) {
-          if (sess.ssrcs && sess.ssrcs.length === 1 && !sess.ssrcs.includes(ssrc)) {
-            sess.ssrcs.push(ssrc);
-            console.log(`  → ✓ Auto-matched SSRC ${ssrc} to session ${sid.substring(0, 8)}... as second SSRC (bidirectional audio)`);
-            sessionId = sid;
-            break;
-          }
-        }
+      if (session.packetCount === 0) {
+        console.error(`⚠ WARNING: WriteStream not writable for first packet! writable=${session.writeStream?.writable}, destroyed=${session.writeStream?.destroyed}`);
       }
     }
+  } catch (writeErr) {
+    console.error(`Error writing to WAV stream:`, writeErr.message || writeErr);
+    console.error(`WriteStream state: writable=${session.writeStream?.writable}, destroyed=${session.writeStream?.destroyed}, writableEnded=${session.writeStream?.writableEnded}`);
   }
-});
-
-rtpServer.on('error', (err) => {
-  console.error('RTP Server error:', err.message || err);
-  // Don't crash - RTP server errors are recoverable
-});
-
-rtpServer.bind(RTP_PORT, '0.0.0.0', () => {
-  console.log(`✓ RTP Server listening on UDP port ${RTP_PORT} on all interfaces (0.0.0.0)`);
-  console.log(`  Waiting for RTP packets from Asterisk...`);
-  console.log(`\n  ⚠ IMPORTANT: If no packets arrive, check:`);
-  console.log(`    1. Firewall allows UDP port ${RTP_PORT}`);
-  console.log(`    2. Asterisk can reach this server at ${getRTPServerAddress()}:${RTP_PORT}`);
-  console.log(`    3. External media channel is added to bridge`);
-  console.log(`    4. Call is actually connected (Dial() answered)`);
-  console.log(`    5. External media channel is receiving audio in bridge\n`);
-  
-  // Test: Log when server is ready
-  console.log(`  To test connectivity from Asterisk server, run:`);
-  console.log(`    echo "test" | nc -u ${getRTPServerAddress()} ${RTP_PORT}`);
-  console.log(`  You should see [UDP] Packet logs if connectivity is OK\n`);
-});
+}
 
 // Use RTPServer static methods for conversion (using reference implementation)
 function convertPCMUtoPCM(pcmuData) {
@@ -598,27 +1107,6 @@ function convertPCMAtoPCM(pcmaData) {
   return pcmData;
 }
 
-// Find session by SSRC (skip closing sessions)
-function findSessionBySSRC(ssrc) {
-  for (const [sessionId, session] of activeSessions.entries()) {
-    if (!session.closing && session.ssrc === ssrc) {
-      return sessionId;
-    }
-  }
-  return null;
-}
-
-// Find session by RTP address (skip closing sessions)
-function findSessionByAddress(address, port) {
-  for (const [sessionId, session] of activeSessions.entries()) {
-    // Match by port (since address might vary due to NAT) and skip closing sessions
-    if (!session.closing && session.rtpPort === port) {
-      return sessionId;
-    }
-  }
-  return null;
-}
-
 // Log session status periodically
 function logSessionStatus() {
   // Filter out closing sessions - only show active ones
@@ -636,7 +1124,7 @@ function logSessionStatus() {
       console.log(`  RTP Packets: ${session.packetCount || 0} ${session.packetCount > 0 ? '✓' : '❌'}`);
       console.log(`  Duration: ${duration.toFixed(2)}s`);
       console.log(`  Bridge ID: ${session.bridgeId || '❌ NOT IN BRIDGE'}`);
-      console.log(`  RTP Target: ${session.rtpAddress}:${session.rtpPort}`);
+      console.log(`  ${session.transport === 'audiosocket' ? 'AudioSocket' : 'RTP'} Target: ${session.rtpAddress}:${session.rtpPort || AUDIOSOCKET_PORT}`);
       
       // Critical warnings
       if (session.packetCount === 0 && duration > 3) {
@@ -667,35 +1155,254 @@ function logSessionStatus() {
             console.log(`     Could not check bridge status: ${err.message || err}`);
           });
         }
-      } else if (session.packetCount > 0) {
-        const packetsPerSecond = duration > 0 ? (session.packetCount / duration).toFixed(1) : '0';
-        console.log(`  ✓ Recording active: ${packetsPerSecond} packets/sec`);
+      } else if (session.packetCount > 0) {
+        const packetsPerSecond = duration > 0 ? (session.packetCount / duration).toFixed(1) : '0';
+        console.log(`  ✓ Recording active: ${packetsPerSecond} packets/sec`);
+      }
+    }
+    console.log(`\nTotal UDP packets received by server: ${totalUdpPackets || 0}`);
+    if (totalUdpPackets === 0 && activeOnly.length > 0) {
+      console.log(`  ❌ NO UDP packets received at all - check network/firewall!`);
+    }
+    console.log(`════════════════════════════════════════════════════════════\n`);
+  }
+}
+
+// Log session status every 5 seconds (more frequent for debugging)
+setInterval(logSessionStatus, 5000);
+
+// G.711 encoder tables for the wav-alaw/wav-ulaw formats - inverses of the decoders above
+const g711EncodeTables = {
+  alaw: Codecs.g711EncodeTable(code => alawTable[code ^ 0x55]),
+  ulaw: Codecs.g711EncodeTable(code => RTPServer.muLawToLinearStatic(code))
+};
+
+// Recording format for an extension
+function recordingFormatFor(extension) {
+  return RECORDING_FORMAT_BY_EXTENSION[extension] || RECORDING_FORMAT;
+}
+
+// Post-processing stages for an extension - null if its recordings are kept as captured
+function postProcessFor(extension) {
+  return extension in POSTPROCESS_BY_EXTENSION ? POSTPROCESS_BY_EXTENSION[extension] : POSTPROCESS;
+}
+
+// Create the recording writer for a session (format registry in recordingFormats.js)
+function createRecordingWriter(formatName, basePath, sampleRate = 8000, channels = 1, postProcess = null) {
+  return RecordingFormats.createRecordingWriter(formatName, basePath, {
+    sampleRate: sampleRate,
+    channels: channels,
+    outputSampleRate: RECORDING_SAMPLE_RATE || sampleRate,
+    resampleAt: RESAMPLE_AT,
+    g711Tables: g711EncodeTables,
+    convertToMP3: convertToMP3,
+    headerUpdateMs: WAV_HEADER_UPDATE_MS,
+    encryption: recordingEncryption,
+    mp3Encoder: mp3Converter,
+    keepMP3Wav: !MP3_DELETE_WAV,
+    postProcess: postProcess ? {
+      stages: postProcess,
+      keepRaw: POSTPROCESS_KEEP_RAW,
+      onReport: (report) => {
+        const loudness = report.loudness !== null ? `, measured ${report.loudness} LUFS` : '';
+        console.log(`Post-processed ${path.basename(report.path)} (${report.stages}${loudness}, gain ${report.gainDb} dB, peak ${report.outputPeakDb} dBFS${report.clippedSamples > 0 ? `, ${report.clippedSamples} samples clipped` : ''})`);
+      }
+    } : null
+  });
+}
+
+// Encrypt a plaintext recording file (one made before encryption was enabled) - its format details go
+// into the encryption header so listings don't need the key
+async function encryptRecordingFile(filePath) {
+  const info = await RecordingFormats.probeRecording(filePath).catch(() => null);
+  const encryptedPath = await recordingEncryption.encryptFile(filePath, info || {});
+  console.log(`Encrypted ${path.basename(filePath)} -> ${path.basename(encryptedPath)}`);
+  return encryptedPath;
+}
+
+// Names of a session's finished files in RECORDINGS_DIR (recordings, segments and sidecars)
+async function sessionFiles(session) {
+  const directory = path.dirname(session.basePath);
+  const prefix = path.basename(session.basePath);
+  return (await fs.readdir(directory))
+    .filter(f => f.startsWith(`${prefix}.`) || f.startsWith(`${prefix}-part-`))
+    .filter(f => !f.endsWith('.part'))
+    .map(f => recordingStorage.local.nameFor(path.join(directory, f)));
+}
+
+// Seal a finished session's recordings and segment manifest in the ledger, as they will be stored
+async function sealSession(session) {
+  if (!recordingLedger) return;
+  await sealFiles(await sessionFiles(session));
+}
+
+// Files that go into the ledger - recordings and segment manifests
+function isSealable(file) {
+  return RecordingFormats.isRecordingFile(file) || file.endsWith('.manifest.json');
+}
+
+// Seal the recordings and segment manifests among finished files in RECORDINGS_DIR
+async function sealFiles(files) {
+  for (const file of files.filter(isSealable)) {
+    try {
+      const entry = await recordingLedger.seal(recordingStorage.local.pathFor(file), file);
+      console.log(`Sealed ${file} in ledger entry ${entry.seq} (sha256 ${entry.sha256.substring(0, 16)}...)`);
+    } catch (err) {
+      console.error(`Failed to seal ${file} in ${LEDGER_FILE}:`, err.message || err);
+    }
+  }
+}
+
+// Upload a finished session's files to the remote store - recordings first (with their format details as
+// object metadata), then the manifest and stats that refer to them. A file that fails to upload stays in
+// RECORDINGS_DIR and is still listed and served from there.
+async function archiveSession(session) {
+  if (!recordingStorage.remote) return;
+  await archiveFiles(await sessionFiles(session));
+}
+
+// Upload finished files from RECORDINGS_DIR, recordings before the sidecars that refer to them
+async function archiveFiles(files) {
+  const isRecording = (file) => RecordingFormats.isRecordingFile(file);
+  const ordered = files.filter(isRecording).concat(files.filter(f => !isRecording(f)));
+  for (const file of ordered) {
+    try {
+      const metadata = {};
+      if (isRecording(file)) {
+        const info = await RecordingFormats.probeRecording(recordingStorage.local.pathFor(file)).catch(() => null);
+        if (info) {
+          metadata.format = info.format;
+          metadata['sample-rate'] = String(info.sampleRate);
+          metadata.channels = String(info.channels);
+          if (info.durationSec !== null) metadata['duration-sec'] = info.durationSec.toFixed(3);
+        }
       }
+      const result = await recordingStorage.archive(file, metadata);
+      console.log(`Uploaded ${file} to ${result.location} (${result.size} bytes${result.attempts > 1 ? `, ${result.attempts} attempts` : ''})${STORAGE_KEEP_LOCAL ? '' : ' - local copy removed'}`);
+    } catch (err) {
+      console.error(`Failed to upload ${file}, keeping it in ${RECORDINGS_DIR}:`, err.message || err);
     }
-    console.log(`\nTotal UDP packets received by server: ${totalUdpPackets || 0}`);
-    if (totalUdpPackets === 0 && activeOnly.length > 0) {
-      console.log(`  ❌ NO UDP packets received at all - check network/firewall!`);
+  }
+}
+
+// Repair WAV files left behind by a crash - the writer only knows the final sizes when a call ends,
+// so a recording cut short has the writer's placeholder sizes (or zero) in its header
+async function recoverRecordings() {
+  const inUse = new Set(Array.from(activeSessions.values()).flatMap(s => s.recordingWriter ? s.recordingWriter.paths : []));
+  const stored = (await recordingStorage.local.list()).map(entry => entry.filename);
+  const files = stored.filter(f => path.extname(f).toLowerCase() === '.wav');
+  let recovered = 0;
+  for (const file of files) {
+    const filePath = recordingStorage.local.pathFor(file);
+    if (inUse.has(filePath)) continue;
+    try {
+      const result = await syncWavHeader(filePath);
+      if (!result) {
+        console.warn(`Recovery: ${file} has no usable WAV header - left as is`);
+      } else if (result.updated) {
+        recovered++;
+        console.log(`Recovery: repaired ${file} - header claimed ${result.previousDataLength} bytes, ${result.dataLength} bytes (${result.durationSec.toFixed(2)}s) on disk`);
+      }
+    } catch (err) {
+      console.error(`Recovery: failed to repair ${file}:`, err.message || err);
+    }
+  }
+  console.log(`Recovery: checked ${files.length} WAV file(s), repaired ${recovered}`);
+
+  // Encrypted captures of calls cut short by a crash - written with placeholder header sizes and
+  // possibly a partial last chunk, so they get their final sizes from what can still be decrypted
+  if (recordingEncryption) {
+    const captures = stored
+      .filter(f => f.endsWith(`.raw.wav${RecordingEncryption.ENCRYPTED_EXTENSION}`))
+      .map(f => recordingStorage.local.pathFor(f))
+      .filter(filePath => !inUse.has(filePath));
+    for (const filePath of captures) {
+      try {
+        const durationSec = await RecordingFormats.recoverCapture(recordingEncryption, filePath);
+        console.log(`Recovery: repaired ${path.basename(filePath)} (${durationSec.toFixed(2)}s)`);
+      } catch (err) {
+        console.error(`Recovery: failed to repair ${path.basename(filePath)}:`, err.message || err);
+      }
+    }
+  }
+
+  // Recordings left in plaintext (made before encryption was enabled)
+  if (recordingEncryption) {
+    const plaintext = (await recordingStorage.local.list())
+      .map(entry => entry.filename)
+      .filter(f => RecordingFormats.isRecordingFile(f) && !RecordingEncryption.isEncryptedName(f))
+      .map(f => recordingStorage.local.pathFor(f))
+      .filter(filePath => !inUse.has(filePath));
+    for (const filePath of plaintext) {
+      try {
+        await encryptRecordingFile(filePath);
+      } catch (err) {
+        console.error(`Recovery: failed to encrypt ${path.basename(filePath)}:`, err.message || err);
+      }
     }
-    console.log(`════════════════════════════════════════════════════════════\n`);
   }
 }
 
-// Log session status every 5 seconds (more frequent for debugging)
-setInterval(logSessionStatus, 5000);
+// Seal and upload the finished recordings of calls a previous run didn't get to (it was stopped or died
+// between the end of a call and the upload) - files of live or finishing sessions are left to their cleanup
+async function completeRecordings() {
+  if (!recordingLedger && !recordingStorage.remote) return;
+  const local = (await recordingStorage.list())
+    .filter(entry => entry.storage.includes(recordingStorage.local.name))
+    .filter(entry => {
+      const recordingName = RetentionSweeper.recordingId(entry.filename);
+      return recordingName !== null && !isRecordingInUse(recordingName);
+    });
+
+  if (recordingLedger) {
+    const sealed = new Set((await RecordingLedger.readEntries(LEDGER_FILE)).map(entry => entry.filename));
+    const unsealed = local.map(entry => entry.filename).filter(f => isSealable(f) && !sealed.has(f));
+    if (unsealed.length > 0) {
+      console.log(`Recovery: sealing ${unsealed.length} file(s) missing from the ledger`);
+      await sealFiles(unsealed);
+    }
+  }
+  if (recordingStorage.remote) {
+    const unarchived = local.filter(entry => !entry.storage.includes(recordingStorage.remote.name)).map(entry => entry.filename);
+    if (unarchived.length > 0) {
+      console.log(`Recovery: uploading ${unarchived.length} file(s) missing from ${recordingStorage.remote.name}`);
+      await archiveFiles(unarchived);
+    }
+  }
+}
 
-// Create WAV file writer using RTPServer static method (matching reference implementation)
-function createWAVWriter(filePath, sampleRate = 8000, channels = 1, bitDepth = 16) {
-  // Use the reference RTPServer static method
-  return RTPServer.createWAVWriter(filePath, sampleRate, channels, bitDepth);
+// Add metadata sidecars that aren't in the index yet (a new or deleted database, or sidecars copied in
+// from elsewhere) - indexed recordings are skipped, so this only reads the missing ones
+async function indexRecordings() {
+  const nameOf = (file) => file.slice(0, -'.metadata.json'.length);
+  const sidecars = (await recordingStorage.list())
+    .map(entry => entry.filename)
+    .filter(f => f.endsWith('.metadata.json') && !recordingIndex.getByName(nameOf(f)));
+  for (const file of sidecars) {
+    try {
+      recordingIndex.upsert(Object.assign(await recordingStorage.readJson(file), { name: nameOf(file) }));
+    } catch (err) {
+      console.error(`Index: failed to add ${file}:`, err.message || err);
+    }
+  }
+  if (sidecars.length > 0) {
+    console.log(`Index: added ${sidecars.length} recording(s) from their metadata sidecars (${recordingIndex.size} indexed)`);
+  }
 }
 
-// Convert WAV to MP3 using ffmpeg (if available) or keep as WAV
+// MP3 encoder shared by all sessions
+const mp3Converter = new MP3Converter({ bitrate: MP3_BITRATE, mode: MP3_MODE, encoder: MP3_ENCODER });
+
+// Convert WAV to MP3 - returns the path of the file to keep
 async function convertToMP3(wavPath, mp3Path) {
-  // For now, we'll save as WAV. In production, use ffmpeg or a proper library
-  // You can add ffmpeg conversion here if needed
-  // Skip conversion for now - just return the WAV path
-  // TODO: Implement actual MP3 conversion using ffmpeg or similar
-  return wavPath;
+  const started = Date.now();
+  const result = await mp3Converter.convert(wavPath, mp3Path);
+  console.log(`✓ MP3 written with ${result.encoder}: ${mp3Path} (${(result.bytes / 1024).toFixed(2)} KB, ${result.durationSec.toFixed(2)}s audio, ${Date.now() - started}ms)`);
+  if (MP3_DELETE_WAV) {
+    await fs.remove(wavPath);
+    console.log(`Deleted WAV ${wavPath} after MP3 conversion`);
+  }
+  return mp3Path;
 }
 
 // Initialize ARI client
@@ -757,8 +1464,17 @@ async function waitForARI(maxAttempts = 60, delay = 5000) {
   console.log('RTP Server Configuration:');
   console.log(`  ARI URL: ${ARI_URL}`);
   console.log(`  ARI Username: ${ARI_USERNAME}`);
-  console.log(`  RTP Port: ${RTP_PORT}`);
+  console.log(`  Media Transport: ${MEDIA_TRANSPORT}`);
+  if (MEDIA_TRANSPORT === 'audiosocket') {
+    console.log(`  AudioSocket Port: ${AUDIOSOCKET_PORT}/tcp`);
+  } else {
+    console.log(`  RTP Port Range: ${rtpPortPool.minPort}-${rtpPortPool.maxPort} (${rtpPortPool.capacity} sessions)`);
+  }
+  console.log(`  RTP Server Address: ${getRTPServerAddress()}`);
   console.log(`  Recordings Directory: ${RECORDINGS_DIR}`);
+  if (recordingStorage.remote) {
+    console.log(`  Recording Storage: ${recordingStorage.remote.describe()}${STORAGE_KEEP_LOCAL ? ' (keeping local copies)' : ''}`);
+  }
   console.log('='.repeat(60));
   console.log(`Connecting to ARI...`);
   
@@ -852,6 +1568,50 @@ async function connectARI() {
       }
     }
     
+    // Calls routed by a rule with record: false - dialed and bridged the same way as recorded calls, but
+    // without an external media channel or session. Each leg maps to its call's { bridge, channelIds }, and
+    // when one leg is destroyed the others are hung up and the bridge removed
+    const unrecordedCalls = new Map();
+
+    async function connectUnrecorded(channel, route) {
+      try {
+        await channel.answer();
+        const bridge = await ariClient.bridges.create({ type: 'mixing' });
+        const call = { bridge: bridge, channelIds: [channel.id] };
+        unrecordedCalls.set(channel.id, call);
+        await bridge.addChannel({ channel: channel.id });
+        const outboundChannel = await ariClient.channels.originate({
+          endpoint: route.endpoint,
+          app: 'rtp-recorder',
+          appArgs: 'dialed',
+          timeout: route.timeout
+        });
+        call.channelIds.push(outboundChannel.id);
+        unrecordedCalls.set(outboundChannel.id, call);
+        console.log(`Dialed ${route.endpoint} (${outboundChannel.id}) for unrecorded call ${channel.id} in bridge ${bridge.id}`);
+      } catch (err) {
+        console.error(`Error dialing ${route.endpoint} for unrecorded call ${channel.id}:`, err.message || err);
+        await endUnrecordedCall(channel.id, false);
+        try {
+          await channel.continueInDialplan();
+        } catch (e) {
+          // Ignore - the channel may already be gone
+        }
+      }
+    }
+
+    async function endUnrecordedCall(channelId, hangup = true) {
+      const call = unrecordedCalls.get(channelId);
+      if (!call) return;
+      for (const id of call.channelIds) {
+        unrecordedCalls.delete(id);
+        if (hangup && id !== channelId) {
+          await ariClient.channels.hangup({ channelId: id }).catch(() => {});
+        }
+      }
+      await call.bridge.destroy().catch(() => {});
+    }
+
     // Set up Stasis application - matching reference implementation pattern
     ariClient.on('StasisStart', async (event, channel) => {
       console.log(`Channel ${channel.id} entered Stasis application`);
@@ -887,30 +1647,47 @@ async function connectARI() {
         return;
       }
       
-      // Only handle extensions 7001 and 7002
-      if (extension !== '7001' && extension !== '7002') {
-        // Continue in dialplan for other extensions
-        await channel.continueInDialplan();
-        return;
-      }
-      
-      // Check if this is an outbound channel we originated (has 'dialed' in appArgs or in our tracking)
+      // Check if this is an outbound channel we originated (has 'dialed' in appArgs or in our tracking) - it
+      // belongs to the call that dialed it, whatever its own extension, so this comes before the routing table
       const channelInfo = channelsToRecord.get(channel.id);
       if (channelInfo && channelInfo.isOutbound && channelInfo.bridgeId) {
-        console.log(`[7001/7002] Outbound channel ${channel.id} entered Stasis - adding to bridge ${channelInfo.bridgeId}`);
+        console.log(`Outbound channel ${channel.id} entered Stasis - adding to bridge ${channelInfo.bridgeId}`);
         try {
           const outboundBridge = await ariClient.bridges.get({ bridgeId: channelInfo.bridgeId });
           await outboundBridge.addChannel({ channel: channel.id });
-          console.log(`[7001/7002] ✓✓✓ Added outbound channel ${channel.id} to bridge ${channelInfo.bridgeId} ✓✓✓`);
+          console.log(`✓✓✓ Added outbound channel ${channel.id} to bridge ${channelInfo.bridgeId} ✓✓✓`);
           
           // Verify bridge now has all channels
           const verifyBridge = await ariClient.bridges.get({ bridgeId: channelInfo.bridgeId });
-          console.log(`[7001/7002] Bridge ${channelInfo.bridgeId} now has channels:`, verifyBridge.channels || []);
-          console.log(`[7001/7002] Expected: SIP channel + External media + Outbound channel`);
+          console.log(`Bridge ${channelInfo.bridgeId} now has channels:`, verifyBridge.channels || []);
+          console.log(`Expected: SIP channel + External media + Outbound channel`);
           return; // Don't process as SIP channel
         } catch (err) {
-          console.error(`[7001/7002] Error adding outbound channel to bridge:`, err.message || err);
+          console.error(`Error adding outbound channel to bridge:`, err.message || err);
+        }
+      }
+      const unrecordedCall = unrecordedCalls.get(channel.id);
+      if (unrecordedCall && unrecordedCall.channelIds[0] !== channel.id) {
+        try {
+          await unrecordedCall.bridge.addChannel({ channel: channel.id });
+          console.log(`Added dialed channel ${channel.id} to unrecorded call bridge ${unrecordedCall.bridge.id}`);
+        } catch (err) {
+          console.error(`Error adding dialed channel ${channel.id} to bridge ${unrecordedCall.bridge.id}:`, err.message || err);
+          await endUnrecordedCall(channel.id);
         }
+        return;
+      }
+
+      // Route the call through the rule table - extensions no rule matches stay in the dialplan
+      const route = routingRules.match(extension);
+      if (!route) {
+        await channel.continueInDialplan();
+        return;
+      }
+      console.log(`Extension ${extension} matched routing rule ${route.rule} (${route.pattern}): dial ${route.endpoint}${route.record ? '' : ', not recorded'}`);
+      if (!route.record) {
+        await connectUnrecorded(channel, route);
+        return;
       }
       
       console.log(`SIP channel started: ${channel.id}`);
@@ -921,60 +1698,171 @@ async function connectARI() {
         
         // CRITICAL: Create our own bridge FIRST (matching reference implementation)
         // This ensures we can add channels to it, unlike Dial()'s bridge which is not in Stasis
-        console.log(`[7001/7002] Creating mixing bridge for recording...`);
+        console.log(`Creating mixing bridge for recording...`);
         const bridge = await ariClient.bridges.create({ type: 'mixing' });
-        console.log(`[7001/7002] ✓ Created bridge ${bridge.id}`);
+        console.log(`✓ Created bridge ${bridge.id}`);
         
         // Add SIP channel to our bridge
         await bridge.addChannel({ channel: channel.id });
-        console.log(`[7001/7002] ✓ Added SIP channel ${channel.id} to bridge ${bridge.id}`);
+        console.log(`✓ Added SIP channel ${channel.id} to bridge ${bridge.id}`);
         
         // Set up recording session BEFORE creating external media
         const sessionId = uuidv4();
-        const rtpPort = RTP_PORT;
         const rtpAddress = getRTPServerAddress();
         
-        const wavPath = path.join(RECORDINGS_DIR, `${sessionId}.wav`);
-        console.log(`[7001/7002] Creating WAV file at: ${wavPath}`);
-        const { writeStream, fileStream } = createWAVWriter(wavPath, 8000, 1, 16);
+        // Lease a dedicated RTP port for this session - all packets arriving on it belong to this call
+        // (AudioSocket sessions share the TCP server port and are matched by the session UUID instead)
+        let rtpPort = null;
+        let rtpSocket = null;
+        let rtcpSocket = null;
+        if (MEDIA_TRANSPORT === 'udp') {
+          ({ port: rtpPort, socket: rtpSocket, rtcpSocket } = await rtpPortPool.lease(sessionId));
+          rtpSocket.on('message', (msg, rinfo) => handleRTPPacket(sessionId, msg, rinfo));
+          rtpSocket.on('error', (err) => {
+            console.error(`RTP socket error on port ${rtpPort} for session ${sessionId}:`, err.message || err);
+          });
+          rtcpSocket.on('message', (msg, rinfo) => handleRTCPPacket(sessionId, msg, rinfo));
+          rtcpSocket.on('error', (err) => {
+            console.error(`RTCP socket error on port ${rtpPort + 1} for session ${sessionId}:`, err.message || err);
+          });
+          console.log(`Leased RTP port ${rtpPort} for session ${sessionId} (${rtpPortPool.inUse}/${rtpPortPool.capacity} in use)`);
+        }
+        const mediaPort = rtpPort || AUDIOSOCKET_PORT;
+        
+        // Files are named from RECORDING_NAME_TEMPLATE, in subdirectories of RECORDINGS_DIR if it has any
+        const startTime = new Date();
+        const callerId = channel.caller ? { name: channel.caller.name || null, number: channel.caller.number || null } : null;
+        const recordingName = RecordingNames.renderName(RECORDING_NAME_TEMPLATE, {
+          sessionId: sessionId,
+          channelId: channel.id,
+          extension: extension,
+          callerId: callerId,
+          startTime: startTime
+        });
+        const basePath = recordingStorage.local.pathFor(recordingName);
+        await fs.ensureDir(path.dirname(basePath));
+        const channels = RECORDING_STEREO ? 2 : 1;
+        // Sample rate follows the route's codec (EXTERNAL_MEDIA_CODEC unless the rule overrides it) - 16 kHz
+        // for wideband (g722, slin16), 8 kHz otherwise
+        const mediaFormat = route.codec || EXTERNAL_MEDIA_CODEC;
+        const sessionCodec = Codecs.codecFromFormat(mediaFormat);
+        const sampleRate = sessionCodec.sampleRate;
+        const outputSampleRate = RECORDING_SAMPLE_RATE || sampleRate;
+        const recordingFormat = recordingFormatFor(extension);
+        const postProcess = postProcessFor(extension);
+        const recordingWriter = new SegmentedRecorder({
+          basePath: basePath,
+          createWriter: (segmentBasePath) => createRecordingWriter(recordingFormat, segmentBasePath, sampleRate, channels, postProcess),
+          sampleRate: sampleRate,
+          outputSampleRate: outputSampleRate,
+          channels: channels,
+          maxSegmentSeconds: SEGMENT_MAX_SECONDS,
+          maxSegmentBytes: SEGMENT_MAX_BYTES,
+          onSegment: (segment) => {
+            if (recordingWriter.rotating) {
+              console.log(`Recording segment ${segment.index} finished for session ${sessionId}: ${segment.filename} (${segment.startOffsetSec.toFixed(2)}s + ${segment.durationSec.toFixed(2)}s)`);
+            }
+          }
+        });
+        const { writeStream, fileStream } = recordingWriter;
+        console.log(`Recording ${recordingWriter.format.description} to: ${recordingWriter.path}${recordingWriter.rotating ? ' (rotating segments)' : ''}${outputSampleRate !== sampleRate ? ` (resampled from ${sampleRate} to ${outputSampleRate} Hz)` : ''}`);
+        
+        // SRTP context - static key from config, or a fresh key for this session that is passed on below
+        const srtp = (SRTP_PROFILE && MEDIA_TRANSPORT === 'udp') ? new SRTPContext({ profile: SRTP_PROFILE, key: SRTP_SESSION_KEYS ? SRTPContext.generateKey() : SRTP_KEY }) : null;
         
-        // Add error handlers to WAV writer streams
+        // Both directions go through the mixer so they are aligned in time - summed into one channel for mono,
+        // one direction per channel for stereo
+        // Detected DTMF tones and paused stretches are masked on the way from the mixer to the writer
+        const recordingPause = new RecordingPause({ sampleRate: sampleRate, channels: channels, mask: PAUSE_MASK, toneHz: PAUSE_TONE_HZ });
+        const writeMixed = (pcm) => (writeStream.writable && !writeStream.destroyed) ? writeStream.write(recordingPause.apply(pcm)) : true;
+        const toneRedactor = INBAND_DTMF === 'redact' ? new ToneRedactor({ sampleRate: sampleRate, channels: channels, onData: writeMixed }) : null;
+        const mixer = new CallMixer({
+          channels: channels,
+          sampleRate: sampleRate,
+          maxLagMs: MIXER_MAX_LAG_MS,
+          onData: toneRedactor ? (pcm) => toneRedactor.write(pcm) : writeMixed
+        });
+        
+        // Add error handlers to recording writer streams
         writeStream.on('error', (err) => {
-          console.error(`[7001/7002] WAV writeStream error for session ${sessionId}:`, err.message || err);
+          console.error(`Recording writeStream error for session ${sessionId}:`, err.message || err);
         });
         fileStream.on('error', (err) => {
-          console.error(`[7001/7002] WAV fileStream error for session ${sessionId}:`, err.message || err);
+          console.error(`Recording fileStream error for session ${sessionId}:`, err.message || err);
         });
         fileStream.on('finish', () => {
-          console.log(`[7001/7002] WAV fileStream finished writing for session ${sessionId}`);
+          console.log(`Recording fileStream finished writing for session ${sessionId}`);
         });
         fileStream.on('close', () => {
-          console.log(`[7001/7002] WAV fileStream closed for session ${sessionId}`);
+          console.log(`Recording fileStream closed for session ${sessionId}`);
         });
         
         // Store session with our bridge ID
-        // Map codec format to internal codec name (will be auto-detected from RTP packets)
-        const sessionCodec = EXTERNAL_MEDIA_CODEC === 'alaw' ? 'PCMA' : 'PCMU';
         activeSessions.set(sessionId, {
           channelId: channel.id,
           rtpAddress: rtpAddress,
           rtpPort: rtpPort,
-          codec: sessionCodec,  // PCMA for alaw, PCMU for ulaw (will be auto-detected)
+          rtpSocket: rtpSocket, // Leased UDP socket, released in cleanupSession
+          rtcpPort: rtpPort ? rtpPort + 1 : null,
+          transport: MEDIA_TRANSPORT, // 'udp' (RTP) or 'audiosocket' (TCP)
+          rtcpSocket: rtcpSocket, // Companion RTCP socket, released with the RTP port
+          codec: sessionCodec.name,  // PCMA, PCMU, G722, SLIN or SLIN16 (detected per SSRC from the payload type)
+          sampleRate: sampleRate, // Session sample rate the audio is mixed at (8000 or 16000)
+          outputSampleRate: outputSampleRate, // Sample rate of the recording files (RECORDING_SAMPLE_RATE)
           writeStream: writeStream,
           fileStream: fileStream,
-          wavPath: wavPath,
-          startTime: new Date(),
+          basePath: basePath, // Recording path without extension (stats and final files sit next to it)
+          recordingName: recordingName, // basePath relative to RECORDINGS_DIR - the name files are stored under
+          format: recordingWriter.format.name,
+          recordingWriter: recordingWriter, // Segment files being written; finalize() finishes them once the stream ends
+          postProcess: postProcess, // Post-processing stages run when the call ends (null = none)
+          channels: channels, // 1 = mono, 2 = stereo (first direction heard left, second right)
+          mixer: mixer, // CallMixer aligning both directions (mono mix or stereo)
+          startTime: startTime,
           packetCount: 0,
           ssrc: null, // Primary SSRC (first direction)
           ssrcs: [], // Array to track multiple SSRCs (bidirectional audio)
           ssrcCodecs: new Map(), // Track codec per SSRC (bidirectional audio can have different codecs)
+          jitterBuffers: new Map(), // Jitter buffer per SSRC (reorders packets, fills gaps)
+          lastPcm: new Map(), // Last decoded frame per SSRC (used for packet loss concealment)
+          g722Decoders: new Map(), // G.722 decoder state per SSRC
+          unsupportedPayloadTypes: new Set(), // Payload types already reported as unsupported
+          rtpParser: new RTPPacketParser(), // Header parsing with per-reason reject counts
+          srtp: srtp, // SRTPContext (keys, rollover counters, rejected packet counts) or null for cleartext RTP
+          dtmf: new DTMFEventTracker({
+            redact: () => recordingPause.paused,
+            onStart: (event) => checkPauseSequences(sessionId, event.digit),
+            onEnd: (event) => console.log(`DTMF digit '${event.redacted ? '(redacted)' : event.digit}' at ${(event.offsetMs / 1000).toFixed(2)}s (${event.durationMs}ms) in session ${sessionId.substring(0, 8)}...`)
+          }), // RFC 4733 digits pressed during the call
+          recordingPause: recordingPause, // Pause intervals, masked out of the recording
+          toneDetectors: INBAND_DTMF !== 'off' ? new Map() : null, // In-band DTMF detector per SSRC
+          toneRedactor: toneRedactor, // Holds the mixed audio back until detected tones are silenced (or null)
+          inbandTones: [], // In-band DTMF tones heard: { start, end, channel } in timeline samples
+          dtmfDigits: '', // Recent digits, matched against PAUSE_DTMF_SEQUENCE / RESUME_DTMF_SEQUENCE
+          receptionStats: new Map(), // RTCP reception statistics per SSRC (loss, jitter)
+          rtcp: {
+            ssrc: crypto.randomBytes(4).readUInt32BE(0), // Our SSRC in receiver reports
+            remote: null, // Sender's RTCP address (learned from its first RTCP packet)
+            packets: 0,
+            errors: 0,
+            roundTripMs: { caller: null, dialed: null }, // Per SIP leg, polled from Asterisk
+            senderReports: {},
+            remoteReports: {},
+            sdes: {},
+            byes: []
+          },
           extension: extension,
+          route: route, // Routing rule the call matched (dial endpoint, codec, timeout)
           bridgeId: bridge.id, // Our bridge ID
+          externalMediaChannelId: null, // Set once the externalMedia channel is created
+          dialedChannelId: null, // Outbound channel originated to the extension
+          callerId: callerId,
+          hangupCause: null, // Q.850 cause of the first channel to hang up ({ code, text, channelId })
           closing: false, // Flag to mark session as being cleaned up
           extMediaAddedLogged: false // Flag to log external media addition once
         });
         
-        console.log(`Created RTP session ${sessionId} for extension ${extension} on ${rtpAddress}:${rtpPort}`);
+        console.log(`Created ${MEDIA_TRANSPORT === 'udp' ? 'RTP' : 'AudioSocket'} session ${sessionId} for extension ${extension} on ${rtpAddress}:${mediaPort}`);
         
         // Create external media channel (matching reference implementation)
         // NOTE: We DON'T add it to a bridge yet - we'll add it to Dial()'s bridge when it's created
@@ -983,17 +1871,28 @@ async function connectARI() {
         try {
           const extParams = {
             app: 'rtp-recorder',
-            external_host: `${rtpAddress}:${rtpPort}`,
-            format: EXTERNAL_MEDIA_CODEC,  // Use configured codec (alaw or ulaw)
+            external_host: `${rtpAddress}:${mediaPort}`,
+            format: mediaFormat,  // Route's codec (alaw, ulaw, g722, slin or slin16)
             transport: 'udp',
             encapsulation: 'rtp',
             connection_type: 'client',
             direction: 'both'
           };
-          console.log(`[7001/7002] Creating external media channel with codec: ${EXTERNAL_MEDIA_CODEC}`);
+          if (MEDIA_TRANSPORT === 'audiosocket') {
+            // Asterisk connects to our AudioSocket server and sends `data` as the UUID frame
+            extParams.transport = 'tcp';
+            extParams.encapsulation = 'audiosocket';
+            extParams.data = sessionId;
+          }
+          if (srtp && SRTP_SESSION_KEYS) {
+            // Per-session key - set on the externalMedia channel for the SRTP sender to pick up
+            extParams.variables = { SRTP_CRYPTO: srtp.cryptoAttribute };
+          }
+          console.log(`Creating external media channel with codec: ${mediaFormat}`);
           const extChannel = await ariClient.channels.externalMedia(extParams);
           // Store mapping with our bridge ID
           extMap.set(extChannel.id, { bridgeId: bridge.id, sessionId: sessionId });
+          if (activeSessions.has(sessionId)) activeSessions.get(sessionId).externalMediaChannelId = extChannel.id;
           console.log(`ExternalMedia channel ${extChannel.id} created (will be added to bridge ${bridge.id})`);
           
           // Store channel info for bridge monitoring
@@ -1007,24 +1906,26 @@ async function connectARI() {
           // CRITICAL: Do NOT call continueInDialplan() - it causes the channel to leave Stasis
           // and Dial() creates its own bridge, leaving our bridge with only external media
           // Instead, we'll handle dialing via ARI to keep everything in our bridge
-          console.log(`[7001/7002] NOT calling continueInDialplan() - will handle dialing via ARI`);
-          console.log(`[7001/7002] Bridge ${bridge.id} ready with SIP channel ${channel.id}`);
-          console.log(`[7001/7002] Waiting for external media channel to be added...`);
+          console.log(`NOT calling continueInDialplan() - will handle dialing via ARI`);
+          console.log(`Bridge ${bridge.id} ready with SIP channel ${channel.id}`);
+          console.log(`Waiting for external media channel to be added...`);
           
           // Handle dialing via ARI instead of dialplan
           // The dialplan expects us to dial, so we'll do it via ARI
           try {
-            // Get the extension to dial from the channel's dialplan context
-            const dialTarget = extension === '7001' ? 'SIP/7001' : 'SIP/7002';
-            console.log(`[7001/7002] Dialing ${dialTarget} via ARI and adding to bridge ${bridge.id}...`);
+            // Dial target from the routing rule the extension matched
+            const dialTarget = route.endpoint;
+            console.log(`Dialing ${dialTarget} via ARI and adding to bridge ${bridge.id}...`);
             
             // Create an outbound channel for the dial target
             const outboundChannel = await ariClient.channels.originate({
               endpoint: dialTarget,
               app: 'rtp-recorder',
-              appArgs: 'dialed'
+              appArgs: 'dialed',
+              timeout: route.timeout // Seconds to ring before giving up
             });
-            console.log(`[7001/7002] ✓ Created outbound channel ${outboundChannel.id} for ${dialTarget}`);
+            console.log(`✓ Created outbound channel ${outboundChannel.id} for ${dialTarget}`);
+            if (activeSessions.has(sessionId)) activeSessions.get(sessionId).dialedChannelId = outboundChannel.id;
             
             // Store bridge reference for when outbound channel enters Stasis
             // The outbound channel will trigger StasisStart event, and we'll add it to the bridge there
@@ -1043,38 +1944,39 @@ async function connectARI() {
                 const ch = await ariClient.channels.get({ channelId: outboundChannel.id });
                 if (ch && (ch.state === 'Up' || ch.state === 'Ring')) {
                   await bridge.addChannel({ channel: outboundChannel.id });
-                  console.log(`[7001/7002] ✓✓✓ Added outbound channel ${outboundChannel.id} to bridge ${bridge.id} ✓✓✓`);
+                  console.log(`✓✓✓ Added outbound channel ${outboundChannel.id} to bridge ${bridge.id} ✓✓✓`);
                   
                   // Verify bridge now has all channels
                   const verifyBridge = await ariClient.bridges.get({ bridgeId: bridge.id });
-                  console.log(`[7001/7002] Bridge ${bridge.id} now has channels:`, verifyBridge.channels || []);
-                  console.log(`[7001/7002] Expected: SIP channel + External media + Outbound channel`);
+                  console.log(`Bridge ${bridge.id} now has channels:`, verifyBridge.channels || []);
+                  console.log(`Expected: SIP channel + External media + Outbound channel`);
                 }
               } catch (err) {
-                console.log(`[7001/7002] Outbound channel not ready yet, will add when it enters Stasis`);
+                console.log(`Outbound channel not ready yet, will add when it enters Stasis`);
               }
             }, 2000);
           } catch (dialError) {
-            console.error(`[7001/7002] Error dialing via ARI:`, dialError.message || dialError);
+            console.error(`Error dialing via ARI:`, dialError.message || dialError);
             // Fallback: continue in dialplan if ARI dialing fails
-            console.log(`[7001/7002] Falling back to continueInDialplan()...`);
+            console.log(`Falling back to continueInDialplan()...`);
             await channel.continueInDialplan();
           }
           
           // Handle channel hangup - cleanup session when call ends
-          channel.on('ChannelHangupRequest', async () => {
-            console.log(`[7001/7002] Channel ${channel.id} hangup requested - cleaning up session ${sessionId}`);
+          channel.on('ChannelHangupRequest', async (event) => {
+            console.log(`Channel ${channel.id} hangup requested - cleaning up session ${sessionId}`);
             const session = activeSessions.get(sessionId);
             if (session) {
               session.closing = true; // Mark as closing to ignore late packets
             }
+            noteHangupCause(sessionId, channel.id, event);
             await cleanupSession(sessionId);
             channelsToRecord.delete(channel.id);
           });
           
           // Handle external media channel hangup
           extChannel.on('ChannelHangupRequest', async () => {
-            console.log(`[7001/7002] External media channel ${extChannel.id} hangup requested`);
+            console.log(`External media channel ${extChannel.id} hangup requested`);
             const channelInfo = channelsToRecord.get(channel.id);
             if (channelInfo) {
               const session = activeSessions.get(channelInfo.sessionId);
@@ -1108,15 +2010,18 @@ async function connectARI() {
                   // Ignore
                 }
               }
-              // Delete incomplete WAV file if it exists
-              try {
-                if (fs.existsSync(session.wavPath)) {
-                  fs.unlinkSync(session.wavPath);
+              // Delete incomplete recording files if they exist
+              for (const filePath of session.recordingWriter ? session.recordingWriter.paths : []) {
+                try {
+                  if (fs.existsSync(filePath)) {
+                    fs.unlinkSync(filePath);
+                  }
+                } catch (e) {
+                  // Ignore
                 }
-              } catch (e) {
-                // Ignore
               }
             }
+            if (rtpPort) rtpPortPool.release(rtpPort);
             activeSessions.delete(sessionId);
           } catch (cleanupErr) {
             console.error(`Error during cleanup:`, cleanupErr);
@@ -1124,7 +2029,7 @@ async function connectARI() {
           
           // If external media fails, we can't record, but continue with call
           console.log(`Recording unavailable (${errorMsg}), continuing call without recording`);
-          console.log(`Note: If running locally, ensure RTP server at ${rtpAddress}:${rtpPort} is accessible from Asterisk`);
+          console.log(`Note: If running locally, ensure RTP server at ${rtpAddress}:${mediaPort} is accessible from Asterisk`);
           try {
             await channel.continueInDialplan();
           } catch (continueError) {
@@ -1208,7 +2113,7 @@ async function connectARI() {
                 
                 // Monitor this bridge for destruction - when it's destroyed, cleanup session
                 dialBridge.on('BridgeDestroyed', async () => {
-                  console.log(`[7001/7002] Dial() bridge ${bridge.id} destroyed - cleaning up session ${channelInfo.sessionId}`);
+                  console.log(`Dial() bridge ${bridge.id} destroyed - cleaning up session ${channelInfo.sessionId}`);
                   const sess = activeSessions.get(channelInfo.sessionId);
                   if (sess && !sess.closing) {
                     sess.closing = true;
@@ -1453,7 +2358,7 @@ async function connectARI() {
         // We should NOT cleanup session here - we'll cleanup when call actually ends (ChannelHangupRequest)
         const channelInfo = channelsToRecord.get(channel.id);
         if (channelInfo) {
-          console.log(`[7001/7002] SIP channel ${channel.id} left Stasis (continueInDialplan called), but call is still active`);
+          console.log(`SIP channel ${channel.id} left Stasis (continueInDialplan called), but call is still active`);
           console.log(`  → Keeping session ${channelInfo.sessionId} alive - will cleanup when call actually ends`);
           console.log(`  → Waiting for Dial() to create bridge and add external media channel to it...`);
           // DON'T cleanup session here - wait for actual call end
@@ -1471,7 +2376,7 @@ async function connectARI() {
       const channelInfo = channelsToRecord.get(channel.id);
       if (channelInfo && (channel.state === 'Down' || channel.state === 'Down')) {
         // Channel is actually down now - cleanup session
-        console.log(`[7001/7002] Channel ${channel.id} state changed to ${channel.state} - cleaning up session ${channelInfo.sessionId}`);
+        console.log(`Channel ${channel.id} state changed to ${channel.state} - cleaning up session ${channelInfo.sessionId}`);
         const session = activeSessions.get(channelInfo.sessionId);
         if (session) {
           session.closing = true;
@@ -1483,13 +2388,13 @@ async function connectARI() {
     
     // Monitor bridge destruction - when bridge is destroyed, cleanup all sessions using it
     ariClient.on('BridgeDestroyed', async (event, bridge) => {
-      console.log(`[7001/7002] Bridge ${bridge.id} destroyed - checking for sessions to cleanup`);
+      console.log(`Bridge ${bridge.id} destroyed - checking for sessions to cleanup`);
       
       // Find all sessions using this bridge
       for (const [channelId, channelInfo] of channelsToRecord.entries()) {
         const session = activeSessions.get(channelInfo.sessionId);
         if (session && session.bridgeId === bridge.id) {
-          console.log(`[7001/7002] Bridge ${bridge.id} destroyed, cleaning up session ${channelInfo.sessionId} for channel ${channelId}`);
+          console.log(`Bridge ${bridge.id} destroyed, cleaning up session ${channelInfo.sessionId} for channel ${channelId}`);
           if (session) {
             session.closing = true;
           }
@@ -1506,7 +2411,7 @@ async function connectARI() {
           // Try to get channel - if it fails or channel is down, cleanup session
           const channel = await ariClient.channels.get({ channelId: channelId });
           if (!channel || channel.state === 'Down' || channel.state === 'RSRVD') {
-            console.log(`[7001/7002] Channel ${channelId} is down or invalid (state: ${channel?.state || 'NOT_FOUND'}) - cleaning up session ${channelInfo.sessionId}`);
+            console.log(`Channel ${channelId} is down or invalid (state: ${channel?.state || 'NOT_FOUND'}) - cleaning up session ${channelInfo.sessionId}`);
             const session = activeSessions.get(channelInfo.sessionId);
             if (session && !session.closing) {
               session.closing = true;
@@ -1517,7 +2422,7 @@ async function connectARI() {
         } catch (err) {
           // Channel doesn't exist anymore - cleanup session
           if (err.message && (err.message.includes('not found') || err.message.includes('404'))) {
-            console.log(`[7001/7002] Channel ${channelId} not found - cleaning up session ${channelInfo.sessionId}`);
+            console.log(`Channel ${channelId} not found - cleaning up session ${channelInfo.sessionId}`);
             const session = activeSessions.get(channelInfo.sessionId);
             if (session && !session.closing) {
               session.closing = true;
@@ -1531,9 +2436,15 @@ async function connectARI() {
     
     // Also monitor for channel hangup events (more reliable than state change)
     ariClient.on('ChannelDestroyed', async (event, channel) => {
+      if (unrecordedCalls.has(channel.id)) {
+        console.log(`Channel ${channel.id} of an unrecorded call destroyed - ending the call`);
+        await endUnrecordedCall(channel.id);
+        return;
+      }
       const channelInfo = channelsToRecord.get(channel.id);
       if (channelInfo) {
-        console.log(`[7001/7002] Channel ${channel.id} destroyed - cleaning up session ${channelInfo.sessionId}`);
+        noteHangupCause(channelInfo.sessionId, channel.id, event);
+        console.log(`Channel ${channel.id} destroyed - cleaning up session ${channelInfo.sessionId}`);
         const session = activeSessions.get(channelInfo.sessionId);
         if (session) {
           session.closing = true;
@@ -1605,6 +2516,78 @@ async function handleVoicemail(channel, extension, bridge, sessionId) {
 }
 
 // Cleanup session
+// Keep the hangup cause of the first of a session's channels to hang up - ChannelHangupRequest only
+// carries the Q.850 code, ChannelDestroyed (which can arrive while the session is finishing) adds the text
+function noteHangupCause(sessionId, channelId, event) {
+  const session = activeSessions.get(sessionId) || finishingSessions.get(sessionId);
+  if (!session || !event || event.cause === undefined) return;
+  if (!session.hangupCause) {
+    session.hangupCause = { code: event.cause, text: event.cause_txt || null, channelId: channelId };
+  } else if (!session.hangupCause.text && event.cause_txt && session.hangupCause.code === event.cause) {
+    session.hangupCause.text = event.cause_txt;
+  }
+}
+
+// Call details of a finished session - written to <sessionId>.metadata.json and the recording index
+function describeRecordingMetadata(sessionId, session, stats) {
+  const received = new Map(stats.streams.map(stream => [stream.ssrc, stream]));
+  return {
+    sessionId: sessionId,
+    name: session.recordingName,
+    extension: session.extension,
+    route: { rule: session.route.rule, pattern: session.route.pattern, endpoint: session.route.endpoint },
+    channelId: session.channelId,
+    externalMediaChannelId: session.externalMediaChannelId,
+    dialedChannelId: session.dialedChannelId,
+    bridgeId: session.bridgeId,
+    callerId: session.callerId,
+    hangupCause: session.hangupCause,
+    startTime: session.startTime.toISOString(),
+    endTime: session.endTime.toISOString(),
+    durationSec: (session.endTime - session.startTime) / 1000,
+    transport: session.transport,
+    codec: session.codec,
+    sampleRate: session.outputSampleRate,
+    channels: session.channels,
+    format: session.format,
+    ssrcs: session.ssrcs,
+    packetCount: session.packetCount || 0,
+    streams: session.ssrcs.map(ssrc => ({
+      ssrc: ssrc,
+      codec: session.ssrcCodecs.get(ssrc) || null,
+      received: received.has(ssrc) ? received.get(ssrc).received : null,
+      lost: received.has(ssrc) ? received.get(ssrc).lost : null
+    })),
+    dtmf: session.dtmfEvents, // Same shape as GET /sessions/:id - digit (null if redacted), offsetMs, durationMs, ...
+    pauses: session.recordingPause ? session.recordingPause.describe() : [],
+    inbandDtmf: session.inbandTones ? session.inbandTones.map(tone => ({
+      startOffsetSec: tone.start / session.sampleRate,
+      durationSec: (tone.end - tone.start) / session.sampleRate,
+      channel: tone.channel,
+      redacted: Boolean(session.toneRedactor)
+    })) : [],
+    recording: session.recordingPath ? recordingStorage.local.nameFor(session.recordingPath) : null,
+    files: session.recordingWriter ? session.recordingWriter.paths.map(file => recordingStorage.local.nameFor(file)) : []
+  };
+}
+
+// Write a finished session's metadata sidecar and add it to the index
+async function writeRecordingMetadata(sessionId, session, stats) {
+  const metadata = describeRecordingMetadata(sessionId, session, stats);
+  const metadataPath = `${session.basePath}.metadata.json`;
+  try {
+    await fs.writeJson(`${metadataPath}.part`, metadata, { spaces: 2 });
+    await fs.move(`${metadataPath}.part`, metadataPath, { overwrite: true });
+  } catch (err) {
+    console.error(`Error writing metadata for session ${sessionId}:`, err.message || err);
+  }
+  try {
+    recordingIndex.upsert(metadata);
+  } catch (err) {
+    console.error(`Error indexing session ${sessionId}:`, err.message || err);
+  }
+}
+
 async function cleanupSession(sessionId) {
   const session = activeSessions.get(sessionId);
   if (!session) return;
@@ -1614,11 +2597,43 @@ async function cleanupSession(sessionId) {
   
   // Remove from activeSessions IMMEDIATELY to stop all packet processing and logging
   activeSessions.delete(sessionId);
-  console.log(`[7001/7002] Session ${sessionId} removed from active sessions - ignoring late packets`);
+  finishingSessions.set(sessionId, session);
+  session.endTime = new Date();
+  console.log(`Session ${sessionId} removed from active sessions - ignoring late packets`);
+  
+  // Give the leased RTP port back to the pool
+  if (session.rtpPort && rtpPortPool.release(session.rtpPort)) {
+    console.log(`Released RTP port ${session.rtpPort} (${rtpPortPool.inUse}/${rtpPortPool.capacity} in use)`);
+  }
+  if (audioSocketServer) {
+    audioSocketServer.disconnect(sessionId);
+  }
   
   try {
     // Bridge cleanup is handled in StasisEnd handler, no need to destroy here
     
+    // Play out whatever is still held in the jitter buffers before closing the file
+    for (const [ssrc, jitterBuffer] of session.jitterBuffers) {
+      jitterBuffer.flush();
+      const stats = jitterBuffer.stats;
+      console.log(`Jitter buffer SSRC ${ssrc}: received=${stats.received}, played=${stats.played}, lost=${stats.lost}, reordered=${stats.reordered}, duplicates=${stats.duplicates}, late=${stats.late}, filled=${(stats.gapTicks * 1000 / jitterBuffer.clockRate).toFixed(0)}ms`);
+    }
+    
+    // Write out the tail of the mixed timeline (pads the shorter direction with silence)
+    if (session.mixer) {
+      session.mixer.flush();
+    }
+    if (session.toneDetectors) {
+      for (const detector of session.toneDetectors.values()) detector.flush();
+    }
+    if (session.toneRedactor) {
+      session.toneRedactor.flush();
+    }
+    if (session.recordingPause && session.recordingPause.paused) {
+      session.recordingPause.close('hangup');
+      console.log(`Session ${sessionId} ended while its recording was paused`);
+    }
+    
     // End WAV writer if it exists (matching reference implementation)
     if (session.writeStream) {
       try {
@@ -1626,7 +2641,7 @@ async function cleanupSession(sessionId) {
         if (!session.writeStream.destroyed && !session.writeStream.writableEnded) {
           // End WAV writer with callback (matching reference pattern)
           session.writeStream.end(() => {
-            console.log(`WAV file closed: ${session.wavPath}`);
+            console.log(`Recording file closed: ${session.recordingWriter.path}`);
           });
         }
       } catch (err) {
@@ -1651,34 +2666,76 @@ async function cleanupSession(sessionId) {
     });
     
     const duration = session.startTime ? ((new Date() - session.startTime) / 1000) : 0;
-    const fileSize = session.wavPath && fs.existsSync(session.wavPath) ? fs.statSync(session.wavPath).size : 0;
-    console.log(`Recording ${sessionId} completed. Duration: ${duration.toFixed(2)}s. Packets: ${session.packetCount || 0}. File: ${session.wavPath}, Size: ${fileSize} bytes`);
+    
+    // DTMF timeline for the stats and the session metadata - each digit with its offset into the call
+    session.dtmfEvents = session.dtmf.timeline();
+    if (session.dtmfEvents.length > 0) {
+      console.log(`DTMF timeline for ${sessionId}: ${session.dtmfEvents.map(e => `${e.digit || '(redacted)'}@${(e.offsetMs / 1000).toFixed(2)}s`).join(', ')}`);
+    }
+    
+    // Loss, jitter, round-trip and RTCP figures are written next to the recording
+    const stats = getSessionStats(session);
+    for (const stream of stats.streams) {
+      console.log(`Stream SSRC ${stream.ssrc}: received=${stream.received}, expected=${stream.expected}, lost=${stream.lost} (${stream.lossPercent.toFixed(2)}%), jitter=${stream.jitterMs.toFixed(2)}ms`);
+    }
+    for (const [leg, rtt] of Object.entries(stats.rtcp.roundTripMs)) {
+      if (rtt !== null) console.log(`Round-trip time (${leg} leg): ${rtt.toFixed(1)}ms`);
+    }
+    if (stats.rtp.rejected) {
+      console.log(`RTP packets rejected: ${stats.rtp.rejected} ${JSON.stringify(stats.rtp.rejectedByReason)}`);
+    }
+    if (stats.srtp) {
+      console.log(`SRTP ${stats.srtp.profile}: decrypted=${stats.srtp.decrypted}, rejected=${stats.srtp.rejected}${stats.srtp.rejected ? ` ${JSON.stringify(stats.srtp.rejectedByReason)}` : ''}`);
+    }
+    if (session.basePath) {
+      try {
+        await fs.writeJson(`${session.basePath}.stats.json`, Object.assign({ sessionId: sessionId, extension: session.extension }, stats, { dtmf: session.dtmfEvents }), { spaces: 2 });
+      } catch (statsErr) {
+        console.error(`Error writing stats for session ${sessionId}:`, statsErr.message || statsErr);
+      }
+    }
+    
+    const recordingFiles = session.recordingWriter ? session.recordingWriter.paths : [];
+    const fileSize = recordingFiles.reduce((total, file) => total + (fs.existsSync(file) ? fs.statSync(file).size : 0), 0);
+    console.log(`Recording ${sessionId} completed. Duration: ${duration.toFixed(2)}s. Packets: ${session.packetCount || 0}. File${recordingFiles.length > 1 ? `s (${recordingFiles.length} segments)` : ''}: ${recordingFiles.join(', ')}, Size: ${fileSize} bytes`);
     
     // Warn if file is too small (likely no audio data)
     if (fileSize > 0 && fileSize < 1000) {
-      console.warn(`[7001/7002] ⚠ WARNING: WAV file is very small (${fileSize} bytes). This suggests no audio data was recorded.`);
+      console.warn(`⚠ WARNING: Recording file is very small (${fileSize} bytes). This suggests no audio data was recorded.`);
     } else if (fileSize === 0) {
-      console.error(`[7001/7002] ⚠ ERROR: WAV file was not created or is empty!`);
+      console.error(`⚠ ERROR: Recording file was not created or is empty!`);
     } else {
-      console.log(`[7001/7002] ✓ WAV file created successfully: ${(fileSize / 1024).toFixed(2)} KB`);
+      console.log(`✓ Recording file created successfully: ${(fileSize / 1024).toFixed(2)} KB`);
     }
     
-    // Convert to MP3 if needed (for now, keep as WAV)
-    if (session.wavPath && fs.existsSync(session.wavPath)) {
+    // Finish the recording in its output format (FLAC header, MP3 encoding, ...) and write the segment manifest
+    if (recordingFiles.some(file => fs.existsSync(file))) {
       try {
-        const mp3Path = session.wavPath.replace('.wav', '.mp3');
-        await convertToMP3(session.wavPath, mp3Path);
-      } catch (convertError) {
-        console.error(`Error converting to MP3:`, convertError.message || convertError);
+        session.recordingPath = await session.recordingWriter.finalize();
+      } catch (finalizeError) {
+        console.error(`Error finalizing ${session.format} recording:`, finalizeError.message || finalizeError);
       }
-    } else if (session.wavPath) {
-      console.log(`Warning: Recording file ${session.wavPath} does not exist`);
+    } else if (recordingFiles.length > 0) {
+      console.log(`Warning: Recording file ${recordingFiles.join(', ')} does not exist`);
+    }
+    
+    // Call details next to the recording (uploaded with it) and in the index
+    if (session.basePath) {
+      await writeRecordingMetadata(sessionId, session, stats);
     }
     
+    // Record the digests of the final files before they leave RECORDINGS_DIR
+    await sealSession(session);
+    
+    // Move the finished files to the configured storage backend
+    await archiveSession(session);
+    
     // Session already removed from activeSessions at the start of cleanup
   } catch (error) {
     console.error(`Error cleaning up session ${sessionId}:`, error.message || error);
     // Session already removed from activeSessions at the start of cleanup
+  } finally {
+    finishingSessions.delete(sessionId);
   }
 }
 
@@ -1687,44 +2744,306 @@ app.get('/health', (req, res) => {
   res.json({ 
     status: 'ok', 
     activeSessions: activeSessions.size,
-    rtpPort: RTP_PORT 
+    transport: MEDIA_TRANSPORT,
+    rtpPortRange: `${rtpPortPool.minPort}-${rtpPortPool.maxPort}`,
+    rtpPortsInUse: rtpPortPool.inUse,
+    audioSocketPort: audioSocketServer ? AUDIOSOCKET_PORT : null,
+    audioSocketConnections: audioSocketServer ? audioSocketServer.connections.size : 0,
+    storage: recordingStorage.backend,
+    indexedRecordings: recordingIndex.size,
+    ledger: recordingLedger ? LEDGER_FILE : null,
+    retention: retentionSweeper.status(),
+    routingRules: routingRules.describe()
   });
 });
 
-// Get recordings list
+// Summary of a live session for the HTTP API
+function describeSession(sessionId, session) {
+  return {
+    sessionId: sessionId,
+    extension: session.extension,
+    dialTarget: session.route.endpoint,
+    channelId: session.channelId,
+    bridgeId: session.bridgeId,
+    codec: session.codec,
+    sampleRate: session.sampleRate,
+    outputSampleRate: session.outputSampleRate,
+    channels: session.channels,
+    transport: session.transport,
+    rtpPort: session.rtpPort,
+    rtcpPort: session.rtcpPort,
+    ssrcs: session.ssrcs,
+    packetCount: session.packetCount,
+    startTime: session.startTime,
+    dtmf: session.dtmf.timeline(),
+    paused: session.recordingPause.paused,
+    pauses: session.recordingPause.describe(),
+    stats: getSessionStats(session)
+  };
+}
+
+// List active sessions
+app.get('/sessions', (req, res) => {
+  const sessions = Array.from(activeSessions.entries())
+    .filter(([_, session]) => !session.closing)
+    .map(([sessionId, session]) => describeSession(sessionId, session));
+  res.json(sessions);
+});
+
+// Get one active session
+app.get('/sessions/:id', (req, res) => {
+  const session = activeSessions.get(req.params.id);
+  if (!session || session.closing) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  res.json(describeSession(req.params.id, session));
+});
+
+// Pause or resume a session's recording from now on - `by` says what asked ('api', 'dtmf')
+// Returns false if it was already in that state
+function setRecordingPaused(sessionId, session, paused, by) {
+  // Timeline position of this moment - the mixer has not emitted it yet, so it is masked from here on
+  const frame = (Date.now() - session.mixer.startTime) * session.sampleRate / 1000;
+  const changed = paused ? session.recordingPause.pause(frame, by) : session.recordingPause.resume(frame, by);
+  if (changed) {
+    console.log(`Recording ${paused ? 'paused' : 'resumed'} (${by}) at ${(frame / session.sampleRate).toFixed(2)}s for session ${sessionId.substring(0, 8)}...`);
+  }
+  return changed;
+}
+
+// Match the digits pressed so far against the pause/resume sequences
+function checkPauseSequences(sessionId, digit) {
+  const session = activeSessions.get(sessionId);
+  if (!session || session.closing || !digit || (!PAUSE_DTMF_SEQUENCE && !RESUME_DTMF_SEQUENCE)) return;
+  session.dtmfDigits = (session.dtmfDigits + digit).slice(-Math.max(PAUSE_DTMF_SEQUENCE.length, RESUME_DTMF_SEQUENCE.length));
+  if (PAUSE_DTMF_SEQUENCE && session.dtmfDigits.endsWith(PAUSE_DTMF_SEQUENCE) && setRecordingPaused(sessionId, session, true, 'dtmf')) {
+    session.dtmfDigits = '';
+  } else if (RESUME_DTMF_SEQUENCE && session.dtmfDigits.endsWith(RESUME_DTMF_SEQUENCE) && setRecordingPaused(sessionId, session, false, 'dtmf')) {
+    session.dtmfDigits = '';
+  }
+}
+
+// Pause / resume an active session's recording - 409 if it already is paused / isn't paused
+for (const [action, paused] of [['pause', true], ['resume', false]]) {
+  app.post(`/sessions/:id/${action}`, (req, res) => {
+    const session = activeSessions.get(req.params.id);
+    if (!session || session.closing) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    if (!setRecordingPaused(req.params.id, session, paused, 'api')) {
+      return res.status(409).json({ error: paused ? 'Recording is already paused' : 'Recording is not paused' });
+    }
+    res.json({ sessionId: req.params.id, paused: session.recordingPause.paused, pauses: session.recordingPause.describe() });
+  });
+}
+
+// Describe a stored recording file - format details come from the file header when there is a local
+// copy, otherwise from the metadata stored with the upload (null if neither is available)
+async function describeRecordingFile(entry) {
+  let info = null;
+  try {
+    if (entry.storage.includes('local')) {
+      info = await RecordingFormats.probeRecording(recordingStorage.local.pathFor(entry.filename));
+    } else {
+      const remote = await recordingStorage.remote.head(entry.filename);
+      const metadata = remote ? remote.metadata : {};
+      if (metadata.format) {
+        info = {
+          format: metadata.format,
+          sampleRate: parseInt(metadata['sample-rate']) || null,
+          channels: parseInt(metadata.channels) || null,
+          durationSec: metadata['duration-sec'] ? parseFloat(metadata['duration-sec']) : null
+        };
+      }
+    }
+  } catch (probeError) {
+    console.warn(`Could not read format of ${entry.filename}:`, probeError.message || probeError);
+  }
+  return {
+    filename: entry.filename,
+    size: entry.size,
+    created: entry.created || entry.lastModified,
+    path: entry.storage.includes('local') ? recordingStorage.local.pathFor(entry.filename) : null,
+    storage: entry.storage,
+    encrypted: RecordingEncryption.isEncryptedName(entry.filename),
+    format: info ? info.format : null,
+    sampleRate: info ? info.sampleRate : null,
+    channels: info ? info.channels : null,
+    durationSec: info ? info.durationSec : null
+  };
+}
+
+// Describe a segmented recording from its manifest - one logical recording made of its segment files
+// (listed in the manifest by file name, next to the manifest)
+async function describeSegmentedRecording(manifestEntry, entriesByName) {
+  const manifest = await recordingStorage.readJson(manifestEntry.filename);
+  const directory = path.posix.dirname(manifestEntry.filename);
+  const segments = await Promise.all(manifest.segments.map(async (segment) => {
+    const filename = directory === '.' ? segment.filename : `${directory}/${segment.filename}`;
+    const entry = entriesByName.get(filename);
+    // A segment missing from storage is listed without file details
+    const file = entry ? await describeRecordingFile(entry) : { filename: filename, size: null };
+    return Object.assign({ index: segment.index, startOffsetSec: segment.startOffsetSec }, file, {
+      durationSec: segment.durationSec
+    });
+  }));
+  return {
+    filename: manifestEntry.filename,
+    recording: manifestEntry.filename.slice(0, -'.manifest.json'.length),
+    size: segments.reduce((total, segment) => total + (segment.size || 0), 0),
+    created: segments.length > 0 && segments[0].created ? segments[0].created : null,
+    path: manifestEntry.storage.includes('local') ? recordingStorage.local.pathFor(manifestEntry.filename) : null,
+    storage: manifestEntry.storage,
+    format: manifest.format,
+    sampleRate: manifest.sampleRate,
+    channels: manifest.channels,
+    durationSec: manifest.durationSec,
+    complete: manifest.complete,
+    segments: segments
+  };
+}
+
+// Get recordings list from every storage backend - segmented recordings are listed once, with their segments
 app.get('/recordings', async (req, res) => {
   try {
-    const files = await fs.readdir(RECORDINGS_DIR);
-    const recordings = await Promise.all(
-      files
-        .filter(f => f.endsWith('.wav') || f.endsWith('.mp3'))
-        .map(async (file) => {
-          const filePath = path.join(RECORDINGS_DIR, file);
-          const stats = await fs.stat(filePath);
-          return {
-            filename: file,
-            size: stats.size,
-            created: stats.birthtime,
-            path: filePath
-          };
-        })
-    );
-    res.json(recordings);
+    const entries = await recordingStorage.list();
+    const entriesByName = new Map(entries.map(entry => [entry.filename, entry]));
+    const segmented = await Promise.all(entries
+      .filter(entry => entry.filename.endsWith('.manifest.json'))
+      .map(entry => describeSegmentedRecording(entry, entriesByName)));
+    // Segment files (and the WAV an MP3 segment was encoded from, or its unprocessed capture) belong to
+    // their logical recording
+    const baseName = (filename) => RecordingEncryption.plaintextName(filename).replace(/(\.raw)?\.[^./]*$/, '');
+    const segmentNames = new Set(segmented.flatMap(r => r.segments.map(segment => baseName(segment.filename))));
+    const single = await Promise.all(entries
+      .filter(entry => RecordingFormats.isRecordingFile(entry.filename))
+      .filter(entry => !segmentNames.has(baseName(entry.filename)))
+      .map(describeRecordingFile));
+    // Call details from the index (null for recordings without a metadata sidecar)
+    for (const recording of single) {
+      recording.metadata = recordingIndex.getByName(RetentionSweeper.recordingId(recording.filename));
+    }
+    for (const recording of segmented) {
+      recording.metadata = recordingIndex.getByName(recording.recording);
+    }
+    res.json(single.concat(segmented));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Download recording
-app.get('/recordings/:filename', (req, res) => {
-  const filename = req.params.filename;
-  const filePath = path.join(RECORDINGS_DIR, filename);
-  
-  if (!fs.existsSync(filePath)) {
+// Search recordings by call details - answered from the index without listing storage
+// Query: extension, caller, channelId, bridgeId, codec, format, hangupCause, from, to, minDurationSec,
+//        limit, offset
+app.get('/recordings/search', (req, res) => {
+  try {
+    res.json(recordingIndex.search(req.query));
+  } catch (error) {
+    if (/^Invalid search parameter/.test(error.message)) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Check a stored recording against the ledger - 200 with verified true/false, 404 if there is no such file
+// A name stored encrypted (<name>.enc) is checked as stored, since that is what was sealed
+app.get(/^\/recordings\/(.+)\/verify$/, async (req, res) => {
+  const filename = req.params[0];
+  if (!recordingLedger) {
+    return res.status(409).json({ error: 'No SIGNING_KEY_FILE is configured, so recordings are not sealed' });
+  }
+  try {
+    let found = await recordingStorage.locate(filename);
+    if (!found && !RecordingEncryption.isEncryptedName(filename)) {
+      found = await recordingStorage.locate(`${filename}${RecordingEncryption.ENCRYPTED_EXTENSION}`);
+    }
+    if (!found) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+    const source = await found.driver.createReadStream(found.entry.filename);
+    const result = await recordingLedger.verify(found.entry.filename, source);
+    if (!result.verified) {
+      console.warn(`Verification of ${found.entry.filename} failed: ${result.reason}`);
+    }
+    res.json(Object.assign(result, { storage: found.driver.name }));
+  } catch (error) {
+    if (/^Invalid recording name/.test(error.message)) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Whether a request carries DECRYPT_API_TOKEN as its bearer token
+function isTokenAuthorised(req) {
+  const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+  if (!DECRYPT_API_TOKEN || !match) return false;
+  const given = crypto.createHash('sha256').update(match[1]).digest();
+  const expected = crypto.createHash('sha256').update(DECRYPT_API_TOKEN).digest();
+  return crypto.timingSafeEqual(given, expected);
+}
+
+// Download recording - streamed from whichever storage backend holds it
+// <name>.enc is served as stored (for export); <name> of an encrypted recording is decrypted on the fly
+// for requests authorised with DECRYPT_API_TOKEN. Names may contain directories (RECORDING_NAME_TEMPLATE),
+// e.g. /recordings/2026/10/19/<name>.wav
+// Only recordings and segment manifests are served, the metadata and stats sidecars only with the token,
+// and nothing of a call that is still being recorded
+app.get('/recordings/*', async (req, res) => {
+  const filename = req.params[0];
+  const isSidecar = /\.(metadata|stats)\.json$/.test(filename);
+  if (!RecordingFormats.isRecordingFile(filename) && !filename.endsWith('.manifest.json') && !isSidecar) {
     return res.status(404).json({ error: 'Recording not found' });
   }
-  
-  res.download(filePath, filename);
+  if (isSidecar && !isTokenAuthorised(req)) {
+    return res.status(DECRYPT_API_TOKEN && req.get('Authorization') ? 403 : 401).json({ error: 'Recording metadata needs a valid bearer token' });
+  }
+  if (isRecordingInUse(RetentionSweeper.recordingId(filename))) {
+    return res.status(409).json({ error: 'Recording is still in progress' });
+  }
+  try {
+    let found = await recordingStorage.locate(filename);
+    let decrypt = false;
+    if (!found && !RecordingEncryption.isEncryptedName(filename)) {
+      found = await recordingStorage.locate(`${filename}${RecordingEncryption.ENCRYPTED_EXTENSION}`);
+      decrypt = Boolean(found);
+    }
+    if (!found) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+    if (decrypt) {
+      if (!recordingEncryption) {
+        return res.status(409).json({ error: 'Recording is encrypted and no ENCRYPTION_KEY_FILE is configured' });
+      }
+      if (!isTokenAuthorised(req)) {
+        return res.status(DECRYPT_API_TOKEN && req.get('Authorization') ? 403 : 401).json({ error: 'Decrypting recordings needs a valid bearer token' });
+      }
+    }
+    if (found.driver === recordingStorage.local && !decrypt) {
+      return res.download(recordingStorage.local.pathFor(filename), path.posix.basename(filename));
+    }
+
+    const source = await found.driver.createReadStream(found.entry.filename);
+    res.attachment(path.posix.basename(filename));
+    const onError = (err) => {
+      console.error(`Error streaming ${found.entry.filename} from ${found.driver.name}:`, err.message || err);
+      res.destroy(err);
+    };
+    source.on('error', onError);
+    if (decrypt) {
+      console.log(`Serving ${found.entry.filename} decrypted to ${req.ip}`);
+      source.pipe(recordingEncryption.createDecryptStream()).on('error', onError).pipe(res);
+    } else {
+      res.set('Content-Length', String(found.entry.size));
+      source.pipe(res);
+    }
+  } catch (error) {
+    if (/^Invalid recording name/.test(error.message)) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // Start HTTP server
@@ -1732,8 +3051,35 @@ const HTTP_PORT = process.env.HTTP_PORT || 3000;
 app.listen(HTTP_PORT, '0.0.0.0', () => {
   console.log(`HTTP Server listening on port ${HTTP_PORT}`);
 });
+for (const [index, rule] of routingRules.describe().entries()) {
+  console.log(`Routing rule ${index + 1}: ${rule.pattern} -> ${rule.technology}/${rule.target} (${rule.record ? 'recorded' : 'not recorded'}, codec ${rule.codec || EXTERNAL_MEDIA_CODEC}, timeout ${rule.timeout}s)`);
+}
 
-// Connect to ARI
+// Start the AudioSocket server before any externalMedia channel can point Asterisk at it
+if (audioSocketServer) {
+  audioSocketServer.start().then(() => {
+    console.log(`AudioSocket server listening on TCP port ${AUDIOSOCKET_PORT}`);
+  }).catch((err) => {
+    console.error(`Failed to start AudioSocket server on TCP port ${AUDIOSOCKET_PORT}:`, err.message || err);
+    process.exit(1);
+  });
+}
+
+// Repair recordings from a previous run that died mid-call - new sessions write fresh files, so this
+// doesn't hold up the ARI connection
+recoverRecordings().catch((err) => {
+  console.error('Recording recovery failed:', err.message || err);
+}).then(() => completeRecordings().catch((err) => {
+  console.error('Completing recordings failed:', err.message || err);
+})).then(() => indexRecordings().catch((err) => {
+  console.error('Indexing recordings failed:', err.message || err);
+})).then(() => {
+  // Retention runs once the repaired files report their real sizes
+  if (retentionSweeper.enabled) {
+    console.log(`Retention: max age ${RETENTION_MAX_AGE_DAYS || 'unlimited'} day(s)${Object.keys(RETENTION_BY_EXTENSION).length ? ` ${JSON.stringify(RETENTION_BY_EXTENSION)}` : ''}, quota ${RETENTION_QUOTA_MB ? `${RETENTION_QUOTA_MB} MB` : 'none'}, every ${RETENTION_SWEEP_INTERVAL_MIN} min${RETENTION_DRY_RUN ? ' (dry run)' : ''}`);
+    retentionSweeper.start();
+  }
+});
 connectARI();
 
 // Process error handlers to prevent crashes
@@ -1754,10 +3100,17 @@ process.on('error', (error) => {
   console.error('Process error:', error.message || error);
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('Shutting down...');
-  rtpServer.close();
+// Graceful shutdown - the calls in progress are ended and their recordings finished (and those already
+// finishing waited for) for up to SHUTDOWN_TIMEOUT_MS; a second signal exits straight away
+let shuttingDown = false;
+async function shutdown() {
+  if (shuttingDown) {
+    console.log('Exiting without waiting for recordings to finish');
+    process.exit(1);
+  }
+  shuttingDown = true;
+  rtpPortPool.releaseAll();
+  if (audioSocketServer) audioSocketServer.stop();
   if (ariClient) {
     try {
       ariClient.stop();
@@ -1766,34 +3119,31 @@ process.on('SIGTERM', () => {
     }
   }
   // Cleanup all sessions
-  for (const sessionId of activeSessions.keys()) {
-    try {
-      cleanupSession(sessionId);
-    } catch (e) {
-      console.error(`Error cleaning up session ${sessionId}:`, e);
-    }
+  const cleanups = Array.from(activeSessions.keys()).map(sessionId => cleanupSession(sessionId));
+  const finished = Promise.all(cleanups).then(() => new Promise((resolve) => {
+    const check = () => finishingSessions.size === 0 ? resolve() : setTimeout(check, 100);
+    check();
+  }));
+  let timer;
+  const timedOut = await Promise.race([
+    finished.then(() => false),
+    new Promise((resolve) => { timer = setTimeout(() => resolve(true), SHUTDOWN_TIMEOUT_MS); })
+  ]);
+  clearTimeout(timer);
+  if (timedOut) {
+    console.error(`Shutdown timed out after ${SHUTDOWN_TIMEOUT_MS}ms with ${finishingSessions.size} recording(s) unfinished - files they completed are picked up on the next start`);
+    process.exit(1);
   }
-  setTimeout(() => process.exit(0), 2000);
+  console.log('All recordings finished');
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => {
+  console.log('Shutting down...');
+  shutdown();
 });
 
 process.on('SIGINT', () => {
   console.log('Received SIGINT, shutting down gracefully...');
-  rtpServer.close();
-  if (ariClient) {
-    try {
-      ariClient.stop();
-    } catch (e) {
-      console.error('Error stopping ARI client:', e);
-    }
-  }
-  // Cleanup all sessions
-  for (const sessionId of activeSessions.keys()) {
-    try {
-      cleanupSession(sessionId);
-    } catch (e) {
-      console.error(`Error cleaning up session ${sessionId}:`, e);
-    }
-  }
-  setTimeout(() => process.exit(0), 2000);
+  shutdown();
 });
-
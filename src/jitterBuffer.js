@@ -0,0 +1,184 @@
+// jitterBuffer.js
+
+// JitterBuffer class to put the RTP packets of one SSRC back into sequence order before they are recorded.
+// Packets are held until the next expected sequence number arrives or the buffer exceeds its depth,
+// duplicates and packets that arrive after their slot was played out are dropped, and holes in the
+// timeline (lost packets, silence suppression) are reported from the RTP timestamp delta so the
+// caller can fill them and keep the recording the same length as the call.
+class JitterBuffer {
+  // Constructor with options for buffer depth, maximum gap and frame/gap callbacks
+  constructor(options = {}) {
+    this.depth = options.depth || 5;             // Packets held back waiting for a missing sequence number
+    this.clockRate = options.clockRate || 8000;  // RTP timestamp clock of the stream
+    this.maxGap = options.maxGap || this.clockRate * 30; // Largest timestamp gap (in clock ticks) that gets filled
+    this.onFrame = options.onFrame || (() => {}); // Called with each packet in playout order
+    this.onGap = options.onGap || (() => {});     // Called with (ticks, timestamp) when the timeline has a hole
+    this.packets = new Map();                    // Buffered packets keyed by sequence number
+    this.nextSeq = null;                         // Next sequence number to play out
+    this.nextTimestamp = null;                   // RTP timestamp expected for the next packet
+    this.recentSeqs = [];                        // Recently played sequence numbers (duplicate detection)
+    this.stats = {
+      received: 0,      // Packets pushed into the buffer
+      played: 0,        // Packets handed to onFrame
+      duplicates: 0,    // Packets already buffered or played
+      late: 0,          // Packets that arrived after their slot was skipped
+      reordered: 0,     // Packets that arrived ahead of a missing one
+      lost: 0,          // Sequence numbers that never arrived
+      gapTicks: 0,      // Timestamp ticks reported through onGap
+      resyncs: 0        // Sequence or timestamp discontinuities
+    };
+  }
+
+  // Signed distance between two 16-bit sequence numbers (handles wraparound at 65536)
+  static seqDiff(a, b) {
+    const diff = (a - b) & 0xFFFF;
+    return diff >= 0x8000 ? diff - 0x10000 : diff;
+  }
+
+  // Signed distance between two 32-bit RTP timestamps (handles wraparound at 2^32)
+  static timestampDiff(a, b) {
+    return (a - b) | 0;
+  }
+
+  // Build PCM to fill a gap of `samples` samples (16-bit LE mono)
+  // 'plc' repeats the tail of the last good frame with a fade-out, anything else is plain silence
+  static concealment(samples, mode = 'silence', lastPcm = null) {
+    const pcm = Buffer.alloc(samples * 2);
+    if (mode !== 'plc' || !lastPcm || lastPcm.length < 2) {
+      return pcm;
+    }
+    const lastSamples = lastPcm.length / 2;
+    const fadeSamples = Math.min(samples, lastSamples * 3); // Conceal up to three frames, then silence
+    for (let i = 0; i < fadeSamples; i++) {
+      const source = lastPcm.readInt16LE((i % lastSamples) * 2);
+      const gain = 1 - (i / fadeSamples);
+      pcm.writeInt16LE(Math.round(source * gain), i * 2);
+    }
+    return pcm;
+  }
+
+  // Add a packet - `duration` is the number of timestamp ticks the payload covers
+  // Returns false if the packet was dropped as a duplicate or late arrival
+  push(seq, timestamp, duration, data) {
+    this.stats.received++;
+
+    if (this.nextSeq === null) {
+      this.nextSeq = seq;
+    }
+
+    const diff = JitterBuffer.seqDiff(seq, this.nextSeq);
+    if (diff < 0) {
+      // Slot already played out (or skipped as lost)
+      if (diff >= -1000 || this.packets.size > 0) {
+        if (this.recentSeqs.includes(seq)) {
+          this.stats.duplicates++;
+        } else {
+          this.stats.late++;
+        }
+        return false;
+      }
+      // Far behind with nothing buffered - the sender restarted its sequence
+      this.resync(seq);
+    } else if (diff > 1000) {
+      // Huge forward jump - treat as a new stream rather than 1000+ lost packets
+      this.flush();
+      this.resync(seq);
+    }
+
+    if (this.packets.has(seq)) {
+      this.stats.duplicates++;
+      return false;
+    }
+    if (seq !== this.nextSeq) {
+      this.stats.reordered++;
+    }
+
+    this.packets.set(seq, { seq, timestamp: timestamp >>> 0, duration, data });
+    this.release();
+    return true;
+  }
+
+  // Mark a sequence number as consumed without playing anything - for packets of the stream that carry no
+  // audio (RFC 4733 telephone-events), so their slot is neither waited for nor counted as lost
+  // The timestamp gap they leave is still reported in front of the next audio packet
+  skip(seq) {
+    if (this.nextSeq === null) {
+      this.nextSeq = seq;
+    }
+    const diff = JitterBuffer.seqDiff(seq, this.nextSeq);
+    if (diff < 0 || diff > 1000 || this.packets.has(seq)) return;
+    this.packets.set(seq, { seq, skipped: true });
+    this.release();
+  }
+
+  // Restart sequence tracking at `seq`
+  resync(seq) {
+    this.stats.resyncs++;
+    this.nextSeq = seq;
+    this.nextTimestamp = null;
+  }
+
+  // Play out every packet that is ready
+  release() {
+    while (this.packets.size > 0) {
+      if (!this.packets.has(this.nextSeq)) {
+        if (this.packets.size <= this.depth) break;
+        this.skipToOldest();
+      }
+      const packet = this.packets.get(this.nextSeq);
+      this.packets.delete(this.nextSeq);
+      this.nextSeq = (this.nextSeq + 1) & 0xFFFF;
+      if (!packet.skipped) this.play(packet);
+    }
+  }
+
+  // Give up on missing sequence numbers and move to the oldest buffered packet
+  skipToOldest() {
+    let oldest = null;
+    let oldestDiff = Infinity;
+    for (const seq of this.packets.keys()) {
+      const diff = JitterBuffer.seqDiff(seq, this.nextSeq);
+      if (diff < oldestDiff) {
+        oldestDiff = diff;
+        oldest = seq;
+      }
+    }
+    this.stats.lost += oldestDiff;
+    this.nextSeq = oldest;
+  }
+
+  // Hand a packet to onFrame, reporting any timestamp gap in front of it first
+  play(packet) {
+    if (this.nextTimestamp !== null) {
+      const gap = JitterBuffer.timestampDiff(packet.timestamp, this.nextTimestamp);
+      if (gap > 0 && gap <= this.maxGap) {
+        this.stats.gapTicks += gap;
+        this.onGap(gap, this.nextTimestamp);
+      } else if (gap > this.maxGap || gap < -this.maxGap) {
+        // Timestamp jumped - sender reset its clock, don't fill
+        this.stats.resyncs++;
+      }
+    }
+    this.nextTimestamp = (packet.timestamp + packet.duration) >>> 0;
+    this.recentSeqs.push(packet.seq);
+    if (this.recentSeqs.length > this.depth * 4) this.recentSeqs.shift();
+    this.stats.played++;
+    this.onFrame(packet);
+  }
+
+  // Play out everything still buffered (end of call), skipping over holes
+  flush() {
+    while (this.packets.size > 0) {
+      if (!this.packets.has(this.nextSeq)) {
+        this.skipToOldest();
+      }
+      const packet = this.packets.get(this.nextSeq);
+      this.packets.delete(this.nextSeq);
+      this.nextSeq = (this.nextSeq + 1) & 0xFFFF;
+      if (!packet.skipped) this.play(packet);
+    }
+  }
+}
+
+// Export the JitterBuffer class for use in index.js
+module.exports = JitterBuffer;
@@ -0,0 +1,96 @@
+// localStorageDriver.js
+
+const fs = require('fs-extra');
+const path = require('path');
+const { validateName } = require('./recordingNames');
+
+// LocalStorageDriver class for recordings kept in a directory on local disk (RECORDINGS_DIR).
+// Files are addressed by their path relative to the directory ('2026/10/19/<name>.wav') - names with
+// '..', absolute paths or backslashes are refused so a request can't reach outside the directory.
+class LocalStorageDriver {
+  // Constructor with the recordings directory
+  constructor(options = {}) {
+    this.name = 'local';
+    this.directory = options.directory;
+  }
+
+  // Where files are kept, for logs and /health
+  describe() {
+    return this.directory;
+  }
+
+  // Absolute path of a file - throws for names that aren't a relative path inside the directory
+  pathFor(filename) {
+    const target = path.resolve(this.directory, ...validateName(filename).split('/'));
+    if (!target.startsWith(path.resolve(this.directory) + path.sep)) {
+      throw new Error(`Invalid recording name '${filename}'`);
+    }
+    return target;
+  }
+
+  // Name of a file under the directory
+  nameFor(filePath) {
+    return validateName(path.relative(this.directory, filePath).split(path.sep).join('/'));
+  }
+
+  // Store a file under `filename` - a file already in the directory stays where it is
+  async put(filename, localPath) {
+    const target = this.pathFor(filename);
+    if (path.resolve(localPath) !== path.resolve(target)) {
+      await fs.copy(localPath, target);   // Creates the name's directories
+    }
+    const { size } = await fs.stat(target);
+    return { filename: filename, size: size, location: target };
+  }
+
+  // Size and modification time of a file - null if it doesn't exist
+  async head(filename) {
+    try {
+      const stats = await fs.stat(this.pathFor(filename));
+      if (!stats.isFile()) return null;
+      return { filename: filename, size: stats.size, created: stats.birthtime, lastModified: stats.mtime, metadata: {} };
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  // Every file in the directory and its subdirectories (symbolic links to directories aren't followed)
+  async list() {
+    const files = [];
+    const walk = async (directory, prefix) => {
+      for (const dirent of await fs.readdir(directory, { withFileTypes: true })) {
+        if (dirent.isDirectory()) {
+          await walk(path.join(directory, dirent.name), `${prefix}${dirent.name}/`);
+        } else {
+          files.push(`${prefix}${dirent.name}`);
+        }
+      }
+    };
+    await walk(this.directory, '');
+    const entries = await Promise.all(files.map(file => this.head(file).catch(() => null)));
+    return entries.filter(Boolean);
+  }
+
+  // Readable stream of a file's contents
+  async createReadStream(filename) {
+    return fs.createReadStream(this.pathFor(filename));
+  }
+
+  // Remove a file (missing files are ignored), then the directories it leaves empty
+  async remove(filename) {
+    const target = this.pathFor(filename);
+    await fs.remove(target);
+    const root = path.resolve(this.directory);
+    for (let directory = path.dirname(target); directory !== root; directory = path.dirname(directory)) {
+      try {
+        await fs.rmdir(directory);
+      } catch (err) {
+        break; // Not empty (or already gone)
+      }
+    }
+  }
+}
+
+// Export the LocalStorageDriver class for use in recordingStorage.js
+module.exports = LocalStorageDriver;
@@ -0,0 +1,229 @@
+// mp3Converter.js
+
+// Import required Node.js modules for child processes and file handling
+const { spawn } = require('child_process'); // Runs ffmpeg/lame when installed
+const { once } = require('events');
+const fs = require('fs-extra');
+const lamejs = require('lamejs');           // Pure-JS MP3 encoder used when no binary is available
+const { openWavSource, WAVE_FORMAT_PCM } = require('./wavFile');
+
+// Version flags used to probe for each encoder binary
+const ENCODER_BINARIES = {
+  ffmpeg: '-version',
+  lame: '--version'
+};
+
+// Samples per MPEG audio frame - lamejs is fed whole frames
+const MP3_FRAME_SAMPLES = 1152;
+
+// MP3Converter class to turn the recorder's 16-bit PCM WAV files into MP3.
+// Uses a local ffmpeg or lame binary when one is installed and falls back to the in-process lamejs encoder,
+// so encoding always works. PCM is read from the WAV and piped to the encoder, which also copes with files
+// whose header sizes were never finalised. encode() takes the PCM from any source ({ header, read() }) and
+// writes the MP3 to a stream, so an encrypted recording can be encoded without a plaintext file.
+class MP3Converter {
+  // Constructor with bitrate (kbps), channel mode and encoder choice
+  constructor(options = {}) {
+    this.bitrate = options.bitrate || 32;        // Constant bitrate in kbps
+    this.mode = options.mode || 'auto';          // 'auto' (same as the WAV), 'mono', 'stereo' or 'joint'
+    this.encoder = options.encoder || 'auto';    // 'auto', 'ffmpeg', 'lame' or 'lamejs'
+  }
+
+  // Check once per process whether a binary can be run
+  static hasBinary(name) {
+    if (!MP3Converter.binaryCache.has(name)) {
+      MP3Converter.binaryCache.set(name, new Promise((resolve) => {
+        const child = spawn(name, [ENCODER_BINARIES[name]], { stdio: 'ignore' });
+        child.on('error', () => resolve(false));
+        child.on('exit', (code) => resolve(code === 0));
+      }));
+    }
+    return MP3Converter.binaryCache.get(name);
+  }
+
+  // Pick the encoder to use - an explicitly configured binary must exist
+  async resolveEncoder() {
+    if (this.encoder === 'lamejs') return 'lamejs';
+    if (this.encoder !== 'auto') {
+      if (!ENCODER_BINARIES[this.encoder]) throw new Error(`Unknown MP3 encoder '${this.encoder}'`);
+      if (!(await MP3Converter.hasBinary(this.encoder))) throw new Error(`MP3 encoder '${this.encoder}' is not installed`);
+      return this.encoder;
+    }
+    for (const name of Object.keys(ENCODER_BINARIES)) {
+      if (await MP3Converter.hasBinary(name)) return name;
+    }
+    return 'lamejs';
+  }
+
+  // Number of channels in the MP3 for a recording with `channels` channels
+  outputChannels(channels) {
+    if (this.mode === 'mono') return 1;
+    if (this.mode === 'stereo' || this.mode === 'joint') return 2;
+    return Math.min(channels, 2);
+  }
+
+  // Convert interleaved 16-bit samples between channel counts (stereo -> mono averages, mono -> stereo duplicates)
+  static remapChannels(samples, inChannels, outChannels) {
+    if (inChannels === outChannels) return samples;
+    const frames = Math.floor(samples.length / inChannels);
+    const out = new Int16Array(frames * outChannels);
+    for (let i = 0; i < frames; i++) {
+      if (outChannels === 1) {
+        let sum = 0;
+        for (let c = 0; c < inChannels; c++) sum += samples[i * inChannels + c];
+        out[i] = Math.round(sum / inChannels);
+      } else {
+        for (let c = 0; c < outChannels; c++) {
+          out[i * outChannels + c] = samples[i * inChannels + Math.min(c, inChannels - 1)];
+        }
+      }
+    }
+    return out;
+  }
+
+  // Read a source's PCM and call `onSamples` with interleaved Int16Arrays in the output channel layout
+  static async readPCM(source, outChannels, onSamples) {
+    const header = source.header;
+    let carry = Buffer.alloc(0);
+    for await (const chunk of source.read()) {
+      const data = carry.length ? Buffer.concat([carry, chunk]) : chunk;
+      const usable = data.length - (data.length % header.blockAlign);
+      carry = data.slice(usable);
+      const samples = new Int16Array(usable / 2);
+      for (let i = 0; i < samples.length; i++) {
+        samples[i] = data.readInt16LE(i * 2);
+      }
+      await onSamples(MP3Converter.remapChannels(samples, header.channels, outChannels));
+    }
+  }
+
+  // Encode in-process with lamejs
+  async encodeWithLamejs(source, out, outChannels) {
+    const encoder = new lamejs.Mp3Encoder(outChannels, source.header.sampleRate, this.bitrate);
+    const write = async (mp3) => {
+      if (mp3.length > 0 && !out.write(Buffer.from(mp3.buffer, mp3.byteOffset, mp3.length))) await once(out, 'drain');
+    };
+    let pending = new Int16Array(0);
+    const encodeFrames = async (final) => {
+      const frameLength = MP3_FRAME_SAMPLES * outChannels;
+      const end = final ? pending.length : pending.length - (pending.length % frameLength);
+      for (let pos = 0; pos < end; pos += frameLength) {
+        const block = pending.subarray(pos, Math.min(pos + frameLength, end));
+        let mp3;
+        if (outChannels === 1) {
+          mp3 = encoder.encodeBuffer(block);
+        } else {
+          const left = new Int16Array(block.length / 2);
+          const right = new Int16Array(block.length / 2);
+          for (let i = 0; i < left.length; i++) {
+            left[i] = block[i * 2];
+            right[i] = block[i * 2 + 1];
+          }
+          mp3 = encoder.encodeBuffer(left, right);
+        }
+        await write(mp3);
+      }
+      pending = pending.slice(end);
+    };
+
+    await MP3Converter.readPCM(source, outChannels, async (samples) => {
+      const merged = new Int16Array(pending.length + samples.length);
+      merged.set(pending, 0);
+      merged.set(samples, pending.length);
+      pending = merged;
+      await encodeFrames(false);
+    });
+    await encodeFrames(true);
+    await write(encoder.flush());
+    out.end();
+  }
+
+  // Encode with an ffmpeg or lame binary, piping raw PCM into its stdin and the MP3 from its stdout to `out`
+  encodeWithBinary(binary, source, out, outChannels) {
+    const header = source.header;
+    let args;
+    if (binary === 'ffmpeg') {
+      args = ['-hide_banner', '-loglevel', 'error', '-y',
+        '-f', 's16le', '-ar', String(header.sampleRate), '-ac', String(outChannels), '-i', 'pipe:0',
+        '-codec:a', 'libmp3lame', '-b:a', `${this.bitrate}k`, '-f', 'mp3'];
+      if (outChannels === 2) args.push('-joint_stereo', this.mode === 'joint' ? '1' : '0');
+      args.push('pipe:1');
+    } else {
+      const channelMode = outChannels === 1 ? 'm' : (this.mode === 'joint' ? 'j' : 's');
+      args = ['--quiet', '-r', '-s', String(header.sampleRate / 1000), '--bitwidth', '16', '--signed', '--little-endian',
+        '-m', channelMode, '-b', String(this.bitrate), '-', '-'];
+    }
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(binary, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+      let stderr = '';
+      let failed = null;
+      child.stdout.pipe(out);
+      const written = once(out, 'finish');
+      written.catch(() => {}); // Awaited once the encoder has exited
+      child.stderr.on('data', (data) => {
+        stderr += data;
+      });
+      child.stdin.on('error', (err) => {
+        failed = failed || err; // Encoder exited early - its exit code explains why
+      });
+      child.on('error', reject);
+      child.on('close', (code) => {
+        if (code === 0 && !failed) return written.then(() => resolve(), reject);
+        reject(new Error(`${binary} exited with code ${code}${stderr ? `: ${stderr.trim().split('\n').pop()}` : ''}`));
+      });
+
+      MP3Converter.readPCM(source, outChannels, (samples) => {
+        const buf = Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength);
+        if (child.stdin.write(buf)) return null;
+        return new Promise(done => child.stdin.once('drain', done));
+      }).then(() => child.stdin.end(), (err) => {
+        child.kill();
+        reject(err);
+      });
+    });
+  }
+
+  // Encode the PCM of a source into `writeStream` as MP3 - the stream is ended once the MP3 is complete
+  // Resolves with the encoder used
+  async encode(source, writeStream, name = 'The recording') {
+    const header = source.header;
+    if (header.audioFormat !== WAVE_FORMAT_PCM || header.bitDepth !== 16) {
+      throw new Error(`${name} is not 16-bit PCM (format ${header.audioFormat}, ${header.bitDepth} bits)`);
+    }
+    const encoder = await this.resolveEncoder();
+    const outChannels = this.outputChannels(header.channels);
+    if (encoder === 'lamejs') {
+      await this.encodeWithLamejs(source, writeStream, outChannels);
+    } else {
+      await this.encodeWithBinary(encoder, source, writeStream, outChannels);
+    }
+    return encoder;
+  }
+
+  // Convert a WAV file to MP3 - resolves with { path, encoder, bytes, durationSec }
+  // The MP3 is written to a temporary file and renamed into place, so a partial MP3 is never left behind
+  async convert(wavPath, mp3Path) {
+    const source = await openWavSource(wavPath);
+    const partPath = `${mp3Path}.part`;
+    let encoder;
+    try {
+      const out = fs.createWriteStream(partPath);
+      const closed = once(out, 'close');
+      closed.catch(() => {}); // Awaited below - a write error also fails the encoding
+      encoder = await this.encode(source, out, wavPath);
+      await closed;
+      await fs.move(partPath, mp3Path, { overwrite: true });
+    } catch (err) {
+      await fs.remove(partPath).catch(() => {});
+      throw err;
+    }
+    const { size } = await fs.stat(mp3Path);
+    return { path: mp3Path, encoder: encoder, bytes: size, durationSec: source.header.durationSec };
+  }
+}
+
+MP3Converter.binaryCache = new Map(); // Binary name -> Promise<boolean>
+
+// Export the MP3Converter class for use in index.js
+module.exports = MP3Converter;
@@ -0,0 +1,100 @@
+// portPool.js
+
+// Import required Node.js modules for UDP sockets
+const dgram = require('dgram');  // Module for UDP socket communication (RTP)
+
+// RTPPortPool hands out one bound UDP socket per recording session from a fixed port range.
+// Each session gets its own port, so incoming RTP is demultiplexed by port instead of by SSRC guessing.
+// Only even ports are leased (RTP convention) - the odd port above each one carries the session's RTCP.
+class RTPPortPool {
+  // Constructor with options for port range, bind address and RTCP companion sockets
+  constructor(options = {}) {
+    this.minPort = options.minPort || 20000;     // First port of the range (rounded up to even)
+    this.maxPort = options.maxPort || 20999;     // Last port of the range (inclusive)
+    this.address = options.address || '0.0.0.0'; // Interface the sockets are bound to
+    this.rtcp = options.rtcp !== false;          // Also bind port + 1 for RTCP
+    if (this.minPort % 2 !== 0) this.minPort++;  // RTP ports must be even
+    if (this.maxPort < this.minPort) {
+      throw new Error(`Invalid RTP port range ${options.minPort}-${options.maxPort}`);
+    }
+    this.leases = new Map();                     // port -> { socket, rtcpSocket, sessionId, leasedAt }
+    this.nextPort = this.minPort;                // Round-robin cursor so a just-released port is not reused immediately
+  }
+
+  // Total number of ports the pool can hand out (the RTCP port of the last pair must fit in the range too)
+  get capacity() {
+    const lastPort = this.rtcp ? this.maxPort - 1 : this.maxPort;
+    return Math.max(0, Math.floor((lastPort - this.minPort) / 2) + 1);
+  }
+
+  // Number of ports currently leased
+  get inUse() {
+    return this.leases.size;
+  }
+
+  // Bind a UDP socket to the given port - resolves with the socket or rejects with the bind error
+  bindSocket(port) {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket('udp4');
+      const onError = (err) => {
+        socket.close();
+        reject(err);
+      };
+      socket.once('error', onError);
+      socket.bind(port, this.address, () => {
+        socket.removeListener('error', onError);
+        resolve(socket);
+      });
+    });
+  }
+
+  // Lease a free port for a session - resolves with { port, socket, rtcpSocket }
+  // Ports that are busy outside of the pool (EADDRINUSE) are skipped
+  async lease(sessionId) {
+    const capacity = this.capacity;
+    for (let attempt = 0; attempt < capacity; attempt++) {
+      const port = this.nextPort;
+      this.nextPort = port + 2 > this.minPort + (capacity - 1) * 2 ? this.minPort : port + 2;
+      if (this.leases.has(port)) continue;
+
+      let socket = null;
+      try {
+        socket = await this.bindSocket(port);
+        const rtcpSocket = this.rtcp ? await this.bindSocket(port + 1) : null;
+        this.leases.set(port, { socket, rtcpSocket, sessionId, leasedAt: new Date() });
+        return { port, socket, rtcpSocket };
+      } catch (err) {
+        if (socket) socket.close(); // RTP port was free but its RTCP port wasn't
+        if (err.code !== 'EADDRINUSE' && err.code !== 'EACCES') throw err;
+        // Port taken by another process - try the next one
+      }
+    }
+    throw new Error(`No free RTP ports in range ${this.minPort}-${this.maxPort} (${this.leases.size} in use)`);
+  }
+
+  // Release a leased port and close its socket
+  release(port) {
+    const lease = this.leases.get(port);
+    if (!lease) return false;
+    this.leases.delete(port);
+    for (const socket of [lease.socket, lease.rtcpSocket]) {
+      if (!socket) continue;
+      try {
+        socket.close();
+      } catch (e) {
+        // Socket already closed
+      }
+    }
+    return true;
+  }
+
+  // Release every leased port (used on shutdown)
+  releaseAll() {
+    for (const port of Array.from(this.leases.keys())) {
+      this.release(port);
+    }
+  }
+}
+
+// Export the RTPPortPool class for use in index.js
+module.exports = RTPPortPool;
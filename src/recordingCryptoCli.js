@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+// recordingCryptoCli.js
+
+// Offline tool for encrypted recordings (see recordingEncryption.js)
+//
+//   node src/recordingCryptoCli.js decrypt <file.enc|dir>... [--out <dir>]   Decrypt exported recordings
+//   node src/recordingCryptoCli.js rewrap <file.enc|dir>...                  Re-wrap data keys with the current key
+//   node src/recordingCryptoCli.js add-key [keyId]                           Add a master key and make it current
+//   node src/recordingCryptoCli.js info <file.enc>...                        Show the encryption header
+//
+// The key file comes from --key-file <path> or ENCRYPTION_KEY_FILE.
+
+// Load environment variables from .env file if it exists
+try {
+  require('dotenv').config();
+} catch (e) {
+  // dotenv not installed or .env file doesn't exist - use process.env directly
+}
+
+const fs = require('fs-extra');
+const path = require('path');
+const RecordingEncryption = require('./recordingEncryption');
+
+const USAGE = `Usage: recording-crypto <decrypt|rewrap|add-key|info> [args] [--key-file <path>] [--out <dir>]`;
+
+// Split argv into positional arguments and --options
+function parseArgs(argv) {
+  const args = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      args.push(argv[i]);
+    }
+  }
+  return { args, options };
+}
+
+// Encrypted files named on the command line - directories are searched (not recursively)
+async function encryptedFiles(paths) {
+  const files = [];
+  for (const target of paths) {
+    const stats = await fs.stat(target);
+    if (stats.isDirectory()) {
+      for (const file of (await fs.readdir(target)).sort()) {
+        if (RecordingEncryption.isEncryptedName(file)) files.push(path.join(target, file));
+      }
+    } else {
+      files.push(target);
+    }
+  }
+  return files;
+}
+
+async function main() {
+  const { args, options } = parseArgs(process.argv.slice(2));
+  const command = args.shift();
+  const keyFilePath = options['key-file'] || process.env.ENCRYPTION_KEY_FILE;
+  if (!command || !keyFilePath) {
+    console.error(USAGE);
+    if (command && !keyFilePath) console.error('No key file: pass --key-file or set ENCRYPTION_KEY_FILE');
+    return 2;
+  }
+
+  if (command === 'add-key') {
+    const id = await RecordingEncryption.addKey(keyFilePath, args[0]);
+    console.log(`Added master key '${id}' to ${keyFilePath} - new recordings use it from now on`);
+    return 0;
+  }
+
+  const encryption = new RecordingEncryption({ keyFilePath: keyFilePath });
+  const files = await encryptedFiles(args);
+  if (files.length === 0) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  if (command === 'decrypt' && options.out) {
+    await fs.ensureDir(options.out);
+  }
+
+  let failures = 0;
+  for (const file of files) {
+    try {
+      if (command === 'decrypt') {
+        const name = RecordingEncryption.plaintextName(path.basename(file));
+        const outPath = path.join(options.out || path.dirname(file), name === path.basename(file) ? `${name}.dec` : name);
+        await encryption.decryptFile(file, outPath);
+        console.log(`${file} -> ${outPath}`);
+      } else if (command === 'rewrap') {
+        const result = await encryption.rewrapFile(file);
+        console.log(result ? `${file}: ${result.from} -> ${result.to}` : `${file}: already uses the current key`);
+      } else if (command === 'info') {
+        const header = await RecordingEncryption.readHeader(file);
+        if (!header) throw new Error('not an encrypted recording');
+        console.log(`${file}: ${header.alg}, key ${header.keyId}, ${header.chunkSize}-byte chunks, ${JSON.stringify(header.metadata || {})}`);
+      } else {
+        console.error(USAGE);
+        return 2;
+      }
+    } catch (err) {
+      failures++;
+      console.error(`${file}: ${err.message || err}`);
+    }
+  }
+  return failures > 0 ? 1 : 0;
+}
+
+main().then((code) => {
+  process.exitCode = code;
+}, (err) => {
+  console.error(err.message || err);
+  process.exitCode = 1;
+});
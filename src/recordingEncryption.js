@@ -0,0 +1,374 @@
+// recordingEncryption.js
+
+// Encryption at rest for finished recordings. Files are encrypted with AES-256-GCM in chunks, so they can
+// be encrypted and decrypted as streams, and saved as <name>.enc:
+//
+//   "RECENC" | version (1 byte) | header length (uint32 BE) | header (JSON) | chunk | chunk | ...
+//
+// Each file gets a random 256-bit data key, stored in the header wrapped (AES-256-GCM) with a master key
+// from the key file. Chunks are `chunkSize` bytes of plaintext (the last one may be shorter or empty)
+// followed by a 16-byte tag; chunk nonces are a per-file prefix, the chunk counter and a last-chunk flag,
+// so chunks can't be reordered, dropped or the file truncated without decryption failing.
+//
+// The key file is JSON: { "current": "<key id>", "keys": { "<key id>": "<base64 32-byte key>", ... } }.
+// New files use the current key; older keys stay in the file to decrypt (or rewrap) older recordings.
+
+const fs = require('fs-extra');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const MAGIC = Buffer.from('RECENC', 'ascii');
+const VERSION = 1;
+const PREAMBLE_LENGTH = MAGIC.length + 1 + 4;
+const ALGORITHM = 'AES-256-GCM';
+const TAG_LENGTH = 16;
+const NONCE_PREFIX_LENGTH = 7;                 // + 4-byte counter + 1-byte last-chunk flag = 12-byte nonce
+const DEFAULT_CHUNK_SIZE = 64 * 1024;
+const MAX_HEADER_LENGTH = 64 * 1024;
+const ENCRYPTED_EXTENSION = '.enc';
+
+// Load a key file - returns { current, keys: Map(id -> 32-byte Buffer) }
+async function loadKeyring(keyFilePath) {
+  const data = await fs.readJson(keyFilePath);
+  const keys = new Map();
+  for (const [id, value] of Object.entries(data.keys || {})) {
+    const key = Buffer.from(value, 'base64');
+    if (key.length !== 32) throw new Error(`Key '${id}' in ${keyFilePath} is not 32 bytes`);
+    keys.set(id, key);
+  }
+  if (!data.current || !keys.has(data.current)) {
+    throw new Error(`Key file ${keyFilePath} has no current key`);
+  }
+  return { current: data.current, keys: keys };
+}
+
+// Add a new random master key to a key file (created if missing) and make it the current one
+async function addKey(keyFilePath, keyId) {
+  const data = (await fs.pathExists(keyFilePath)) ? await fs.readJson(keyFilePath) : { keys: {} };
+  const id = keyId || new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+  if (data.keys[id]) throw new Error(`Key '${id}' already exists in ${keyFilePath}`);
+  data.keys[id] = crypto.randomBytes(32).toString('base64');
+  data.current = id;
+  const partPath = `${keyFilePath}.part`;
+  await fs.writeJson(partPath, data, { spaces: 2, mode: 0o600 });
+  await fs.move(partPath, keyFilePath, { overwrite: true });
+  return id;
+}
+
+// Nonce of a chunk
+function chunkNonce(prefix, index, last) {
+  const nonce = Buffer.alloc(12);
+  prefix.copy(nonce, 0);
+  nonce.writeUInt32BE(index, NONCE_PREFIX_LENGTH);
+  nonce[11] = last ? 1 : 0;
+  return nonce;
+}
+
+// Additional authenticated data for every chunk - ties the chunks to this file's parameters
+function chunkAad(header) {
+  return Buffer.from(`${ALGORITHM}|${header.chunkSize}|${header.noncePrefix}`, 'ascii');
+}
+
+// Serialise a header
+function encodeHeader(header) {
+  const json = Buffer.from(JSON.stringify(header), 'utf8');
+  const preamble = Buffer.alloc(PREAMBLE_LENGTH);
+  MAGIC.copy(preamble, 0);
+  preamble[MAGIC.length] = VERSION;
+  preamble.writeUInt32BE(json.length, MAGIC.length + 1);
+  return Buffer.concat([preamble, json]);
+}
+
+// Parse the header at the start of a buffer - returns { header, length }, null if more bytes are needed
+// Throws if the buffer isn't an encrypted recording
+function decodeHeader(buf) {
+  if (buf.length < PREAMBLE_LENGTH) return null;
+  if (!buf.slice(0, MAGIC.length).equals(MAGIC)) throw new Error('Not an encrypted recording');
+  if (buf[MAGIC.length] !== VERSION) throw new Error(`Unsupported encrypted recording version ${buf[MAGIC.length]}`);
+  const jsonLength = buf.readUInt32BE(MAGIC.length + 1);
+  if (jsonLength > MAX_HEADER_LENGTH) throw new Error('Encrypted recording header too large');
+  if (buf.length < PREAMBLE_LENGTH + jsonLength) return null;
+  const header = JSON.parse(buf.slice(PREAMBLE_LENGTH, PREAMBLE_LENGTH + jsonLength).toString('utf8'));
+  if (header.alg !== ALGORITHM) throw new Error(`Unsupported encryption algorithm '${header.alg}'`);
+  return { header: header, length: PREAMBLE_LENGTH + jsonLength };
+}
+
+// Whether a file name is an encrypted recording
+function isEncryptedName(filename) {
+  return filename.endsWith(ENCRYPTED_EXTENSION);
+}
+
+// Name of the plaintext file an encrypted file holds
+function plaintextName(filename) {
+  return isEncryptedName(filename) ? filename.slice(0, -ENCRYPTED_EXTENSION.length) : filename;
+}
+
+// Length of the encrypted header at the start of a buffer - 0 if the buffer doesn't start an encrypted
+// file, null if more bytes are needed to tell
+function headerLength(buf) {
+  try {
+    const decoded = decodeHeader(buf);
+    return decoded ? decoded.length : null;
+  } catch (err) {
+    return 0;
+  }
+}
+
+// Read the header of an encrypted file on disk - { header, length }, or null if the file isn't encrypted
+async function readDecodedHeader(filePath) {
+  const fd = await fs.open(filePath, 'r');
+  try {
+    const preamble = Buffer.alloc(PREAMBLE_LENGTH);
+    const { bytesRead } = await fs.read(fd, preamble, 0, PREAMBLE_LENGTH, 0);
+    if (bytesRead < PREAMBLE_LENGTH || !preamble.slice(0, MAGIC.length).equals(MAGIC)) return null;
+    const jsonLength = Math.min(preamble.readUInt32BE(MAGIC.length + 1), MAX_HEADER_LENGTH);
+    const buf = Buffer.alloc(PREAMBLE_LENGTH + jsonLength);
+    await fs.read(fd, buf, 0, buf.length, 0);
+    return decodeHeader(buf);
+  } finally {
+    await fs.close(fd);
+  }
+}
+
+// Read the header of an encrypted file on disk - null if the file isn't encrypted
+async function readHeader(filePath) {
+  const decoded = await readDecodedHeader(filePath);
+  return decoded ? decoded.header : null;
+}
+
+// RecordingEncryption class to encrypt and decrypt recordings with the master keys from a key file.
+// The key file is re-read when it changes, so a key added by `recording-crypto add-key` is used for
+// new recordings without a restart.
+class RecordingEncryption {
+  // Constructor with the key file path and the plaintext chunk size
+  constructor(options) {
+    this.keyFilePath = options.keyFilePath;
+    this.chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+    this.cached = null;           // { mtimeMs, keyring }
+  }
+
+  // Current keyring, reloaded when the key file's modification time changes
+  async keyring() {
+    const { mtimeMs } = await fs.stat(this.keyFilePath);
+    if (!this.cached || this.cached.mtimeMs !== mtimeMs) {
+      this.cached = { mtimeMs: mtimeMs, keyring: await loadKeyring(this.keyFilePath) };
+    }
+    return this.cached.keyring;
+  }
+
+  // Wrap a data key with the current master key - returns the header fields
+  static wrapKey(keyring, dataKey, noncePrefix) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', keyring.keys.get(keyring.current), iv);
+    cipher.setAAD(noncePrefix);
+    const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+    return {
+      keyId: keyring.current,
+      wrappedKey: wrapped.toString('base64'),
+      wrapIv: iv.toString('base64'),
+      wrapTag: cipher.getAuthTag().toString('base64')
+    };
+  }
+
+  // Unwrap a file's data key
+  static unwrapKey(keyring, header) {
+    const masterKey = keyring.keys.get(header.keyId);
+    if (!masterKey) throw new Error(`Master key '${header.keyId}' is not in the key file`);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', masterKey, Buffer.from(header.wrapIv, 'base64'));
+    decipher.setAAD(Buffer.from(header.noncePrefix, 'base64'));
+    decipher.setAuthTag(Buffer.from(header.wrapTag, 'base64'));
+    try {
+      return Buffer.concat([decipher.update(Buffer.from(header.wrappedKey, 'base64')), decipher.final()]);
+    } catch (err) {
+      throw new Error(`Wrong master key '${header.keyId}' or corrupted header`);
+    }
+  }
+
+  // Transform stream encrypting plaintext - `metadata` (format, sample rate, ...) is stored in the header
+  // The stream is returned straight away (recording writers are created synchronously); the key file is
+  // read before the first chunk goes through, and a key file error fails the stream
+  createEncryptStream(metadata = {}) {
+    const chunkSize = this.chunkSize;
+    let state = null;             // { dataKey, noncePrefix, aad, index }
+    let pending = Buffer.alloc(0);
+    const ready = this.keyring().then((keyring) => {
+      const dataKey = crypto.randomBytes(32);
+      const noncePrefix = crypto.randomBytes(NONCE_PREFIX_LENGTH);
+      const header = Object.assign({ alg: ALGORITHM, chunkSize: chunkSize, noncePrefix: noncePrefix.toString('base64') },
+        RecordingEncryption.wrapKey(keyring, dataKey, noncePrefix), { metadata: metadata });
+      state = { dataKey: dataKey, noncePrefix: noncePrefix, aad: chunkAad(header), index: 0 };
+      stream.push(encodeHeader(header));
+    });
+    ready.catch(() => {}); // Reported through the stream
+
+    const sealChunk = (plaintext, last) => {
+      const cipher = crypto.createCipheriv('aes-256-gcm', state.dataKey, chunkNonce(state.noncePrefix, state.index++, last));
+      cipher.setAAD(state.aad);
+      return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+    };
+
+    const stream = new Transform({
+      transform(chunk, encoding, callback) {
+        ready.then(() => {
+          pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+          // Keep at least one byte back - the last chunk is only sealed in flush()
+          while (pending.length > chunkSize) {
+            this.push(sealChunk(pending.slice(0, chunkSize), false));
+            pending = pending.slice(chunkSize);
+          }
+          callback();
+        }, callback);
+      },
+      flush(callback) {
+        ready.then(() => {
+          this.push(sealChunk(pending, true));
+          callback();
+        }, callback);
+      }
+    });
+    return stream;
+  }
+
+  // Transform stream decrypting an encrypted file - fails on a wrong key or any modified, missing or
+  // reordered chunk. With `salvage` set, a file that was cut short (the process died while writing it)
+  // yields the chunks before the cut instead of failing - only for recovering such files, since a
+  // truncated file then decrypts without an error
+  createDecryptStream(options = {}) {
+    let pending = Buffer.alloc(0);
+    let state = null;             // { header, dataKey, noncePrefix, aad, sealedSize, index }
+
+    const openChunk = (sealed, last) => {
+      const ciphertext = sealed.slice(0, sealed.length - TAG_LENGTH);
+      const decipher = crypto.createDecipheriv('aes-256-gcm', state.dataKey, chunkNonce(state.noncePrefix, state.index++, last));
+      decipher.setAAD(state.aad);
+      decipher.setAuthTag(sealed.slice(sealed.length - TAG_LENGTH));
+      return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+    };
+    const fail = (err) => new Error(`Decryption failed: ${err.message}`);
+
+    const self = this;
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+        const start = async () => {
+          if (!state) {
+            const decoded = decodeHeader(pending);
+            if (!decoded) return;
+            const noncePrefix = Buffer.from(decoded.header.noncePrefix, 'base64');
+            state = {
+              header: decoded.header,
+              dataKey: RecordingEncryption.unwrapKey(await self.keyring(), decoded.header),
+              noncePrefix: noncePrefix,
+              aad: chunkAad(decoded.header),
+              sealedSize: decoded.header.chunkSize + TAG_LENGTH,
+              index: 0
+            };
+            pending = pending.slice(decoded.length);
+          }
+          // A full chunk is only known not to be the last one once more data follows it
+          while (pending.length > state.sealedSize) {
+            this.push(openChunk(pending.slice(0, state.sealedSize), false));
+            pending = pending.slice(state.sealedSize);
+          }
+        };
+        start().then(() => callback(), (err) => callback(fail(err)));
+      },
+      flush(callback) {
+        try {
+          if (!state) throw new Error('truncated header');
+          if (pending.length < TAG_LENGTH) throw new Error('truncated file');
+          this.push(openChunk(pending, true));
+          callback();
+        } catch (err) {
+          if (!options.salvage || !state) return callback(fail(err));
+          // The held-back chunk may be the last whole one before the cut - anything shorter is lost
+          try {
+            if (pending.length === state.sealedSize) {
+              state.index--;
+              this.push(openChunk(pending, false));
+            }
+            callback();
+          } catch (salvageErr) {
+            callback(fail(salvageErr));
+          }
+        }
+      }
+    });
+  }
+
+  // Size of the plaintext in a (complete) encrypted file, from its size on disk
+  static async plaintextLength(filePath) {
+    const decoded = await readDecodedHeader(filePath);
+    if (!decoded) throw new Error(`${filePath} is not an encrypted recording`);
+    const { size } = await fs.stat(filePath);
+    const body = size - decoded.length;
+    const chunks = Math.max(1, Math.ceil(body / (decoded.header.chunkSize + TAG_LENGTH)));
+    return Math.max(0, body - chunks * TAG_LENGTH);
+  }
+
+  // Encrypt a file to <file>.enc and remove the plaintext - resolves with the encrypted file's path
+  async encryptFile(filePath, metadata = {}) {
+    const encryptedPath = `${filePath}${ENCRYPTED_EXTENSION}`;
+    const partPath = `${encryptedPath}.part`;
+    try {
+      await pipeline(fs.createReadStream(filePath), this.createEncryptStream(metadata), fs.createWriteStream(partPath, { mode: 0o600 }));
+      await fs.move(partPath, encryptedPath, { overwrite: true });
+    } catch (err) {
+      await fs.remove(partPath).catch(() => {});
+      throw err;
+    }
+    await fs.remove(filePath);
+    return encryptedPath;
+  }
+
+  // Decrypt an encrypted file to `outPath` (written via a temporary file, so a failure leaves nothing behind)
+  async decryptFile(filePath, outPath) {
+    const partPath = `${outPath}.part`;
+    try {
+      await pipeline(fs.createReadStream(filePath), this.createDecryptStream(), fs.createWriteStream(partPath));
+      await fs.move(partPath, outPath, { overwrite: true });
+    } catch (err) {
+      await fs.remove(partPath).catch(() => {});
+      throw err;
+    }
+    return outPath;
+  }
+
+  // Re-wrap a file's data key with the current master key - the encrypted audio is copied unchanged
+  // Resolves with { from, to } key ids, or null if the file already uses the current key
+  async rewrapFile(filePath) {
+    const keyring = await this.keyring();
+    const decoded = await readDecodedHeader(filePath);
+    if (!decoded) throw new Error(`${filePath} is not an encrypted recording`);
+    const { header, length: bodyOffset } = decoded;
+    if (header.keyId === keyring.current) return null;
+
+    const noncePrefix = Buffer.from(header.noncePrefix, 'base64');
+    const dataKey = RecordingEncryption.unwrapKey(keyring, header);
+    const rewrapped = Object.assign({}, header, RecordingEncryption.wrapKey(keyring, dataKey, noncePrefix));
+
+    const partPath = `${filePath}.part`;
+    try {
+      const out = fs.createWriteStream(partPath, { mode: 0o600 });
+      out.write(encodeHeader(rewrapped));
+      await pipeline(fs.createReadStream(filePath, { start: bodyOffset }), out);
+      await fs.move(partPath, filePath, { overwrite: true });
+    } catch (err) {
+      await fs.remove(partPath).catch(() => {});
+      throw err;
+    }
+    return { from: header.keyId, to: rewrapped.keyId };
+  }
+}
+
+RecordingEncryption.ENCRYPTED_EXTENSION = ENCRYPTED_EXTENSION;
+RecordingEncryption.loadKeyring = loadKeyring;
+RecordingEncryption.addKey = addKey;
+RecordingEncryption.readHeader = readHeader;
+RecordingEncryption.headerLength = headerLength;
+RecordingEncryption.isEncryptedName = isEncryptedName;
+RecordingEncryption.plaintextName = plaintextName;
+
+// Export the RecordingEncryption class for use in index.js, recordingFormats.js and the CLI
+module.exports = RecordingEncryption;
@@ -0,0 +1,537 @@
+// recordingFormats.js
+
+// Output format registry for recordings. Every writer takes the session's mixed 16-bit LE PCM through
+// `writeStream` (the same interface the WAV writer always had) and `finalize()` runs once the file stream
+// has closed - it returns the path of the finished recording.
+//
+//   wav      - 16-bit PCM WAV
+//   wav-alaw - WAV with the G.711 A-law format tag (8 bits per sample, no PCM expansion)
+//   wav-ulaw - WAV with the G.711 µ-law format tag
+//   flac     - lossless FLAC
+//   mp3      - recorded as PCM WAV, encoded to MP3 when the call ends
+//
+// With post-processing (see audioProcessor.js) the call is captured to <basePath>.raw.wav and the
+// processed audio is written in the recording's format when the call ends.
+//
+// With an outputSampleRate different from the session's rate the audio is resampled (resampler.js) -
+// while it is written ('stream') or when the call ends ('finalize', from the .raw.wav capture). With
+// post-processing it is always resampled when the call ends, after processing. Headers carry the output rate.
+//
+// With encryption the call is captured encrypted (<basePath>.raw.wav.enc) and everything is encoded from it
+// when the call ends, straight into encrypted files - no plaintext audio is ever written to disk.
+
+const fs = require('fs-extra');
+const path = require('path');
+const stream = require('stream');
+const { Transform } = stream;
+const { pipeline } = require('stream/promises');
+const wav = require('wav');
+const { once } = require('events');
+const FLACEncoder = require('./flacEncoder');
+const AudioProcessor = require('./audioProcessor');
+const Resampler = require('./resampler');
+const WavHeaderUpdater = require('./wavHeaderUpdater');
+const RecordingEncryption = require('./recordingEncryption');
+const Codecs = require('./codecs');
+const { readWavHeader, parseWavHeader, encodeWavHeader, openWavSource, WAVE_FORMAT_PCM, WAVE_FORMAT_ALAW, WAVE_FORMAT_MULAW } = require('./wavFile');
+
+// Decrypted bytes read to find an encrypted WAV's header
+const WAV_HEADER_PROBE_BYTES = 4096;
+
+const FORMATS = {
+  wav: { name: 'wav', description: '16-bit PCM WAV', extension: '.wav' },
+  'wav-alaw': { name: 'wav-alaw', description: 'G.711 A-law WAV', extension: '.wav', law: 'alaw', waveFormat: WAVE_FORMAT_ALAW },
+  'wav-ulaw': { name: 'wav-ulaw', description: 'G.711 µ-law WAV', extension: '.wav', law: 'ulaw', waveFormat: WAVE_FORMAT_MULAW },
+  flac: { name: 'flac', description: 'FLAC (lossless)', extension: '.flac' },
+  mp3: { name: 'mp3', description: 'MP3', extension: '.mp3' }
+};
+
+// File extensions of finished recordings (encrypted ones carry a further .enc)
+const RECORDING_EXTENSIONS = ['.wav', '.flac', '.mp3'];
+
+// Whether a file is a recording, encrypted or not
+function isRecordingFile(filename) {
+  return RECORDING_EXTENSIONS.includes(path.extname(RecordingEncryption.plaintextName(filename)).toLowerCase());
+}
+
+// Look up a format by name - null if unknown
+function getFormat(name) {
+  return FORMATS[name] || null;
+}
+
+// Transform stream companding 16-bit LE PCM to G.711 bytes
+function createG711Encoder(table) {
+  let carry = Buffer.alloc(0);
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      const data = carry.length ? Buffer.concat([carry, chunk]) : chunk;
+      const usable = data.length & ~1;
+      carry = data.slice(usable);
+      callback(null, Codecs.encodeG711(data.slice(0, usable), table));
+    }
+  });
+}
+
+// Create the writer for a recording - `basePath` is the path without extension
+// Options: sampleRate, channels, g711Tables ({ alaw, ulaw } from Codecs.g711EncodeTable),
+//          convertToMP3 (async (wavPath, mp3Path) -> path kept) for the mp3 format,
+//          headerUpdateMs (how often WAV header sizes are rewritten while recording, 0 = only at the end),
+//          encryption (a RecordingEncryption) to write the recording encrypted, see createEncryptedWriter -
+//          the mp3 format then takes mp3Encoder (an MP3Converter) and keepMP3Wav instead of convertToMP3,
+//          postProcess ({ stages from AudioProcessor.parseStages, keepRaw, onReport (report) }) to process
+//          the audio once the call ends,
+//          outputSampleRate (rate of the recording file if not sampleRate), resampleAt ('stream' or 'finalize')
+// Returns { format, path, writeStream, fileStream, finalize }
+function createRecordingWriter(formatName, basePath, options = {}) {
+  const format = getFormat(formatName);
+  if (!format) throw new Error(`Unknown recording format '${formatName}'`);
+  const sampleRate = options.sampleRate || 8000;
+  const channels = options.channels || 1;
+  const outputSampleRate = options.outputSampleRate || sampleRate;
+
+  if (options.encryption) {
+    return createEncryptedWriter(format, basePath, options);
+  }
+  if ((options.postProcess && options.postProcess.stages) || (outputSampleRate !== sampleRate && options.resampleAt === 'finalize')) {
+    return createFinishingWriter(format, basePath, options);
+  }
+  if (outputSampleRate !== sampleRate) {
+    // Resample on the way in - the writer behind it only ever sees the output rate
+    const resampler = new Resampler({ fromRate: sampleRate, toRate: outputSampleRate, channels: channels });
+    const writer = createRecordingWriter(formatName, basePath, Object.assign({}, options, { sampleRate: outputSampleRate, outputSampleRate: null }));
+    resampler.pipe(writer.writeStream);
+    return Object.assign({}, writer, { writeStream: resampler });
+  }
+
+  if (format.name === 'flac') {
+    const filePath = `${basePath}${format.extension}`;
+    const fileStream = fs.createWriteStream(filePath);
+    const encoder = new FLACEncoder({ sampleRate, channels });
+    encoder.pipe(fileStream);
+    return {
+      format: format,
+      path: filePath,
+      writeStream: encoder,
+      fileStream: fileStream,
+      // Totals, frame sizes and MD5 are only known at the end - rewrite STREAMINFO in place
+      finalize: async () => {
+        const fd = await fs.open(filePath, 'r+');
+        try {
+          const info = encoder.streamInfo();
+          await fs.write(fd, info, 0, info.length, FLACEncoder.STREAMINFO_OFFSET);
+        } finally {
+          await fs.close(fd);
+        }
+        return filePath;
+      }
+    };
+  }
+
+  // Every other format is a WAV while the call is running - its header sizes are kept current so the
+  // file stays playable if the process dies mid-call
+  const wavPath = `${basePath}.wav`;
+  const fileStream = fs.createWriteStream(wavPath);
+  const headerUpdater = new WavHeaderUpdater(wavPath, options.headerUpdateMs);
+  headerUpdater.start();
+  fileStream.on('close', () => headerUpdater.stop());
+  let writeStream;
+  if (format.law) {
+    const wavWriter = new wav.Writer({ channels, sampleRate, bitDepth: 8, format: format.waveFormat });
+    writeStream = createG711Encoder(g711Table(format, options.g711Tables));
+    writeStream.pipe(wavWriter).pipe(fileStream);
+  } else {
+    writeStream = new wav.Writer({ channels, sampleRate, bitDepth: 16 });
+    writeStream.pipe(fileStream);
+  }
+
+  return {
+    format: format,
+    path: wavPath,
+    writeStream: writeStream,
+    fileStream: fileStream,
+    finalize: async () => {
+      headerUpdater.stop();
+      await headerUpdater.update(); // Final sizes now that everything is on disk
+      if (format.name !== 'mp3') return wavPath;
+      if (!options.convertToMP3) throw new Error('MP3 format needs a convertToMP3 function');
+      return options.convertToMP3(wavPath, `${basePath}.mp3`);
+    }
+  };
+}
+
+// G.711 encoder table for a wav-alaw/wav-ulaw format
+function g711Table(format, tables) {
+  if (!tables || !tables[format.law]) {
+    throw new Error(`No G.711 ${format.law} encoder table for format '${format.name}'`);
+  }
+  return tables[format.law];
+}
+
+// Writer that captures the call to a plain WAV (<basePath>.raw.wav) and, when finalized, writes the
+// post-processed and/or resampled audio as the recording in `format`. The raw capture is removed unless
+// postProcess.keepRaw is set; if processing fails the raw capture is kept and becomes the recording.
+function createFinishingWriter(format, basePath, options) {
+  const { stages, keepRaw, onReport } = options.postProcess || {};
+  const sampleRate = options.sampleRate || 8000;
+  const channels = options.channels || 1;
+  const outputSampleRate = options.outputSampleRate || sampleRate;
+  const capture = createRecordingWriter('wav', `${basePath}.raw`, Object.assign({}, options, { postProcess: null, outputSampleRate: null }));
+
+  return {
+    format: format,
+    path: capture.path,
+    writeStream: capture.writeStream,
+    fileStream: capture.fileStream,
+    finalize: async () => {
+      const rawPath = await capture.finalize();
+      const output = createRecordingWriter(format.name, basePath, Object.assign({}, options, { postProcess: null, headerUpdateMs: 0, resampleAt: 'stream' }));
+      try {
+        const closed = once(output.fileStream, 'close');
+        closed.catch(() => {}); // Awaited below - a write error surfaces there or from the processing
+        const source = await openWavSource(rawPath);
+        let report = null;
+        if (stages) {
+          const processor = new AudioProcessor({ stages: stages, sampleRate: sampleRate, channels: channels });
+          report = await processor.processSource(source, output.writeStream, rawPath);
+        } else {
+          await copyPCM(source, output.writeStream, rawPath);
+        }
+        await closed;
+        const recordingPath = await output.finalize();
+        if (report && onReport) onReport(Object.assign({ path: recordingPath, sampleRate: outputSampleRate }, report));
+        if (!keepRaw) await fs.remove(rawPath);
+        return recordingPath;
+      } catch (err) {
+        console.error(`${stages ? 'Post-processing' : 'Resampling'} ${rawPath} failed, keeping the unprocessed recording:`, err.message || err);
+        if (!output.fileStream.closed) {
+          const closed = once(output.fileStream, 'close').catch(() => {});
+          output.writeStream.end();
+          await closed;
+        }
+        await fs.remove(output.path).catch(() => {});
+        return rawPath;
+      }
+    }
+  };
+}
+
+// Writer for encrypted recordings - only encrypted data ever reaches the disk. The call is captured as an
+// encrypted 16-bit PCM WAV (<basePath>.raw.wav.enc); when finalized the capture is decrypted as it is read,
+// post-processed, resampled and encoded, and encrypted again as the recording (<basePath><extension>.enc).
+// An encrypted file can't be patched in place, which sets some limits:
+//  - the capture's header sizes are placeholders and headerUpdateMs doesn't apply - the data simply runs to
+//    the end of the file, and recoverCapture() gives a capture cut short by a crash its final sizes
+//  - resampling always happens when the call ends (resampleAt doesn't apply)
+//  - FLAC is encoded twice, the first pass only to learn the STREAMINFO that starts the file
+// The capture is removed unless postProcess.keepRaw is set; if encoding fails it becomes the recording.
+function createEncryptedWriter(format, basePath, options) {
+  const encryption = options.encryption;
+  const sampleRate = options.sampleRate || 8000;
+  const channels = options.channels || 1;
+  const capturePath = `${basePath}.raw.wav${RecordingEncryption.ENCRYPTED_EXTENSION}`;
+  const fileStream = fs.createWriteStream(capturePath, { mode: 0o600 });
+  const writeStream = new wav.Writer({ channels, sampleRate, bitDepth: 16 });
+  const encryptStream = encryption.createEncryptStream({ format: 'wav', sampleRate: sampleRate, channels: channels, durationSec: null });
+  encryptStream.on('error', (err) => fileStream.destroy(err)); // e.g. the key file can't be read
+  writeStream.pipe(encryptStream).pipe(fileStream);
+
+  return {
+    format: format,
+    path: capturePath,
+    writeStream: writeStream,
+    fileStream: fileStream,
+    finalize: async () => {
+      const written = []; // Files created for the recording, removed if encoding fails
+      let source;
+      let recordingPath;
+      try {
+        source = await openEncryptedWavSource(encryption, capturePath);
+        recordingPath = await encodeEncryptedRecording(format, basePath, source, options, written);
+      } catch (err) {
+        console.error(`Encoding ${capturePath} failed, keeping the unprocessed recording:`, err.message || err);
+        for (const filePath of written) await fs.remove(filePath).catch(() => {});
+        return capturePath;
+      }
+      if (!(options.postProcess && options.postProcess.keepRaw)) {
+        await fs.remove(capturePath);
+      } else {
+        await writeEncryptedWav(FORMATS.wav, source, capturePath, { encryption: encryption }).catch((err) => {
+          console.error(`Could not write the final sizes into ${capturePath}:`, err.message || err);
+        });
+      }
+      return recordingPath;
+    }
+  };
+}
+
+// Encode a decrypted capture as the encrypted recording in `format` - every file created is added to
+// `written` as it is started. Resolves with the recording's path.
+async function encodeEncryptedRecording(format, basePath, source, options, written) {
+  const { stages, onReport } = options.postProcess || {};
+  const outputSampleRate = options.outputSampleRate || source.header.sampleRate;
+  const settings = { encryption: options.encryption, outputSampleRate: outputSampleRate, g711Tables: options.g711Tables, stages: stages };
+  const wavPath = `${basePath}.wav${RecordingEncryption.ENCRYPTED_EXTENSION}`;
+  let report = null;
+  let recordingPath = wavPath;
+
+  if (format.extension === '.wav') {
+    written.push(wavPath);
+    report = await writeEncryptedWav(format, source, wavPath, settings);
+  } else {
+    // FLAC and MP3 are encoded from PCM at the output rate - written to <basePath>.wav.enc first if the
+    // audio needs processing or resampling (or the MP3's WAV is kept anyway)
+    const keepWav = format.name === 'mp3' && options.keepMP3Wav;
+    let pcm = source;
+    if (stages || outputSampleRate !== source.header.sampleRate || keepWav) {
+      written.push(wavPath);
+      report = await writeEncryptedWav(FORMATS.wav, source, wavPath, settings);
+      pcm = await openEncryptedWavSource(options.encryption, wavPath);
+    }
+    recordingPath = `${basePath}${format.extension}${RecordingEncryption.ENCRYPTED_EXTENSION}`;
+    written.push(recordingPath);
+    if (format.name === 'flac') {
+      await writeEncryptedFLAC(pcm, recordingPath, options.encryption);
+    } else {
+      if (!options.mp3Encoder) throw new Error('MP3 format needs an mp3Encoder');
+      const encryptStream = options.encryption.createEncryptStream({
+        format: 'mp3',
+        sampleRate: pcm.header.sampleRate,
+        channels: options.mp3Encoder.outputChannels(pcm.header.channels),
+        durationSec: pcm.header.durationSec
+      });
+      await writeEncrypted(recordingPath, [encryptStream], (input) => options.mp3Encoder.encode(pcm, input, basePath));
+    }
+    if (pcm !== source && !keepWav) await fs.remove(wavPath);
+  }
+
+  if (report && onReport) onReport(Object.assign({ path: recordingPath, sampleRate: outputSampleRate }, report));
+  return recordingPath;
+}
+
+// Write a source's PCM as an encrypted WAV in `format` (wav, wav-alaw or wav-ulaw), resampled to
+// options.outputSampleRate and post-processed with options.stages if given. The header goes first with the
+// final sizes, worked out from the source's length. Resolves with the processing report (null without stages).
+async function writeEncryptedWav(format, source, outPath, options) {
+  const { sampleRate, channels, blockAlign } = source.header;
+  const outputSampleRate = options.outputSampleRate || sampleRate;
+  const frames = source.header.dataLength / blockAlign;
+  const outputFrames = outputSampleRate !== sampleRate ? Resampler.outputFrames(frames, sampleRate, outputSampleRate) : frames;
+  const bitDepth = format.law ? 8 : 16;
+
+  const streams = [];
+  if (outputSampleRate !== sampleRate) streams.push(new Resampler({ fromRate: sampleRate, toRate: outputSampleRate, channels: channels }));
+  if (format.law) streams.push(createG711Encoder(g711Table(format, options.g711Tables)));
+  const encryptStream = options.encryption.createEncryptStream({ format: format.name, sampleRate: outputSampleRate, channels: channels, durationSec: outputFrames / outputSampleRate });
+  encryptStream.write(encodeWavHeader({
+    audioFormat: format.waveFormat || WAVE_FORMAT_PCM,
+    channels: channels,
+    sampleRate: outputSampleRate,
+    bitDepth: bitDepth,
+    dataLength: outputFrames * channels * bitDepth / 8
+  }));
+  streams.push(encryptStream);
+
+  let report = null;
+  await writeEncrypted(outPath, streams, async (input) => {
+    if (!options.stages) return copyPCM(source, input, outPath);
+    const processor = new AudioProcessor({ stages: options.stages, sampleRate: sampleRate, channels: channels });
+    report = await processor.processSource(source, input, outPath);
+  });
+  return report;
+}
+
+// Write a source's PCM as an encrypted FLAC. STREAMINFO (totals, frame sizes, MD5) starts the file but is
+// only known once everything has been encoded, so a first pass encodes to nowhere to learn it and the
+// second pass writes it in place of the encoder's placeholder.
+async function writeEncryptedFLAC(source, outPath, encryption) {
+  const { sampleRate, channels } = source.header;
+  const probe = new FLACEncoder({ sampleRate, channels });
+  const probed = once(probe, 'end');
+  probed.catch(() => {}); // Awaited below
+  probe.resume();
+  await copyPCM(source, probe, outPath);
+  await probed;
+  const streamInfo = probe.streamInfo();
+
+  const encoder = new FLACEncoder({ sampleRate, channels });
+  const encryptStream = encryption.createEncryptStream({ format: 'flac', sampleRate: sampleRate, channels: channels, durationSec: source.header.durationSec });
+  await writeEncrypted(outPath, [encoder, createPatcher(streamInfo, FLACEncoder.STREAMINFO_OFFSET), encryptStream], (input) => copyPCM(source, input, outPath));
+  if (!encoder.streamInfo().equals(streamInfo)) throw new Error(`${outPath}: the two FLAC passes differ`);
+}
+
+// Transform stream overwriting the bytes from `offset` on with `patch` as they pass through
+function createPatcher(patch, offset) {
+  let position = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      const from = Math.max(offset - position, 0);
+      const to = Math.min(offset + patch.length - position, chunk.length);
+      if (to > from) {
+        chunk = Buffer.from(chunk);
+        patch.copy(chunk, from, position + from - offset, position + to - offset);
+      }
+      position += chunk.length;
+      callback(null, chunk);
+    }
+  });
+}
+
+// Feed a chain of streams ending in an encrypt stream and write what comes out to `outPath`, through a
+// temporary file so a failure leaves nothing behind - `feed(input)` must end the first stream
+async function writeEncrypted(outPath, streams, feed) {
+  const partPath = `${outPath}.part`;
+  try {
+    await Promise.all([
+      pipeline(...streams, fs.createWriteStream(partPath, { mode: 0o600 })),
+      feed(streams[0])
+    ]);
+    await fs.move(partPath, outPath, { overwrite: true });
+  } catch (err) {
+    streams[0].destroy();
+    await fs.remove(partPath).catch(() => {});
+    throw err;
+  }
+}
+
+// Sample data of an encrypted WAV as a source ({ header, read() }, see openWavSource), decrypted as it is
+// read. The data runs to the end of the file whatever the header says, since a capture's header sizes are
+// placeholders. With `salvage` a file cut short is read up to the cut (see createDecryptStream) - its
+// length is then only known by decrypting all of it.
+async function openEncryptedWavSource(encryption, filePath, salvage = false) {
+  const decrypt = (start, end) => decryptRange(encryption, filePath, start, end, salvage);
+  let length = 0;
+  if (salvage) {
+    for await (const chunk of decrypt(0, Infinity)) length += chunk.length;
+  } else {
+    length = await RecordingEncryption.plaintextLength(filePath);
+  }
+  const chunks = [];
+  for await (const chunk of decrypt(0, WAV_HEADER_PROBE_BYTES)) chunks.push(chunk);
+  const header = parseWavHeader(Buffer.concat(chunks), length);
+  if (!header) throw new Error(`${filePath} is not an encrypted WAV`);
+  const available = Math.max(0, length - header.dataOffset);
+  header.dataLength = available - (available % header.blockAlign);
+  header.durationSec = header.byteRate > 0 ? header.dataLength / header.byteRate : 0;
+  return {
+    header: header,
+    read: () => decrypt(header.dataOffset, header.dataOffset + header.dataLength)
+  };
+}
+
+// Decrypted bytes [start, end) of an encrypted file
+async function* decryptRange(encryption, filePath, start, end, salvage) {
+  const decrypted = encryption.createDecryptStream({ salvage: salvage });
+  // Errors (a read error, a failed chunk) end up on `decrypted`; stopping early is not one
+  stream.pipeline(fs.createReadStream(filePath), decrypted, () => {});
+  let position = 0;
+  for await (const chunk of decrypted) {
+    const from = Math.max(start - position, 0);
+    const to = Math.min(end - position, chunk.length);
+    position += chunk.length;
+    if (to > from) yield chunk.slice(from, to);
+    if (position >= end) break;
+  }
+}
+
+// Give an encrypted capture left behind by a crash (<basePath>.raw.wav.enc, cut short and with placeholder
+// header sizes) its final sizes, keeping what was written before the cut - resolves with the duration
+async function recoverCapture(encryption, capturePath) {
+  const source = await openEncryptedWavSource(encryption, capturePath, true);
+  await writeEncryptedWav(FORMATS.wav, source, capturePath, { encryption: encryption });
+  return source.header.durationSec;
+}
+
+// Stream a source's sample data into `writeStream` (ended afterwards)
+async function copyPCM(source, writeStream, name = 'The recording') {
+  if (source.header.audioFormat !== WAVE_FORMAT_PCM) throw new Error(`${name} is not a PCM WAV`);
+  for await (const chunk of source.read()) {
+    if (!writeStream.write(chunk)) await once(writeStream, 'drain');
+  }
+  writeStream.end();
+}
+
+// Skip an ID3v2 tag at the start of an MP3 - returns the offset of the first frame
+function id3v2Length(buf) {
+  if (buf.length < 10 || buf.toString('ascii', 0, 3) !== 'ID3') return 0;
+  return 10 + ((buf[6] & 0x7F) << 21 | (buf[7] & 0x7F) << 14 | (buf[8] & 0x7F) << 7 | (buf[9] & 0x7F));
+}
+
+// MPEG audio layer III frame header -> { sampleRate, channels, bitrate }
+const MP3_BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MP3_SAMPLE_RATES = [44100, 48000, 32000];
+function parseMP3FrameHeader(buf, offset) {
+  for (let i = offset; i + 4 <= buf.length; i++) {
+    if (buf[i] !== 0xFF || (buf[i + 1] & 0xE0) !== 0xE0) continue;
+    const versionBits = (buf[i + 1] >> 3) & 0x03;   // 0 = MPEG 2.5, 2 = MPEG 2, 3 = MPEG 1
+    const layerBits = (buf[i + 1] >> 1) & 0x03;     // 1 = layer III
+    const bitrateIndex = buf[i + 2] >> 4;
+    const rateIndex = (buf[i + 2] >> 2) & 0x03;
+    if (versionBits === 1 || layerBits !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) continue;
+    const divisor = versionBits === 3 ? 1 : (versionBits === 2 ? 2 : 4);
+    return {
+      offset: i,
+      sampleRate: MP3_SAMPLE_RATES[rateIndex] / divisor,
+      channels: (buf[i + 3] >> 6) === 3 ? 1 : 2,
+      bitrate: MP3_BITRATES[versionBits === 3 ? 1 : 2][bitrateIndex]
+    };
+  }
+  return null;
+}
+
+// Read format, sample rate, channels and duration of a finished recording
+// Returns null for files that can't be parsed (e.g. a recording still being written with no data yet)
+async function probeRecording(filePath) {
+  // Encrypted recordings carry these details in their encryption header
+  if (RecordingEncryption.isEncryptedName(filePath)) {
+    const header = await RecordingEncryption.readHeader(filePath);
+    return header && header.metadata && header.metadata.format ? header.metadata : null;
+  }
+  const extension = path.extname(filePath).toLowerCase();
+  if (extension === '.wav') {
+    const header = await readWavHeader(filePath);
+    if (!header) return null;
+    const formatName = header.audioFormat === WAVE_FORMAT_ALAW ? 'wav-alaw'
+      : header.audioFormat === WAVE_FORMAT_MULAW ? 'wav-ulaw'
+        : header.audioFormat === WAVE_FORMAT_PCM ? 'wav' : `wav-0x${header.audioFormat.toString(16)}`;
+    return { format: formatName, sampleRate: header.sampleRate, channels: header.channels, durationSec: header.durationSec };
+  }
+
+  const { size } = await fs.stat(filePath);
+  const fd = await fs.open(filePath, 'r');
+  try {
+    if (extension === '.flac') {
+      const buf = Buffer.alloc(42);
+      await fs.read(fd, buf, 0, buf.length, 0);
+      if (buf.toString('ascii', 0, 4) !== 'fLaC') return null;
+      const info = buf.slice(FLACEncoder.STREAMINFO_OFFSET);
+      const sampleRate = (info[10] << 12) | (info[11] << 4) | (info[12] >> 4);
+      const channels = ((info[12] >> 1) & 0x07) + 1;
+      const totalSamples = (info[13] & 0x0F) * 0x100000000 + info.readUInt32BE(14);
+      return { format: 'flac', sampleRate, channels, durationSec: totalSamples > 0 ? totalSamples / sampleRate : null };
+    }
+    if (extension === '.mp3') {
+      const buf = Buffer.alloc(Math.min(size, 16384));
+      await fs.read(fd, buf, 0, buf.length, 0);
+      const frame = parseMP3FrameHeader(buf, id3v2Length(buf));
+      if (!frame) return null;
+      // Constant bitrate - the duration follows from the size of the audio data
+      return { format: 'mp3', sampleRate: frame.sampleRate, channels: frame.channels, durationSec: (size - frame.offset) * 8 / (frame.bitrate * 1000) };
+    }
+  } finally {
+    await fs.close(fd);
+  }
+  return null;
+}
+
+module.exports = {
+  FORMATS,
+  RECORDING_EXTENSIONS,
+  isRecordingFile,
+  getFormat,
+  createRecordingWriter,
+  recoverCapture,
+  probeRecording
+};
@@ -0,0 +1,208 @@
+// recordingIndex.js
+
+const fs = require('fs-extra');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Most rows a single search returns
+const MAX_LIMIT = 1000;
+
+// RecordingIndex class - an embedded SQLite index of the per-recording metadata sidecars
+// (<name>.metadata.json), so recordings can be listed and searched by call details without reading
+// the recordings directory or the remote bucket. The columns hold the fields that are searched on; the
+// full sidecar is kept as JSON and is what queries return.
+class RecordingIndex {
+  // Constructor with the database file (created if missing)
+  constructor(options) {
+    this.dbPath = options.dbPath;
+    fs.ensureDirSync(path.dirname(this.dbPath));
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS recordings (
+        session_id TEXT PRIMARY KEY,
+        name TEXT,
+        extension TEXT,
+        channel_id TEXT,
+        external_media_channel_id TEXT,
+        dialed_channel_id TEXT,
+        bridge_id TEXT,
+        codec TEXT,
+        format TEXT,
+        caller_name TEXT,
+        caller_number TEXT,
+        hangup_cause INTEGER,
+        hangup_cause_text TEXT,
+        start_time TEXT,
+        end_time TEXT,
+        duration_sec REAL,
+        packet_count INTEGER,
+        metadata TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS recordings_start_time ON recordings (start_time);
+      CREATE INDEX IF NOT EXISTS recordings_extension ON recordings (extension, start_time);
+      CREATE INDEX IF NOT EXISTS recordings_caller_number ON recordings (caller_number);
+    `);
+    // Databases from before naming templates - recordings were named after their session
+    const columns = this.db.prepare('PRAGMA table_info(recordings)').all().map(column => column.name);
+    if (!columns.includes('name')) {
+      this.db.exec('ALTER TABLE recordings ADD COLUMN name TEXT; UPDATE recordings SET name = session_id;');
+    }
+    this.db.exec('CREATE INDEX IF NOT EXISTS recordings_name ON recordings (name)');
+
+    this.statements = {
+      upsert: this.db.prepare(`
+        INSERT OR REPLACE INTO recordings (session_id, name, extension, channel_id, external_media_channel_id,
+          dialed_channel_id, bridge_id, codec, format, caller_name, caller_number, hangup_cause,
+          hangup_cause_text, start_time, end_time, duration_sec, packet_count, metadata)
+        VALUES (@sessionId, @name, @extension, @channelId, @externalMediaChannelId, @dialedChannelId, @bridgeId,
+          @codec, @format, @callerName, @callerNumber, @hangupCause, @hangupCauseText, @startTime, @endTime,
+          @durationSec, @packetCount, @metadata)
+      `),
+      get: this.db.prepare('SELECT metadata FROM recordings WHERE session_id = ?'),
+      getByName: this.db.prepare('SELECT metadata FROM recordings WHERE name = ?'),
+      remove: this.db.prepare('DELETE FROM recordings WHERE session_id = ?'),
+      removeByName: this.db.prepare('DELETE FROM recordings WHERE name = ?'),
+      count: this.db.prepare('SELECT COUNT(*) AS count FROM recordings')
+    };
+  }
+
+  // Number of indexed recordings
+  get size() {
+    return this.statements.count.get().count;
+  }
+
+  // Add or replace a recording's metadata (the object written to its sidecar)
+  upsert(metadata) {
+    const callerId = metadata.callerId || {};
+    const hangupCause = metadata.hangupCause || {};
+    this.statements.upsert.run({
+      sessionId: metadata.sessionId,
+      name: metadata.name || metadata.sessionId,
+      extension: metadata.extension === undefined || metadata.extension === null ? null : String(metadata.extension),
+      channelId: metadata.channelId || null,
+      externalMediaChannelId: metadata.externalMediaChannelId || null,
+      dialedChannelId: metadata.dialedChannelId || null,
+      bridgeId: metadata.bridgeId || null,
+      codec: metadata.codec || null,
+      format: metadata.format || null,
+      callerName: callerId.name || null,
+      callerNumber: callerId.number || null,
+      hangupCause: Number.isInteger(hangupCause.code) ? hangupCause.code : null,
+      hangupCauseText: hangupCause.text || null,
+      startTime: toISOString(metadata.startTime),
+      endTime: toISOString(metadata.endTime),
+      durationSec: typeof metadata.durationSec === 'number' ? metadata.durationSec : null,
+      packetCount: Number.isInteger(metadata.packetCount) ? metadata.packetCount : null,
+      metadata: JSON.stringify(metadata)
+    });
+  }
+
+  // Metadata of one recording - null if it isn't indexed
+  get(sessionId) {
+    const row = this.statements.get.get(sessionId);
+    return row ? JSON.parse(row.metadata) : null;
+  }
+
+  // Metadata of a recording by its name (see recordingNames.js) - null if it isn't indexed
+  getByName(name) {
+    const row = this.statements.getByName.get(name);
+    return row ? JSON.parse(row.metadata) : null;
+  }
+
+  // Whether a recording is indexed
+  has(sessionId) {
+    return Boolean(this.statements.get.get(sessionId));
+  }
+
+  // Drop a recording from the index
+  remove(sessionId) {
+    return this.statements.remove.run(sessionId).changes > 0;
+  }
+
+  removeByName(name) {
+    return this.statements.removeByName.run(name).changes > 0;
+  }
+
+  // Recordings matching the filters, newest first - resolves to { total, limit, offset, recordings }
+  // Filters: extension, caller (part of the caller number or name), channelId (any of the call's
+  //          channels), bridgeId, codec, format, hangupCause (Q.850 code), from / to (start time),
+  //          minDurationSec, limit (default 100), offset
+  // Throws for filter values that can't be used ('Invalid search parameter ...')
+  search(filters = {}) {
+    const where = [];
+    const params = {};
+    const equals = { extension: 'extension', bridgeId: 'bridge_id', codec: 'codec', format: 'format' };
+    for (const [filter, column] of Object.entries(equals)) {
+      if (filters[filter]) {
+        where.push(`${column} = @${filter}`);
+        params[filter] = String(filters[filter]);
+      }
+    }
+    if (filters.caller) {
+      where.push(`(caller_number LIKE @caller ESCAPE '\\' OR caller_name LIKE @caller ESCAPE '\\')`);
+      params.caller = `%${String(filters.caller).replace(/[\\%_]/g, c => `\\${c}`)}%`;
+    }
+    if (filters.channelId) {
+      where.push('@channelId IN (channel_id, external_media_channel_id, dialed_channel_id)');
+      params.channelId = String(filters.channelId);
+    }
+    if (filters.hangupCause !== undefined && filters.hangupCause !== '') {
+      params.hangupCause = integerParameter('hangupCause', filters.hangupCause);
+      where.push('hangup_cause = @hangupCause');
+    }
+    if (filters.from) {
+      params.from = dateParameter('from', filters.from);
+      where.push('start_time >= @from');
+    }
+    if (filters.to) {
+      params.to = dateParameter('to', filters.to);
+      where.push('start_time < @to');
+    }
+    if (filters.minDurationSec !== undefined && filters.minDurationSec !== '') {
+      params.minDurationSec = Number(filters.minDurationSec);
+      if (isNaN(params.minDurationSec)) throw new Error(`Invalid search parameter minDurationSec '${filters.minDurationSec}'`);
+      where.push('duration_sec >= @minDurationSec');
+    }
+    const limit = filters.limit === undefined || filters.limit === '' ? 100 : integerParameter('limit', filters.limit);
+    const offset = filters.offset === undefined || filters.offset === '' ? 0 : integerParameter('offset', filters.offset);
+
+    const clause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+    const total = this.db.prepare(`SELECT COUNT(*) AS count FROM recordings ${clause}`).get(params).count;
+    const rows = this.db.prepare(`SELECT metadata FROM recordings ${clause} ORDER BY start_time DESC, session_id LIMIT @limit OFFSET @offset`)
+      .all(Object.assign({ limit: Math.min(limit, MAX_LIMIT), offset: offset }, params));
+    return {
+      total: total,
+      limit: Math.min(limit, MAX_LIMIT),
+      offset: offset,
+      recordings: rows.map(row => JSON.parse(row.metadata))
+    };
+  }
+
+  // Close the database
+  close() {
+    this.db.close();
+  }
+}
+
+// Dates are stored as UTC ISO strings, so they compare in order as text
+function toISOString(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function dateParameter(name, value) {
+  const iso = toISOString(value);
+  if (!iso) throw new Error(`Invalid search parameter ${name} '${value}' - expected a date`);
+  return iso;
+}
+
+function integerParameter(name, value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) throw new Error(`Invalid search parameter ${name} '${value}' - expected a non-negative integer`);
+  return number;
+}
+
+// Export the RecordingIndex class for use in index.js
+module.exports = RecordingIndex;
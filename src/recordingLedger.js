@@ -0,0 +1,277 @@
+// recordingLedger.js
+
+// Tamper evidence for finished recordings. Each file is sealed by appending an entry with its SHA-256
+// digest to a ledger - a JSON-lines file that is only ever appended to:
+//
+//   { seq, time, filename, size, sha256, keyId, prevHash, signature, hash }
+//
+// `signature` is an Ed25519 signature of [seq, time, filename, size, sha256, keyId, prevHash] (as JSON)
+// and `hash` is the SHA-256 of the same list with the signature added. Every entry carries the previous
+// entry's hash as `prevHash` (64 zeros for the first), so an entry can't be edited, dropped or reordered
+// without breaking the chain, and can't be forged without the signing key. A file verifies when the
+// chain is intact and the file's digest matches its latest entry. Files are sealed as stored (after
+// encryption), but an encrypted recording's digest leaves out its encryption header: re-wrapping the data
+// key with a new master key (`recording-crypto rewrap`) rewrites the header, and the seal has to survive
+// that. The encrypted chunks that are sealed can't be changed without the data key - each one is
+// authenticated with it, bound to the header's nonce prefix and chunk size - but the header's key id,
+// wrapped key and format details aren't covered by the seal.
+//
+// The signing key is an Ed25519 private key in PEM (`recording-ledger generate-key` or
+// `openssl genpkey -algorithm ed25519`). keyId is the first 16 hex digits of the SHA-256 of the public
+// key, so entries signed with a key that has since been replaced verify against its public key.
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const RecordingEncryption = require('./recordingEncryption');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// Id of a public key
+function keyIdOf(publicKey) {
+  const der = publicKey.export({ type: 'spki', format: 'der' });
+  return crypto.createHash('sha256').update(der).digest('hex').slice(0, 16);
+}
+
+// Load an Ed25519 private key - returns { privateKey, publicKey, keyId }
+async function loadSigningKey(keyPath) {
+  const privateKey = crypto.createPrivateKey(await fs.readFile(keyPath));
+  if (privateKey.asymmetricKeyType !== 'ed25519') {
+    throw new Error(`${keyPath} is a ${privateKey.asymmetricKeyType} key, not Ed25519`);
+  }
+  const publicKey = crypto.createPublicKey(privateKey);
+  return { privateKey: privateKey, publicKey: publicKey, keyId: keyIdOf(publicKey) };
+}
+
+// Load an Ed25519 public key (a private key file works too) - returns { publicKey, keyId }
+async function loadPublicKey(keyPath) {
+  const pem = await fs.readFile(keyPath, 'utf8');
+  const publicKey = pem.includes('PRIVATE KEY') ? crypto.createPublicKey(crypto.createPrivateKey(pem)) : crypto.createPublicKey(pem);
+  if (publicKey.asymmetricKeyType !== 'ed25519') {
+    throw new Error(`${keyPath} is a ${publicKey.asymmetricKeyType} key, not Ed25519`);
+  }
+  return { publicKey: publicKey, keyId: keyIdOf(publicKey) };
+}
+
+// Write a new Ed25519 key pair - the private key to keyPath, the public key to <keyPath>.pub
+async function generateKey(keyPath) {
+  if (await fs.pathExists(keyPath)) throw new Error(`${keyPath} already exists`);
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+  await fs.writeFile(keyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+  await fs.writeFile(`${keyPath}.pub`, publicKey.export({ type: 'spki', format: 'pem' }));
+  return keyIdOf(publicKey);
+}
+
+// SHA-256 and length of a stream's contents - resolves to { sha256, size }
+// For an encrypted recording both cover what follows the encryption header
+async function digestStream(stream) {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  let head = Buffer.alloc(0);
+  let skip = null; // Length of the encryption header (0 if there is none), null until known
+  for await (const chunk of stream) {
+    let data = chunk;
+    if (skip === null) {
+      head = Buffer.concat([head, chunk]);
+      skip = RecordingEncryption.headerLength(head);
+      if (skip === null) continue;
+      data = head.slice(skip);
+    }
+    hash.update(data);
+    size += data.length;
+  }
+  // Too short to hold a whole header - not an encrypted recording
+  if (skip === null) {
+    hash.update(head);
+    size = head.length;
+  }
+  return { sha256: hash.digest('hex'), size: size };
+}
+
+function digestFile(filePath) {
+  return digestStream(fs.createReadStream(filePath));
+}
+
+// What an entry's signature covers
+function signedPayload(entry) {
+  return Buffer.from(JSON.stringify([entry.seq, entry.time, entry.filename, entry.size, entry.sha256, entry.keyId, entry.prevHash]));
+}
+
+// Chain hash of an entry
+function entryHash(entry) {
+  const payload = JSON.stringify([entry.seq, entry.time, entry.filename, entry.size, entry.sha256, entry.keyId, entry.prevHash, entry.signature]);
+  return crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+// Read a ledger - returns its entries in order (lines that aren't JSON come back as { line, invalid })
+async function readEntries(ledgerPath) {
+  let text;
+  try {
+    text = await fs.readFile(ledgerPath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  return text.split('\n').filter(line => line.trim() !== '').map((line, index) => {
+    try {
+      return JSON.parse(line);
+    } catch (err) {
+      return { line: index + 1, invalid: true };
+    }
+  });
+}
+
+// Check a ledger's chain and signatures against the trusted public keys (Map keyId -> KeyObject)
+// Returns { valid, entries, errors: [{ seq, error }] }
+function verifyChain(entries, trustedKeys) {
+  const errors = [];
+  let prevHash = GENESIS_HASH;
+  entries.forEach((entry, index) => {
+    const fail = (error) => errors.push({ seq: entry.seq === undefined ? null : entry.seq, line: index + 1, error: error });
+    if (entry.invalid) {
+      fail('not a JSON ledger entry');
+      prevHash = null;
+      return;
+    }
+    if (entry.seq !== index + 1) fail(`sequence number ${entry.seq}, expected ${index + 1}`);
+    if (prevHash !== null && entry.prevHash !== prevHash) fail('previous hash does not match - entries were changed, removed or reordered');
+    if (entryHash(entry) !== entry.hash) fail('entry hash does not match its contents');
+    const publicKey = trustedKeys.get(entry.keyId);
+    if (!publicKey) {
+      fail(`signed with unknown key ${entry.keyId}`);
+    } else {
+      let signed = false;
+      try {
+        signed = crypto.verify(null, signedPayload(entry), publicKey, Buffer.from(String(entry.signature), 'base64'));
+      } catch (err) {
+        signed = false;
+      }
+      if (!signed) fail('signature does not verify');
+    }
+    prevHash = entry.hash;
+  });
+  return { valid: errors.length === 0, entries: entries.length, errors: errors };
+}
+
+// Check a file's digest against the ledger - returns { filename, verified, reason, sha256, size, entry, chain }
+function verifyDigest(entries, trustedKeys, filename, digest) {
+  const chain = verifyChain(entries, trustedKeys);
+  const entry = entries.filter(e => !e.invalid && e.filename === filename).pop() || null;
+  let reason = null;
+  if (!entry) {
+    reason = 'not in the ledger';
+  } else if (entry.sha256 !== digest.sha256 || entry.size !== digest.size) {
+    reason = `digest does not match ledger entry ${entry.seq} - the file was changed after it was sealed`;
+  } else if (!chain.valid) {
+    reason = 'the ledger chain is broken';
+  }
+  return {
+    filename: filename,
+    verified: reason === null,
+    reason: reason,
+    sha256: digest.sha256,
+    size: digest.size,
+    entry: entry,
+    chain: chain
+  };
+}
+
+// RecordingLedger class - seals files into the ledger with the signing key and verifies them
+class RecordingLedger {
+  // Constructor with the ledger file and keys
+  // Options: ledgerPath, signingKeyPath (Ed25519 private key PEM), trustedKeyPaths (public keys of
+  //          signing keys used before, so their entries still verify)
+  constructor(options) {
+    this.ledgerPath = options.ledgerPath;
+    this.signingKeyPath = options.signingKeyPath;
+    this.trustedKeyPaths = options.trustedKeyPaths || [];
+    this.loading = null;
+    this.tail = null;                           // { seq, hash } of the last entry, read on first append
+    this.appending = Promise.resolve();         // Appends run one at a time
+  }
+
+  // Signing key and trusted public keys - resolves to { signing, trusted: Map(keyId -> KeyObject) }
+  keys() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        const signing = await loadSigningKey(this.signingKeyPath);
+        const trusted = new Map([[signing.keyId, signing.publicKey]]);
+        for (const keyPath of this.trustedKeyPaths) {
+          const { publicKey, keyId } = await loadPublicKey(keyPath);
+          trusted.set(keyId, publicKey);
+        }
+        return { signing: signing, trusted: trusted };
+      })();
+      this.loading.catch(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  // Append an entry for a file's digest - resolves with the entry
+  append(filename, digest) {
+    const run = this.appending.then(async () => {
+      const { signing } = await this.keys();
+      if (!this.tail) {
+        const last = (await readEntries(this.ledgerPath)).pop();
+        this.tail = last ? { seq: last.seq, hash: last.hash } : { seq: 0, hash: GENESIS_HASH };
+      }
+      const entry = {
+        seq: this.tail.seq + 1,
+        time: new Date().toISOString(),
+        filename: filename,
+        size: digest.size,
+        sha256: digest.sha256,
+        keyId: signing.keyId,
+        prevHash: this.tail.hash
+      };
+      entry.signature = crypto.sign(null, signedPayload(entry), signing.privateKey).toString('base64');
+      entry.hash = entryHash(entry);
+
+      await fs.ensureDir(path.dirname(this.ledgerPath));
+      const fd = await fs.open(this.ledgerPath, 'a', 0o644);
+      try {
+        await fs.write(fd, JSON.stringify(entry) + '\n');
+        await fs.fsync(fd);
+      } finally {
+        await fs.close(fd);
+      }
+      this.tail = { seq: entry.seq, hash: entry.hash };
+      return entry;
+    });
+    this.appending = run.catch(() => {});
+    return run;
+  }
+
+  // Seal a file under its name (or `filename`) - resolves with the ledger entry
+  async seal(filePath, filename = path.basename(filePath)) {
+    return this.append(filename, await digestFile(filePath));
+  }
+
+  // Check a file's contents against the ledger - `source` is a path or a readable stream
+  async verify(filename, source) {
+    const { trusted } = await this.keys();
+    const digest = typeof source === 'string' ? await digestFile(source) : await digestStream(source);
+    return verifyDigest(await readEntries(this.ledgerPath), trusted, filename, digest);
+  }
+
+  // Check the whole ledger
+  async verifyChain() {
+    const { trusted } = await this.keys();
+    return verifyChain(await readEntries(this.ledgerPath), trusted);
+  }
+}
+
+RecordingLedger.GENESIS_HASH = GENESIS_HASH;
+RecordingLedger.loadSigningKey = loadSigningKey;
+RecordingLedger.loadPublicKey = loadPublicKey;
+RecordingLedger.generateKey = generateKey;
+RecordingLedger.digestStream = digestStream;
+RecordingLedger.digestFile = digestFile;
+RecordingLedger.readEntries = readEntries;
+RecordingLedger.verifyChain = verifyChain;
+RecordingLedger.verifyDigest = verifyDigest;
+
+// Export the RecordingLedger class for use in index.js and recordingLedgerCli.js
+module.exports = RecordingLedger;
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+// recordingLedgerCli.js
+
+// Offline tool for the recording ledger (see recordingLedger.js)
+//
+//   node src/recordingLedgerCli.js verify <file|dir>...      Check files against the ledger
+//   node src/recordingLedgerCli.js check                     Check the ledger's chain and signatures
+//   node src/recordingLedgerCli.js generate-key <file>       Write a new Ed25519 signing key (and <file>.pub)
+//
+// The ledger comes from --ledger <path> or LEDGER_FILE. Entries are checked against the public keys given
+// with --public-key <file>[,<file>...], or SIGNING_KEY_FILE and LEDGER_TRUSTED_KEYS if none are given.
+// Files are looked up in the ledger by their name relative to the recordings directory: the path relative
+// to --root <dir> if given, otherwise to the directory named on the command line (searched recursively),
+// or just the file name for files named directly - so exported recordings can be checked anywhere.
+
+// Load environment variables from .env file if it exists
+try {
+  require('dotenv').config();
+} catch (e) {
+  // dotenv not installed or .env file doesn't exist - use process.env directly
+}
+
+const fs = require('fs-extra');
+const path = require('path');
+const RecordingLedger = require('./recordingLedger');
+const RecordingFormats = require('./recordingFormats');
+
+const USAGE = `Usage: recording-ledger <verify|check|generate-key> [args] [--ledger <path>] [--public-key <file>[,<file>...]] [--root <dir>]`;
+
+// Split argv into positional arguments and --options
+function parseArgs(argv) {
+  const args = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      args.push(argv[i]);
+    }
+  }
+  return { args, options };
+}
+
+// Files named on the command line and their ledger names ({ file, name }) - directories are searched
+// recursively for recordings and manifests
+async function sealedFiles(paths, root) {
+  const files = [];
+  const nameOf = (file, base) => path.relative(base, file).split(path.sep).join('/');
+  const walk = async (directory, base) => {
+    for (const dirent of (await fs.readdir(directory, { withFileTypes: true })).sort((a, b) => a.name.localeCompare(b.name))) {
+      const file = path.join(directory, dirent.name);
+      if (dirent.isDirectory()) {
+        await walk(file, base);
+      } else if (RecordingFormats.isRecordingFile(dirent.name) || dirent.name.endsWith('.manifest.json')) {
+        files.push({ file: file, name: nameOf(file, base) });
+      }
+    }
+  };
+  for (const target of paths) {
+    const stats = await fs.stat(target);
+    if (stats.isDirectory()) {
+      await walk(target, root || target);
+    } else {
+      files.push({ file: target, name: root ? nameOf(target, root) : path.basename(target) });
+    }
+  }
+  return files;
+}
+
+// Trusted public keys - Map(keyId -> KeyObject)
+async function trustedKeys(options) {
+  const keyPaths = options['public-key']
+    ? options['public-key'].split(',')
+    : [process.env.SIGNING_KEY_FILE].concat((process.env.LEDGER_TRUSTED_KEYS || '').split(','));
+  const keys = new Map();
+  for (const keyPath of keyPaths.map(p => (p || '').trim()).filter(Boolean)) {
+    const { publicKey, keyId } = await RecordingLedger.loadPublicKey(keyPath);
+    keys.set(keyId, publicKey);
+  }
+  return keys;
+}
+
+async function main() {
+  const { args, options } = parseArgs(process.argv.slice(2));
+  const command = args.shift();
+
+  if (command === 'generate-key') {
+    if (!args[0]) {
+      console.error(USAGE);
+      return 2;
+    }
+    const keyId = await RecordingLedger.generateKey(args[0]);
+    console.log(`Wrote Ed25519 signing key ${keyId} to ${args[0]} (public key ${args[0]}.pub)`);
+    return 0;
+  }
+
+  const ledgerPath = options.ledger || process.env.LEDGER_FILE;
+  if (!command || !ledgerPath) {
+    console.error(USAGE);
+    if (command && !ledgerPath) console.error('No ledger: pass --ledger or set LEDGER_FILE');
+    return 2;
+  }
+  const keys = await trustedKeys(options);
+  if (keys.size === 0) {
+    console.error('No public keys: pass --public-key or set SIGNING_KEY_FILE');
+    return 2;
+  }
+  const entries = await RecordingLedger.readEntries(ledgerPath);
+
+  if (command === 'check') {
+    const chain = RecordingLedger.verifyChain(entries, keys);
+    for (const error of chain.errors) {
+      console.error(`Line ${error.line}${error.seq !== null ? ` (entry ${error.seq})` : ''}: ${error.error}`);
+    }
+    console.log(`${ledgerPath}: ${chain.entries} entries, ${chain.valid ? 'chain intact' : `${chain.errors.length} problem(s)`}`);
+    return chain.valid ? 0 : 1;
+  }
+
+  if (command !== 'verify') {
+    console.error(USAGE);
+    return 2;
+  }
+  const files = await sealedFiles(args, options.root);
+  if (files.length === 0) {
+    console.error(USAGE);
+    return 2;
+  }
+  let failures = 0;
+  for (const { file, name } of files) {
+    try {
+      const digest = await RecordingLedger.digestFile(file);
+      const result = RecordingLedger.verifyDigest(entries, keys, name, digest);
+      if (result.verified) {
+        console.log(`${file}: OK (ledger entry ${result.entry.seq}, sealed ${result.entry.time})`);
+      } else {
+        failures++;
+        console.error(`${file}: FAILED - ${result.reason}`);
+      }
+    } catch (err) {
+      failures++;
+      console.error(`${file}: ${err.message || err}`);
+    }
+  }
+  return failures > 0 ? 1 : 0;
+}
+
+main().then((code) => {
+  process.exitCode = code;
+}, (err) => {
+  console.error(err.message || err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,85 @@
+// recordingNames.js
+
+// Recording names and the naming template. A recording's name is its path relative to the recordings
+// directory (or bucket prefix) without the file extension, with '/' between directories - e.g.
+// '2026/10/19/101502_7001_5551234_<sessionId>' - and its files are <name>.wav, <name>.stats.json,
+// <name>-part-1.flac and so on.
+//
+// RECORDING_NAME_TEMPLATE builds the name from tokens:
+//   {sessionId}  {channelId}  {extension}  {callerId} (caller number)  {callerName}
+//   {date} (YYYY-MM-DD)  {time} (HHmmss)  {YYYY}  {MM}  {DD}  {hh}  {mm}  {ss}
+// Dates and times are UTC, at the start of the call. Token values are reduced to letters, digits and
+// . _ + - so a caller ID can't add directories or climb out of the recordings directory.
+
+const TOKEN = /\{([A-Za-z]+)\}/g;
+
+const DEFAULT_TEMPLATE = '{sessionId}';
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// Token values for a call - context: { sessionId, channelId, extension, callerId: { name, number }, startTime }
+const TOKENS = {
+  sessionId: (context) => context.sessionId,
+  channelId: (context) => context.channelId,
+  extension: (context) => context.extension,
+  callerId: (context) => context.callerId && context.callerId.number,
+  callerName: (context) => context.callerId && context.callerId.name,
+  date: (context) => `${context.startTime.getUTCFullYear()}-${pad(context.startTime.getUTCMonth() + 1)}-${pad(context.startTime.getUTCDate())}`,
+  time: (context) => `${pad(context.startTime.getUTCHours())}${pad(context.startTime.getUTCMinutes())}${pad(context.startTime.getUTCSeconds())}`,
+  YYYY: (context) => String(context.startTime.getUTCFullYear()),
+  MM: (context) => pad(context.startTime.getUTCMonth() + 1),
+  DD: (context) => pad(context.startTime.getUTCDate()),
+  hh: (context) => pad(context.startTime.getUTCHours()),
+  mm: (context) => pad(context.startTime.getUTCMinutes()),
+  ss: (context) => pad(context.startTime.getUTCSeconds())
+};
+
+// Check a stored file or recording name - throws for anything that isn't a relative path of plain
+// segments ('..', '.', empty segments, absolute paths, backslashes and control characters are refused)
+function validateName(name) {
+  const valid = typeof name === 'string' && name.length > 0 && name.length <= 1024 &&
+    !name.startsWith('/') && !/[\\\x00-\x1f]/.test(name) &&
+    name.split('/').every(segment => segment !== '' && segment !== '.' && segment !== '..');
+  if (!valid) throw new Error(`Invalid recording name '${name}'`);
+  return name;
+}
+
+// A token value made safe for a path segment
+function sanitize(value) {
+  const text = value === undefined || value === null || value === '' ? 'unknown' : String(value);
+  return text.replace(/[^A-Za-z0-9._+-]/g, '_').replace(/^\.+/, match => '_'.repeat(match.length)).slice(0, 64);
+}
+
+// Check a template - throws if it uses unknown tokens, could leave the recordings directory, or doesn't
+// make names unique per call ({sessionId} or {channelId} in the file name part)
+function parseTemplate(template) {
+  const unknown = [];
+  template.replace(TOKEN, (match, token) => {
+    if (!TOKENS[token]) unknown.push(match);
+    return match;
+  });
+  if (unknown.length > 0) throw new Error(`Unknown token(s) ${unknown.join(', ')} in naming template '${template}'`);
+  try {
+    validateName(template.replace(TOKEN, 'x'));
+  } catch (err) {
+    throw new Error(`Naming template '${template}' must be a relative path without '.', '..' or empty parts`);
+  }
+  const fileName = template.split('/').pop();
+  if (!fileName.includes('{sessionId}') && !fileName.includes('{channelId}')) {
+    throw new Error(`Naming template '${template}' needs {sessionId} or {channelId} in its file name part`);
+  }
+  return template;
+}
+
+// Name of a call's recording from the template
+function renderName(template, context) {
+  return validateName(template.replace(TOKEN, (match, token) => sanitize(TOKENS[token](context))));
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  TOKENS,
+  validateName,
+  parseTemplate,
+  renderName
+};
@@ -0,0 +1,91 @@
+// recordingPause.js
+
+// RecordingPause class to keep sensitive stretches of a call (card numbers read out to an agent) out of
+// the recording. It sits between the mixer and the recording writer: while the recording is paused the
+// mixed audio is replaced with silence or a tone of the same length, so the file keeps the call's
+// timeline and offsets (DTMF, segments) still line up. Pauses are kept as intervals of timeline frames;
+// audio the mixer has not emitted yet is masked from the moment the pause was asked for, even though the
+// mixer runs a little behind the wire.
+class RecordingPause {
+  // Constructor with the audio layout and how paused audio is masked
+  // Options: sampleRate, channels, mask ('silence' or 'tone'), toneHz, toneLevelDb (dBFS)
+  constructor(options = {}) {
+    this.sampleRate = options.sampleRate || 8000;
+    this.channels = options.channels || 1;
+    this.mask = options.mask || 'silence';
+    this.toneHz = options.toneHz || 1000;
+    this.toneAmplitude = Math.round(32767 * Math.pow(10, (options.toneLevelDb === undefined ? -20 : options.toneLevelDb) / 20));
+    this.position = 0;          // Timeline frames passed through so far
+    this.intervals = [];        // { start, end (null while paused), pausedBy, resumedBy } in timeline frames
+  }
+
+  // Whether the recording is paused right now
+  get paused() {
+    const last = this.intervals[this.intervals.length - 1];
+    return Boolean(last && last.end === null);
+  }
+
+  // Pause from timeline frame `frame` - returns false if already paused
+  // Audio already written can't be masked, so a pause never starts before the current position
+  pause(frame, pausedBy) {
+    if (this.paused) return false;
+    this.intervals.push({ start: Math.max(Math.round(frame), this.position), end: null, pausedBy: pausedBy, resumedBy: null });
+    return true;
+  }
+
+  // Resume from timeline frame `frame` - returns false if not paused
+  // Audio already written was masked, so a pause never ends before the current position either
+  resume(frame, resumedBy) {
+    if (!this.paused) return false;
+    const interval = this.intervals[this.intervals.length - 1];
+    interval.end = Math.max(Math.round(frame), interval.start, this.position);
+    interval.resumedBy = resumedBy;
+    return true;
+  }
+
+  // End an open pause where the audio ends (the call hung up while paused)
+  close(resumedBy) {
+    if (this.paused) this.resume(this.position, resumedBy);
+  }
+
+  // Mask the paused frames of the next stretch of mixed 16-bit LE PCM - returns the PCM to record
+  apply(pcm) {
+    const frameBytes = this.channels * 2;
+    const frames = Math.floor(pcm.length / frameBytes);
+    const first = this.position;
+    this.position += frames;
+    const masked = this.intervals.filter(i => i.start < this.position && (i.end === null || i.end > first));
+    if (masked.length === 0) return pcm;
+
+    const out = Buffer.from(pcm);
+    for (const interval of masked) {
+      const from = Math.max(interval.start, first) - first;
+      const to = (interval.end === null ? this.position : Math.min(interval.end, this.position)) - first;
+      if (this.mask === 'tone') {
+        for (let frame = from; frame < to; frame++) {
+          const value = Math.round(this.toneAmplitude * Math.sin(2 * Math.PI * this.toneHz * (first + frame) / this.sampleRate));
+          for (let channel = 0; channel < this.channels; channel++) {
+            out.writeInt16LE(value, (frame * this.channels + channel) * 2);
+          }
+        }
+      } else {
+        out.fill(0, from * frameBytes, to * frameBytes);
+      }
+    }
+    return out;
+  }
+
+  // Pause intervals for the session metadata - offsets in seconds from the start of the recording
+  describe() {
+    return this.intervals.map(interval => ({
+      startOffsetSec: interval.start / this.sampleRate,
+      endOffsetSec: interval.end === null ? null : interval.end / this.sampleRate,
+      durationSec: interval.end === null ? null : (interval.end - interval.start) / this.sampleRate,
+      pausedBy: interval.pausedBy,
+      resumedBy: interval.resumedBy
+    }));
+  }
+}
+
+// Export the RecordingPause class for use in index.js
+module.exports = RecordingPause;
@@ -0,0 +1,92 @@
+// recordingStorage.js
+
+const LocalStorageDriver = require('./localStorageDriver');
+const S3StorageDriver = require('./s3StorageDriver');
+
+// RecordingStorage class in front of the storage drivers. Recordings are always written to the local
+// driver (RECORDINGS_DIR) while a call runs; with a remote driver configured, finished files are uploaded
+// by archive() and the local copy is removed unless keepLocal is set. Reads look locally first and then
+// in the remote store, so a file is served from whichever backend holds it.
+class RecordingStorage {
+  // Constructor with the local driver, an optional remote driver and whether to keep local copies
+  constructor(options) {
+    this.local = options.local;
+    this.remote = options.remote || null;
+    this.keepLocal = options.keepLocal !== false;
+  }
+
+  // Drivers in lookup order
+  get drivers() {
+    return this.remote ? [this.local, this.remote] : [this.local];
+  }
+
+  // Backend name for logs and /health
+  get backend() {
+    return this.remote ? this.remote.name : this.local.name;
+  }
+
+  // Upload a finished local file to the remote store - resolves with the upload result, or null
+  // without a remote driver. The local copy is only removed once the upload has succeeded.
+  async archive(filename, metadata = {}) {
+    if (!this.remote) return null;
+    const result = await this.remote.put(filename, this.local.pathFor(filename), metadata);
+    if (!this.keepLocal) {
+      await this.local.remove(filename);
+    }
+    return result;
+  }
+
+  // Every stored file, each listed once with the backends holding it ({ ..., storage: ['local', 's3'] })
+  async list() {
+    const byName = new Map();
+    for (const driver of this.drivers) {
+      for (const entry of await driver.list()) {
+        const existing = byName.get(entry.filename);
+        if (existing) {
+          existing.storage.push(driver.name);
+        } else {
+          byName.set(entry.filename, Object.assign({}, entry, { storage: [driver.name] }));
+        }
+      }
+    }
+    return Array.from(byName.values());
+  }
+
+  // First driver holding a file and its details - null if no backend has it
+  async locate(filename) {
+    for (const driver of this.drivers) {
+      const entry = await driver.head(filename);
+      if (entry) return { driver: driver, entry: entry };
+    }
+    return null;
+  }
+
+  // Parse a stored JSON file (manifests, stats)
+  async readJson(filename) {
+    const found = await this.locate(filename);
+    if (!found) throw new Error(`${filename} not found`);
+    const chunks = [];
+    for await (const chunk of await found.driver.createReadStream(filename)) {
+      chunks.push(chunk);
+    }
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  }
+}
+
+// Create the storage for a deployment
+// Options: backend ('local' or 's3'), directory, keepLocal, s3 (S3StorageDriver options)
+function createRecordingStorage(options) {
+  const local = new LocalStorageDriver({ directory: options.directory });
+  let remote = null;
+  if (options.backend === 's3') {
+    remote = new S3StorageDriver(options.s3 || {});
+  } else if (options.backend !== 'local') {
+    throw new Error(`Unknown storage backend '${options.backend}'`);
+  }
+  return new RecordingStorage({ local: local, remote: remote, keepLocal: options.keepLocal });
+}
+
+module.exports = {
+  RecordingStorage,
+  createRecordingStorage
+};
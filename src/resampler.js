@@ -0,0 +1,162 @@
+// resampler.js
+
+// Sample rate conversion of 16-bit LE PCM (interleaved channels) with a polyphase windowed-sinc filter.
+// The ratio is reduced to L/M (e.g. 8000 -> 44100 is 441/80): each output sample is the dot product of
+// the input around its position with one of L phases of a Kaiser-windowed sinc low-pass. The cut-off
+// sits just under the lower of the two Nyquist frequencies, so downsampling doesn't alias and upsampling
+// doesn't leave images of the original band. Filters are built once per rate pair and shared.
+//
+// Output sample n is input position n * M / L, so the first output sample lines up with the first input
+// sample and N input frames give ceil(N * L / M) output frames.
+
+const { Transform } = require('stream');
+
+// Sinc lobes kept on each side (at the lower of the two rates) - sets the width of the transition band,
+// which with 48 fits between 0.9 and 1.0 of the lower Nyquist frequency (3.6-4 kHz at 8 kHz), so the
+// telephone band up to 3.4 kHz comes through flat (16 lobes lost ~70 dB of SNR at 3.5 kHz)
+const ZERO_CROSSINGS = 48;
+const KAISER_BETA = 8.6;        // ~80 dB stop band
+const ROLLOFF = 0.95;           // Cut-off as a fraction of the lower Nyquist frequency
+const MAX_PHASES = 4096;        // Largest L - rate pairs needing more (e.g. 8000 -> 44099) are refused
+
+const filterCache = new Map();
+
+const gcd = (a, b) => b === 0 ? a : gcd(b, a % b);
+
+// Zeroth-order modified Bessel function of the first kind (for the Kaiser window)
+function besselI0(x) {
+  let sum = 1, term = 1;
+  for (let k = 1; k < 50; k++) {
+    term *= (x / (2 * k)) * (x / (2 * k));
+    sum += term;
+    if (term < sum * 1e-12) break;
+  }
+  return sum;
+}
+
+// Polyphase filter bank for a rate pair - { up (L), down (M), taps, coefficients (L x taps) }
+function filterBank(fromRate, toRate) {
+  const key = `${fromRate}:${toRate}`;
+  if (filterCache.has(key)) return filterCache.get(key);
+  const divisor = gcd(fromRate, toRate);
+  const up = toRate / divisor;
+  const down = fromRate / divisor;
+  if (up > MAX_PHASES) throw new Error(`Can't resample from ${fromRate} Hz to ${toRate} Hz - the rates have no usable common factor`);
+  const cutoff = Math.min(1, up / down) * ROLLOFF;           // Relative to the input Nyquist frequency
+  const half = Math.ceil(ZERO_CROSSINGS / Math.min(1, up / down));
+  const taps = 2 * half;
+  const coefficients = new Float32Array(up * taps);
+  const window = besselI0(KAISER_BETA);
+  for (let phase = 0; phase < up; phase++) {
+    let sum = 0;
+    for (let k = 0; k < taps; k++) {
+      // Distance in input samples from the output position to input sample (i - half + 1 + k)
+      const x = phase / up + (half - 1 - k);
+      const t = x / half;
+      const w = Math.abs(t) >= 1 ? 0 : besselI0(KAISER_BETA * Math.sqrt(1 - t * t)) / window;
+      const sinc = x === 0 ? 1 : Math.sin(Math.PI * cutoff * x) / (Math.PI * cutoff * x);
+      coefficients[phase * taps + k] = sinc * w;
+      sum += sinc * w;
+    }
+    // Unity gain at DC for every phase
+    for (let k = 0; k < taps; k++) coefficients[phase * taps + k] /= sum;
+  }
+  const bank = { up: up, down: down, taps: taps, coefficients: coefficients };
+  filterCache.set(key, bank);
+  return bank;
+}
+
+// Resampler class - a Transform stream taking 16-bit LE PCM at fromRate and producing it at toRate
+class Resampler extends Transform {
+  // Constructor with the rates and number of interleaved channels
+  constructor(options) {
+    super();
+    this.fromRate = options.fromRate;
+    this.toRate = options.toRate;
+    this.channels = options.channels || 1;
+    this.bank = filterBank(this.fromRate, this.toRate);
+    this.half = this.bank.taps / 2;
+    this.frameBytes = this.channels * 2;
+    this.carry = Buffer.alloc(0);                           // Partial sample frame held for the next chunk
+    // Input frames not yet consumed, as floats, starting at absolute input frame `base` - it starts with
+    // `half` frames of silence so the first outputs have a full filter's worth of history
+    this.pending = new Float32Array(this.half * this.channels);
+    this.base = -this.half;
+    this.position = 0;          // Input frame of the next output sample
+    this.phase = 0;             // ... and its phase (0 .. L-1)
+    this.inputFrames = 0;
+    this.outputFrames = 0;
+  }
+
+  // Output frames for a number of input frames
+  static outputFrames(inputFrames, fromRate, toRate) {
+    return Math.ceil(inputFrames * toRate / fromRate);
+  }
+
+  _transform(chunk, encoding, callback) {
+    const data = this.carry.length ? Buffer.concat([this.carry, chunk]) : chunk;
+    const usable = data.length - (data.length % this.frameBytes);
+    this.carry = data.slice(usable);
+    const samples = new Float32Array(usable / 2);
+    for (let i = 0; i < samples.length; i++) samples[i] = data.readInt16LE(i * 2);
+    this.inputFrames += samples.length / this.channels;
+    this.append(samples);
+    this.produce(Infinity);
+    callback();
+  }
+
+  _flush(callback) {
+    // Trailing silence lets the last outputs see past the end of the input
+    this.append(new Float32Array(this.half * this.channels));
+    this.produce(Resampler.outputFrames(this.inputFrames, this.fromRate, this.toRate));
+    callback();
+  }
+
+  append(samples) {
+    const joined = new Float32Array(this.pending.length + samples.length);
+    joined.set(this.pending);
+    joined.set(samples, this.pending.length);
+    this.pending = joined;
+  }
+
+  // Compute output samples while there is enough input buffered (up to `limit` output frames in total)
+  produce(limit) {
+    const { up, down, taps, coefficients } = this.bank;
+    const channels = this.channels;
+    const available = this.pending.length / channels;
+    const frames = [];
+    while (this.outputFrames < limit) {
+      const first = this.position - this.half + 1 - this.base;  // First input frame the filter covers
+      if (first + taps > available) break;
+      const offset = this.phase * taps;
+      for (let channel = 0; channel < channels; channel++) {
+        let sum = 0;
+        for (let k = 0, index = first * channels + channel; k < taps; k++, index += channels) {
+          sum += coefficients[offset + k] * this.pending[index];
+        }
+        frames.push(sum);
+      }
+      this.outputFrames++;
+      this.phase += down;
+      this.position += Math.floor(this.phase / up);
+      this.phase %= up;
+    }
+    // Drop the input no later output needs
+    const keepFrom = Math.max(0, Math.min(available, this.position - this.half + 1 - this.base));
+    if (keepFrom > 0) {
+      this.pending = this.pending.slice(keepFrom * channels);
+      this.base += keepFrom;
+    }
+    if (frames.length === 0) return;
+    const out = Buffer.alloc(frames.length * 2);
+    for (let i = 0; i < frames.length; i++) {
+      out.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(frames[i]))), i * 2);
+    }
+    this.push(out);
+  }
+}
+
+Resampler.filterBank = filterBank;
+
+// Export the Resampler class for use in recordingFormats.js
+module.exports = Resampler;
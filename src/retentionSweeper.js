@@ -0,0 +1,251 @@
+// retentionSweeper.js
+
+const fs = require('fs-extra');
+const path = require('path');
+
+// Files that make up a recording: <name>.<ext>, <name>-part-N.<ext> segments (either possibly encrypted,
+// with a .raw.<ext> unprocessed capture next to them if post-processing kept it) and the
+// stats/manifest/metadata sidecars - the name may include directories (see recordingNames.js)
+const RECORDING_FILE = /^(.+?)(-part-\d+)?(\.raw)?\.((wav|flac|mp3)(\.enc)?|stats\.json|manifest\.json|metadata\.json)$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// RetentionSweeper class to delete old recordings and keep RECORDINGS_DIR under a disk quota.
+// Files are handled per recording (the audio, its segments and sidecars go together) in every storage
+// backend for the age limits, and in the local directory for the quota, oldest first. Recordings of
+// active sessions are never touched. Every deletion (or, in dry-run mode, every deletion that would
+// have happened) is appended to a JSON-lines audit log.
+class RetentionSweeper {
+  // Constructor with the storage and policy
+  // Options: storage (RecordingStorage), maxAgeDays (0 = no age limit), maxAgeDaysByExtension
+  //          ({ '7001': 30 }), quotaBytes (0 = no quota), dryRun, intervalMs, auditLogPath,
+  //          isActive ((recordingId) -> boolean), onDelete ((recordingId, driver) -> called after a deletion)
+  constructor(options) {
+    this.storage = options.storage;
+    this.maxAgeDays = options.maxAgeDays || 0;
+    this.maxAgeDaysByExtension = options.maxAgeDaysByExtension || {};
+    this.quotaBytes = options.quotaBytes || 0;
+    this.dryRun = Boolean(options.dryRun);
+    this.intervalMs = options.intervalMs || 60 * 60 * 1000;
+    this.auditLogPath = options.auditLogPath || null;
+    this.isActive = options.isActive || (() => false);
+    this.onDelete = options.onDelete || null;
+
+    this.timer = null;
+    this.running = null;        // Promise of the sweep in progress
+    this.lastSweep = null;      // Summary of the last completed sweep
+    this.nextSweepAt = null;
+  }
+
+  // Whether any policy is configured
+  get enabled() {
+    return this.maxAgeDays > 0 || Object.keys(this.maxAgeDaysByExtension).length > 0 || this.quotaBytes > 0;
+  }
+
+  // Recording a file belongs to - null for files retention leaves alone
+  static recordingId(filename) {
+    const match = RECORDING_FILE.exec(filename);
+    return match ? match[1] : null;
+  }
+
+  // Sweep now and then on the interval
+  start() {
+    if (!this.enabled || this.timer) return;
+    const run = () => {
+      this.nextSweepAt = new Date(Date.now() + this.intervalMs);
+      this.sweep().catch((err) => {
+        console.error('Retention sweep failed:', err.message || err);
+      });
+    };
+    this.timer = setInterval(run, this.intervalMs);
+    this.timer.unref();
+    run();
+  }
+
+  // Stop the interval
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      this.nextSweepAt = null;
+    }
+  }
+
+  // Group a driver's files by recording - { id, files, bytes, lastModified } per recording
+  async collect(driver) {
+    const groups = new Map();
+    for (const entry of await driver.list()) {
+      const id = RetentionSweeper.recordingId(entry.filename);
+      if (!id) continue;
+      if (!groups.has(id)) groups.set(id, { id: id, files: [], bytes: 0, lastModified: 0, extension: undefined });
+      const group = groups.get(id);
+      group.files.push(entry.filename);
+      group.bytes += entry.size || 0;
+      group.lastModified = Math.max(group.lastModified, new Date(entry.lastModified).getTime() || 0);
+    }
+    return Array.from(groups.values());
+  }
+
+  // Extension a recording was made for, from its stats sidecar - null if unknown
+  async extensionOf(driver, group) {
+    if (group.extension !== undefined) return group.extension;
+    group.extension = null;
+    const statsFile = `${group.id}.stats.json`;
+    if (group.files.includes(statsFile)) {
+      try {
+        const chunks = [];
+        for await (const chunk of await driver.createReadStream(statsFile)) chunks.push(chunk);
+        const stats = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        group.extension = stats.extension ? String(stats.extension) : null;
+      } catch (err) {
+        console.warn(`Retention: could not read ${statsFile}:`, err.message || err);
+      }
+    }
+    return group.extension;
+  }
+
+  // Maximum age in days for a recording (0 = keep)
+  async maxAgeFor(driver, group) {
+    if (Object.keys(this.maxAgeDaysByExtension).length > 0) {
+      const extension = await this.extensionOf(driver, group);
+      if (extension !== null && this.maxAgeDaysByExtension[extension] !== undefined) {
+        return this.maxAgeDaysByExtension[extension];
+      }
+    }
+    return this.maxAgeDays;
+  }
+
+  // Delete a recording's files (or only record that it would be deleted) and write the audit entry
+  async evict(driver, group, reason, details) {
+    const entry = Object.assign({
+      time: new Date().toISOString(),
+      action: this.dryRun ? 'would-delete' : 'delete',
+      reason: reason,
+      storage: driver.name,
+      recording: group.id,
+      extension: group.extension === undefined ? null : group.extension,
+      files: group.files,
+      bytes: group.bytes,
+      lastModified: new Date(group.lastModified).toISOString()
+    }, details);
+
+    if (!this.dryRun) {
+      const failed = [];
+      for (const file of group.files) {
+        try {
+          await driver.remove(file);
+        } catch (err) {
+          failed.push(file);
+          console.error(`Retention: failed to delete ${file} from ${driver.name}:`, err.message || err);
+        }
+      }
+      if (failed.length > 0) entry.failed = failed;
+      if (this.onDelete) {
+        try {
+          await this.onDelete(group.id, driver);
+        } catch (err) {
+          console.error(`Retention: after deleting ${group.id}:`, err.message || err);
+        }
+      }
+    }
+
+    console.log(`Retention: ${this.dryRun ? 'would delete' : 'deleted'} ${group.id} from ${driver.name} (${reason}, ${group.files.length} file(s), ${group.bytes} bytes)`);
+    if (this.auditLogPath) {
+      try {
+        await fs.ensureDir(path.dirname(this.auditLogPath));
+        await fs.appendFile(this.auditLogPath, JSON.stringify(entry) + '\n');
+      } catch (err) {
+        console.error(`Retention: failed to write audit log ${this.auditLogPath}:`, err.message || err);
+      }
+    }
+    return entry;
+  }
+
+  // Apply the policy once - resolves with a summary of what was (or would be) deleted
+  sweep() {
+    if (!this.running) {
+      this.running = this.runSweep().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async runSweep() {
+    const started = Date.now();
+    const summary = {
+      time: new Date(started).toISOString(),
+      dryRun: this.dryRun,
+      deleted: 0,
+      freedBytes: 0,
+      localBytes: null,
+      durationMs: 0,
+      error: null
+    };
+    const count = (entry) => {
+      summary.deleted++;
+      summary.freedBytes += entry.bytes;
+    };
+
+    try {
+      for (const driver of this.storage.drivers) {
+        const groups = (await this.collect(driver)).filter(group => !this.isActive(group.id));
+        const kept = [];
+
+        // Age limits
+        for (const group of groups) {
+          const maxAgeDays = await this.maxAgeFor(driver, group);
+          const ageDays = (started - group.lastModified) / DAY_MS;
+          if (maxAgeDays > 0 && ageDays > maxAgeDays) {
+            count(await this.evict(driver, group, 'age', { ageDays: Number(ageDays.toFixed(2)), maxAgeDays: maxAgeDays }));
+          } else {
+            kept.push(group);
+          }
+        }
+
+        // Disk quota - local directory only, oldest recordings first
+        if (driver === this.storage.local) {
+          let used = kept.reduce((total, group) => total + group.bytes, 0);
+          if (this.quotaBytes > 0 && used > this.quotaBytes) {
+            kept.sort((a, b) => a.lastModified - b.lastModified);
+            for (const group of kept) {
+              if (used <= this.quotaBytes) break;
+              await this.extensionOf(driver, group);
+              count(await this.evict(driver, group, 'quota', { usedBytes: used, quotaBytes: this.quotaBytes }));
+              used -= group.bytes;
+            }
+          }
+          summary.localBytes = used;
+        }
+      }
+    } catch (err) {
+      summary.error = err.message || String(err);
+      throw err;
+    } finally {
+      summary.durationMs = Date.now() - started;
+      this.lastSweep = summary;
+      if (summary.deleted > 0 || summary.error) {
+        console.log(`Retention sweep: ${this.dryRun ? 'would delete' : 'deleted'} ${summary.deleted} recording(s), ${summary.freedBytes} bytes${summary.error ? ` (failed: ${summary.error})` : ''}`);
+      }
+    }
+    return summary;
+  }
+
+  // Policy and last sweep for /health
+  status() {
+    return {
+      enabled: this.enabled,
+      dryRun: this.dryRun,
+      maxAgeDays: this.maxAgeDays || null,
+      maxAgeDaysByExtension: this.maxAgeDaysByExtension,
+      quotaBytes: this.quotaBytes || null,
+      intervalMs: this.intervalMs,
+      auditLog: this.auditLogPath,
+      lastSweep: this.lastSweep,
+      nextSweepAt: this.nextSweepAt
+    };
+  }
+}
+
+// Export the RetentionSweeper class for use in index.js
+module.exports = RetentionSweeper;
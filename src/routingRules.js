@@ -0,0 +1,147 @@
+// routingRules.js
+
+// Call routing table - which dialed extensions the recorder takes, where it dials them and how. Rules
+// are tried in order and the first whose pattern matches the extension wins; calls no rule matches are
+// handed back to the dialplan. Each rule is an object:
+//   pattern     extension to match - a literal ('7001') or an Asterisk pattern starting with '_':
+//               X (0-9), Z (1-9), N (2-9), [1-5a] (any listed), . (one or more characters) and
+//               ! (zero or more characters), e.g. '_70XX' or '_9NXX.' - the wildcards only match digits,
+//               letters, * # and +, so a dialed extension can't add anything else to the dial target
+//   technology  'PJSIP' or 'SIP' (default 'SIP')
+//   target      dial target template (default '{extension}') - {extension} is the dialed extension,
+//               so the call is dialed at '<technology>/<target>', e.g. 'PJSIP/{extension}@trunk'
+//   record      whether the call is recorded (default true) - unrecorded calls are still dialed and
+//               bridged by the recorder, just without an external media channel or recording
+//   codec       external media codec for the call (ulaw, alaw, g722, slin or slin16), overriding
+//               EXTERNAL_MEDIA_CODEC
+//   timeout     seconds to let the dialed side ring before giving up (default 30)
+
+const Codecs = require('./codecs');
+
+const TECHNOLOGIES = ['PJSIP', 'SIP'];
+const TOKEN = /\{([A-Za-z]+)\}/g;
+const TARGET_TOKENS = ['extension'];
+const DEFAULT_TIMEOUT_SEC = 30;
+const WILDCARD_CHARACTER = '[0-9A-Za-z*#+]';
+
+// The routes the recorder always had - 7001 and 7002 dialed over chan_sip and recorded
+const DEFAULT_RULES = [
+  { pattern: '7001', technology: 'SIP', target: '{extension}', record: true },
+  { pattern: '7002', technology: 'SIP', target: '{extension}', record: true }
+];
+
+// Regular expression for an extension pattern - throws for an empty pattern or an unclosed [
+function compilePattern(pattern) {
+  if (typeof pattern !== 'string' || pattern === '' || pattern === '_') throw new Error(`Invalid pattern '${pattern}'`);
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\\-]/g, '\\$&');
+  if (!pattern.startsWith('_')) return new RegExp(`^${escape(pattern)}$`);
+
+  let source = '';
+  for (let i = 1; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === 'X' || char === 'x') source += '[0-9]';
+    else if (char === 'Z' || char === 'z') source += '[1-9]';
+    else if (char === 'N' || char === 'n') source += '[2-9]';
+    else if (char === '.') source += `${WILDCARD_CHARACTER}+`;
+    else if (char === '!') source += `${WILDCARD_CHARACTER}*`;
+    else if (char === '[') {
+      const close = pattern.indexOf(']', i);
+      if (close === -1 || close === i + 1) throw new Error(`Invalid pattern '${pattern}' (unclosed or empty [ ])`);
+      // Keep the ranges (1-5), escape anything else so the class can't turn into something else
+      source += `[${pattern.slice(i + 1, close).replace(/[\]\\^]/g, '\\$&')}]`;
+      i = close;
+    } else source += escape(char);
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// Check one rule and fill in its defaults - throws naming the rule's position in the table
+function parseRule(rule, index) {
+  const fail = (message) => { throw new Error(`Routing rule ${index + 1}: ${message}`); };
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) fail('expected an object');
+  const known = ['pattern', 'technology', 'target', 'record', 'codec', 'timeout'];
+  const unknown = Object.keys(rule).filter(key => !known.includes(key));
+  if (unknown.length) fail(`unknown field${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')}`);
+
+  let regex;
+  try {
+    regex = compilePattern(rule.pattern);
+  } catch (err) {
+    fail(err.message);
+  }
+  const technology = rule.technology === undefined ? 'SIP' : rule.technology;
+  if (!TECHNOLOGIES.includes(technology)) fail(`technology '${technology}' (expected ${TECHNOLOGIES.join(' or ')})`);
+  const target = rule.target === undefined ? '{extension}' : rule.target;
+  if (typeof target !== 'string' || target === '' || /[\s,&]/.test(target)) fail(`invalid target '${target}'`);
+  const unknownTokens = (target.match(TOKEN) || []).filter(token => !TARGET_TOKENS.includes(token.slice(1, -1)));
+  if (unknownTokens.length) fail(`unknown target token${unknownTokens.length > 1 ? 's' : ''} ${unknownTokens.join(', ')}`);
+  const record = rule.record === undefined ? true : rule.record;
+  if (typeof record !== 'boolean') fail(`record must be true or false`);
+  const codec = rule.codec === undefined || rule.codec === null ? null : rule.codec;
+  if (codec !== null && !Codecs.codecFromFormat(codec)) fail(`unsupported codec '${codec}' (expected ulaw, alaw, g722, slin or slin16)`);
+  const timeout = rule.timeout === undefined ? DEFAULT_TIMEOUT_SEC : rule.timeout;
+  if (!Number.isInteger(timeout) || timeout < 1 || timeout > 3600) fail(`timeout must be whole seconds (1-3600)`);
+
+  return { pattern: rule.pattern, regex: regex, technology: technology, target: target, record: record, codec: codec, timeout: timeout };
+}
+
+// RoutingRules class - the parsed table and the lookup of a dialed extension
+class RoutingRules {
+  // Constructor with the rule objects (DEFAULT_RULES if none are given) - throws for an invalid rule
+  constructor(rules) {
+    if (rules === undefined || rules === null) rules = DEFAULT_RULES;
+    if (!Array.isArray(rules) || rules.length === 0) throw new Error('Routing rules must be a non-empty array');
+    this.rules = rules.map(parseRule);
+  }
+
+  // Parse a JSON rule table (e.g. the contents of ROUTING_RULES_FILE) - throws for invalid JSON or rules
+  static parse(text) {
+    let rules;
+    try {
+      rules = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Routing rules are not valid JSON: ${err.message}`);
+    }
+    return new RoutingRules(rules);
+  }
+
+  // Route for a dialed extension - null if no rule matches (the call stays in the dialplan)
+  // { rule (1-based position), pattern, endpoint ('SIP/7001'), record, codec (null = default), timeout }
+  match(extension) {
+    const index = this.rules.findIndex(rule => rule.regex.test(extension));
+    if (index === -1) return null;
+    const rule = this.rules[index];
+    const target = rule.target.replace(TOKEN, (match, token) => token === 'extension' ? extension : match);
+    return {
+      rule: index + 1,
+      pattern: rule.pattern,
+      endpoint: `${rule.technology}/${target}`,
+      record: rule.record,
+      codec: rule.codec,
+      timeout: rule.timeout
+    };
+  }
+
+  // Codecs the rules ask for (not counting the default) - for checks that depend on the codec
+  get codecs() {
+    return Array.from(new Set(this.rules.map(rule => rule.codec).filter(Boolean)));
+  }
+
+  // Table as configured - for logging and the health endpoint
+  describe() {
+    return this.rules.map(rule => ({
+      pattern: rule.pattern,
+      technology: rule.technology,
+      target: rule.target,
+      record: rule.record,
+      codec: rule.codec,
+      timeout: rule.timeout
+    }));
+  }
+}
+
+RoutingRules.DEFAULT_RULES = DEFAULT_RULES;
+RoutingRules.compilePattern = compilePattern;
+
+// Export the RoutingRules class for use in index.js
+module.exports = RoutingRules;
@@ -0,0 +1,262 @@
+// rtcp.js
+
+// RTCP (RFC 3550) support: parsing of the compound packets the sender (Asterisk) sends on the odd port next
+// to the RTP port, reception statistics computed from our own RTP receive path (loss and interarrival
+// jitter, RFC 3550 appendix A.1/A.3/A.8), and building the receiver reports we send back.
+
+// RTCP packet types
+const RTCP_SR = 200;
+const RTCP_RR = 201;
+const RTCP_SDES = 202;
+const RTCP_BYE = 203;
+const RTCP_APP = 204;
+
+// SDES item types
+const SDES_ITEMS = { 1: 'cname', 2: 'name', 3: 'email', 4: 'phone', 5: 'loc', 6: 'tool', 7: 'note' };
+
+// Read one report block (24 bytes) at `offset`
+function parseReportBlock(buf, offset) {
+  let cumulativeLost = buf.readUIntBE(offset + 5, 3);
+  if (cumulativeLost & 0x800000) cumulativeLost -= 0x1000000; // 24-bit signed
+  return {
+    ssrc: buf.readUInt32BE(offset),
+    fractionLost: buf[offset + 4] / 256,
+    cumulativeLost: cumulativeLost,
+    highestSeq: buf.readUInt32BE(offset + 8),
+    jitter: buf.readUInt32BE(offset + 12),
+    lsr: buf.readUInt32BE(offset + 16),
+    dlsr: buf.readUInt32BE(offset + 20)
+  };
+}
+
+// Parse a compound RTCP packet into its individual packets
+// Throws on anything that isn't valid RTCP (wrong version, length running past the datagram)
+function parseCompound(buf) {
+  const packets = [];
+  let offset = 0;
+  while (offset + 4 <= buf.length) {
+    const version = buf[offset] >> 6;
+    const padding = (buf[offset] >> 5) & 0x1;
+    const count = buf[offset] & 0x1F;
+    const packetType = buf[offset + 1];
+    const length = (buf.readUInt16BE(offset + 2) + 1) * 4;
+    if (version !== 2) throw new Error(`Invalid RTCP version ${version}`);
+    if (offset + length > buf.length) throw new Error(`RTCP length ${length} exceeds datagram (${buf.length - offset} bytes left)`);
+
+    let end = offset + length;
+    if (padding && offset + length === buf.length) {
+      end -= buf[buf.length - 1];
+    }
+    const body = offset + 4;
+
+    switch (packetType) {
+      case RTCP_SR: {
+        const packet = {
+          type: 'SR',
+          ssrc: buf.readUInt32BE(body),
+          ntpMsw: buf.readUInt32BE(body + 4),
+          ntpLsw: buf.readUInt32BE(body + 8),
+          rtpTimestamp: buf.readUInt32BE(body + 12),
+          packetCount: buf.readUInt32BE(body + 16),
+          octetCount: buf.readUInt32BE(body + 20),
+          reports: []
+        };
+        for (let i = 0; i < count && body + 24 + (i + 1) * 24 <= end; i++) {
+          packet.reports.push(parseReportBlock(buf, body + 24 + i * 24));
+        }
+        packets.push(packet);
+        break;
+      }
+      case RTCP_RR: {
+        const packet = { type: 'RR', ssrc: buf.readUInt32BE(body), reports: [] };
+        for (let i = 0; i < count && body + 4 + (i + 1) * 24 <= end; i++) {
+          packet.reports.push(parseReportBlock(buf, body + 4 + i * 24));
+        }
+        packets.push(packet);
+        break;
+      }
+      case RTCP_SDES: {
+        const packet = { type: 'SDES', chunks: [] };
+        let pos = body;
+        for (let i = 0; i < count && pos + 4 <= end; i++) {
+          const chunk = { ssrc: buf.readUInt32BE(pos), items: {} };
+          pos += 4;
+          while (pos < end && buf[pos] !== 0) {
+            const itemType = buf[pos];
+            const itemLength = buf[pos + 1];
+            const text = buf.toString('utf8', pos + 2, Math.min(pos + 2 + itemLength, end));
+            chunk.items[SDES_ITEMS[itemType] || `item${itemType}`] = text;
+            pos += 2 + itemLength;
+          }
+          pos = (pos + 4) & ~3; // Skip the terminating null and pad to the next 32-bit boundary
+          packet.chunks.push(chunk);
+        }
+        packets.push(packet);
+        break;
+      }
+      case RTCP_BYE: {
+        const packet = { type: 'BYE', ssrcs: [], reason: null };
+        for (let i = 0; i < count && body + (i + 1) * 4 <= end; i++) {
+          packet.ssrcs.push(buf.readUInt32BE(body + i * 4));
+        }
+        const reasonOffset = body + count * 4;
+        if (reasonOffset < end) {
+          const reasonLength = buf[reasonOffset];
+          packet.reason = buf.toString('utf8', reasonOffset + 1, Math.min(reasonOffset + 1 + reasonLength, end));
+        }
+        packets.push(packet);
+        break;
+      }
+      case RTCP_APP:
+      default:
+        packets.push({ type: packetType === RTCP_APP ? 'APP' : `PT${packetType}` });
+        break;
+    }
+    offset += length;
+  }
+  return packets;
+}
+
+// ReceptionStats class tracking one incoming RTP stream (RFC 3550 appendix A.1, A.3 and A.8)
+class ReceptionStats {
+  constructor(ssrc, clockRate = 8000) {
+    this.ssrc = ssrc >>> 0;
+    this.clockRate = clockRate;
+    this.baseSeq = null;       // First sequence number seen
+    this.maxSeq = 0;           // Highest sequence number seen
+    this.cycles = 0;           // Sequence number wraparounds (shifted by 16 bits)
+    this.badSeq = null;        // Candidate for a restart after a large jump
+    this.received = 0;         // Packets received
+    this.expectedPrior = 0;    // Expected count at the last report (for fraction lost)
+    this.receivedPrior = 0;    // Received count at the last report
+    this.jitter = 0;           // Interarrival jitter estimate in timestamp units
+    this.lastTransit = null;   // Relative transit time of the previous packet
+    this.lastSR = null;        // { lsr, arrivalMs } of the sender's last SR
+  }
+
+  // Record an arriving packet - `arrivalMs` is the wall-clock arrival time
+  update(seq, timestamp, arrivalMs) {
+    const MAX_DROPOUT = 3000;
+    const MAX_MISORDER = 100;
+
+    if (this.baseSeq === null) {
+      this.baseSeq = seq;
+      this.maxSeq = seq;
+    } else {
+      const udelta = (seq - this.maxSeq) & 0xFFFF;
+      if (udelta < MAX_DROPOUT) {
+        // In order, with permissible gap
+        if (seq < this.maxSeq) this.cycles += 0x10000;
+        this.maxSeq = seq;
+      } else if (udelta <= 0x10000 - MAX_MISORDER) {
+        // Very large jump - accept it as a restart only if the next packet follows on
+        if (seq === this.badSeq) {
+          this.baseSeq = seq;
+          this.maxSeq = seq;
+          this.cycles = 0;
+          this.received = 0;
+          this.expectedPrior = 0;
+          this.receivedPrior = 0;
+        } else {
+          this.badSeq = (seq + 1) & 0xFFFF;
+          return;
+        }
+      }
+      // Otherwise a duplicate or reordered packet - counted, sequence state unchanged
+    }
+    this.received++;
+
+    // Interarrival jitter: J += (|D| - J) / 16, with transit times in timestamp units
+    const arrival = arrivalMs * this.clockRate / 1000;
+    const transit = arrival - (timestamp >>> 0);
+    if (this.lastTransit !== null) {
+      let d = Math.abs(transit - this.lastTransit);
+      if (d > 0x7FFFFFFF) d = 0; // Timestamp wrapped - skip this sample
+      this.jitter += (d - this.jitter) / 16;
+    }
+    this.lastTransit = transit;
+  }
+
+  // Extended highest sequence number received
+  get extendedMaxSeq() {
+    return this.cycles + this.maxSeq;
+  }
+
+  // Packets expected from the sequence number range
+  get expected() {
+    return this.baseSeq === null ? 0 : this.extendedMaxSeq - this.baseSeq + 1;
+  }
+
+  // Cumulative packets lost (negative when duplicates outnumber losses)
+  get lost() {
+    return this.expected - this.received;
+  }
+
+  // Summary in human units
+  summary() {
+    const expected = this.expected;
+    return {
+      ssrc: this.ssrc,
+      received: this.received,
+      expected: expected,
+      lost: this.lost,
+      lossPercent: expected > 0 ? Math.max(0, this.lost) * 100 / expected : 0,
+      jitterMs: this.jitter * 1000 / this.clockRate
+    };
+  }
+
+  // Build the 24-byte report block for this stream and start a new reporting interval
+  reportBlock(nowMs) {
+    const expected = this.expected;
+    const expectedInterval = expected - this.expectedPrior;
+    const receivedInterval = this.received - this.receivedPrior;
+    const lostInterval = expectedInterval - receivedInterval;
+    this.expectedPrior = expected;
+    this.receivedPrior = this.received;
+    const fraction = (expectedInterval === 0 || lostInterval <= 0) ? 0 : Math.min(255, Math.floor((lostInterval << 8) / expectedInterval));
+
+    const lost = Math.max(-0x800000, Math.min(0x7FFFFF, this.lost));
+    const block = Buffer.alloc(24);
+    block.writeUInt32BE(this.ssrc, 0);
+    block[4] = fraction;
+    block.writeUIntBE(lost & 0xFFFFFF, 5, 3);
+    block.writeUInt32BE(this.extendedMaxSeq >>> 0, 8);
+    block.writeUInt32BE(Math.round(this.jitter) >>> 0, 12);
+    if (this.lastSR) {
+      // Delay since last SR in units of 1/65536 seconds
+      block.writeUInt32BE(this.lastSR.lsr, 16);
+      block.writeUInt32BE(Math.round((nowMs - this.lastSR.arrivalMs) * 65.536) >>> 0, 20);
+    }
+    return block;
+  }
+}
+
+// Build a compound RR + SDES(CNAME) packet reporting on the given streams
+function buildReceiverReport(ssrc, cname, streams, nowMs = Date.now()) {
+  const blocks = streams.slice(0, 31).map(s => s.reportBlock(nowMs));
+  const rr = Buffer.alloc(8 + blocks.length * 24);
+  rr[0] = 0x80 | blocks.length;
+  rr[1] = RTCP_RR;
+  rr.writeUInt16BE(rr.length / 4 - 1, 2);
+  rr.writeUInt32BE(ssrc >>> 0, 4);
+  blocks.forEach((block, i) => block.copy(rr, 8 + i * 24));
+
+  const cnameBytes = Buffer.from(cname, 'utf8').slice(0, 255);
+  const sdesLength = Math.ceil((4 + 4 + 2 + cnameBytes.length + 1) / 4) * 4;
+  const sdes = Buffer.alloc(sdesLength);
+  sdes[0] = 0x81;
+  sdes[1] = RTCP_SDES;
+  sdes.writeUInt16BE(sdesLength / 4 - 1, 2);
+  sdes.writeUInt32BE(ssrc >>> 0, 4);
+  sdes[8] = 1; // CNAME
+  sdes[9] = cnameBytes.length;
+  cnameBytes.copy(sdes, 10);
+
+  return Buffer.concat([rr, sdes]);
+}
+
+module.exports = {
+  ReceptionStats,
+  parseCompound,
+  buildReceiverReport
+};
@@ -0,0 +1,106 @@
+// rtpPacket.js
+
+// RTP (RFC 3550 section 5.1) fixed header:
+//  0                   1                   2                   3
+//  0 1 2 3 4 5 6 7 8 9 0 1 2 3 4 5 6 7 8 9 0 1 2 3 4 5 6 7 8 9 0 1
+// |V=2|P|X|  CC   |M|     PT      |       sequence number         |
+// |                           timestamp                           |
+// |           synchronization source (SSRC) identifier            |
+// |            contributing source (CSRC) identifiers             |  (CC x 32 bits)
+// |      defined by profile       |            length             |  (if X: header extension,
+// |                        header extension                       |   length x 32 bits)
+// |                payload ...                    | padding | count|  (if P: last byte = padding length)
+
+const FIXED_HEADER_LENGTH = 12;
+
+// RTPPacketParser class to split RTP packets into header fields and the bare payload.
+// CSRCs, the header extension and padding are stripped so only audio reaches the decoder; packets that
+// can't be valid RTP are rejected and counted by reason.
+class RTPPacketParser {
+  constructor() {
+    this.parsed = 0;                             // Packets parsed successfully
+    this.rejected = {};                          // Reason -> count of packets rejected
+  }
+
+  // Parse a packet - returns { packet } on success or { error } with the reject reason
+  static parse(buf) {
+    if (buf.length < FIXED_HEADER_LENGTH) return { error: 'too_short' };
+
+    const version = buf[0] >> 6;
+    if (version !== 2) return { error: 'bad_version' };
+
+    const padding = (buf[0] & 0x20) !== 0;
+    const hasExtension = (buf[0] & 0x10) !== 0;
+    const csrcCount = buf[0] & 0x0F;
+
+    let offset = FIXED_HEADER_LENGTH + csrcCount * 4;
+    if (offset > buf.length) return { error: 'csrc_overrun' };
+    const csrcs = [];
+    for (let i = 0; i < csrcCount; i++) {
+      csrcs.push(buf.readUInt32BE(FIXED_HEADER_LENGTH + i * 4));
+    }
+
+    let extension = null;
+    if (hasExtension) {
+      if (offset + 4 > buf.length) return { error: 'extension_overrun' };
+      const profile = buf.readUInt16BE(offset);
+      const length = buf.readUInt16BE(offset + 2) * 4;
+      if (offset + 4 + length > buf.length) return { error: 'extension_overrun' };
+      extension = { profile: profile, data: buf.slice(offset + 4, offset + 4 + length) };
+      offset += 4 + length;
+    }
+
+    let end = buf.length;
+    let paddingLength = 0;
+    if (padding) {
+      paddingLength = buf[buf.length - 1];
+      if (paddingLength === 0 || offset + paddingLength > buf.length) return { error: 'bad_padding' };
+      end -= paddingLength;
+    }
+
+    return {
+      packet: {
+        version: version,
+        padding: padding,
+        paddingLength: paddingLength,
+        marker: (buf[1] & 0x80) !== 0,
+        payloadType: buf[1] & 0x7F,
+        sequenceNumber: buf.readUInt16BE(2),
+        timestamp: buf.readUInt32BE(4),
+        ssrc: buf.readUInt32BE(8),
+        csrcs: csrcs,
+        extension: extension,
+        headerLength: offset,
+        payload: buf.slice(offset, end)
+      }
+    };
+  }
+
+  // Parse a packet and keep count - returns the packet or null if it was rejected
+  parse(buf) {
+    const result = RTPPacketParser.parse(buf);
+    if (result.error) {
+      this.rejected[result.error] = (this.rejected[result.error] || 0) + 1;
+      return null;
+    }
+    this.parsed++;
+    return result.packet;
+  }
+
+  // Total number of rejected packets
+  get rejectedCount() {
+    return Object.values(this.rejected).reduce((sum, n) => sum + n, 0);
+  }
+
+  // Summary for the session stats
+  summary() {
+    return {
+      parsed: this.parsed,
+      rejected: this.rejectedCount,
+      rejectedByReason: Object.assign({}, this.rejected)
+    };
+  }
+}
+
+// Export the RTPPacketParser class for use in index.js and rtpServer.js
+module.exports = RTPPacketParser;
@@ -4,6 +4,7 @@
 const dgram = require('dgram');  // Module for UDP socket communication (RTP)
 const fs = require('fs');        // Module for file system operations (writing WAV files)
 const wav = require('wav');     // Module for creating WAV files from PCM audio data
+const RTPPacketParser = require('./rtpPacket'); // RTP header parser (strips CSRCs, extension, padding)
 
 // RTPServer class to handle RTP audio recording and playback
 class RTPServer {
@@ -17,6 +18,7 @@ class RTPServer {
     this.packetCount = 0;                        // Counter for the number of RTP packets received
     this.logInterval = options.logInterval || 100; // Interval for logging packet summaries, defaults to every 100 packets
     this.lastRtpSource = null;                   // Stores the last RTP source address and port for playback
+    this.parser = new RTPPacketParser();         // Parses RTP headers and counts rejected packets by reason
   }
 
   // Convert a single μ-law sample to linear PCM (16-bit)
@@ -141,11 +143,12 @@ class RTPServer {
         console.log(`[${new Date().toISOString()}] INFO: ${this.packetCount} RTP packets received`); // Log packet count summary
       }
 
-      if (msg.length < 12) {                   // Check if packet is too short to have a valid RTP header
-        console.log(`[${new Date().toISOString()}] ERROR: Packet too short (${msg.length} bytes)`); // Log error for invalid packet
+      const packet = this.parser.parse(msg);   // Parse the header, stripping CSRCs, extension and padding
+      if (!packet) {                           // Check if the packet is malformed (too short, bad version, overruns)
+        console.log(`[${new Date().toISOString()}] ERROR: Invalid RTP packet (${msg.length} bytes), rejected so far: ${JSON.stringify(this.parser.rejected)}`); // Log error for invalid packet
         return;                                // Skip processing
       }
-      const muPayload = msg.slice(12);         // Extract μ-law payload by skipping 12-byte RTP header
+      const muPayload = packet.payload;        // μ-law payload without header, CSRCs, extension or padding
       const pcmBuffer = this.convertBuffer(muPayload); // Convert μ-law payload to PCM
       this.wavWriter.write(pcmBuffer);         // Write PCM data to the WAV file
     });
@@ -165,7 +168,7 @@ class RTPServer {
   // Stop the RTP server and close the WAV file, logging final packet count
   stop() {
     if (this.isRunning) {                      // Check if the server is running
-      console.log(`[${new Date().toISOString()}] INFO: Total RTP packets received: ${this.packetCount}`); // Log total packets received
+      console.log(`[${new Date().toISOString()}] INFO: Total RTP packets received: ${this.packetCount} (${this.parser.rejectedCount} rejected)`); // Log total packets received
       this.server.close(() => {                // Close the UDP socket
         console.log(`[${new Date().toISOString()}] INFO: RTP Server stopped on port ${this.port}`); // Log server stop
       });
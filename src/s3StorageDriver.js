@@ -0,0 +1,139 @@
+// s3StorageDriver.js
+
+const fs = require('fs-extra');
+const { S3Client, HeadObjectCommand, GetObjectCommand, DeleteObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { validateName } = require('./recordingNames');
+
+// Smallest part S3 accepts in a multipart upload (except the last one)
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+
+// S3StorageDriver class for recordings kept in an S3-compatible bucket (AWS S3, MinIO, ...).
+// Objects are stored as <prefix><filename>, where the file name may contain directories; uploads go through the SDK's managed upload, which splits
+// files larger than a part into a multipart upload. Each request is retried by the client, and
+// put() retries the whole upload with a backoff on top of that.
+class S3StorageDriver {
+  // Constructor with the bucket and connection settings
+  // Options: bucket, prefix, region, endpoint (e.g. http://minio:9000), forcePathStyle, accessKeyId,
+  //          secretAccessKey (default credential chain if not set), partSize (bytes), retries
+  constructor(options = {}) {
+    this.name = 's3';
+    this.bucket = options.bucket;
+    this.prefix = options.prefix || '';
+    this.partSize = Math.max(options.partSize || 8 * 1024 * 1024, MIN_PART_SIZE);
+    this.retries = options.retries === undefined ? 3 : options.retries;
+    this.endpoint = options.endpoint || null;
+
+    const clientOptions = {
+      region: options.region || 'us-east-1',
+      forcePathStyle: options.forcePathStyle === undefined ? Boolean(options.endpoint) : options.forcePathStyle,
+      maxAttempts: 3
+    };
+    if (options.endpoint) clientOptions.endpoint = options.endpoint;
+    if (options.accessKeyId && options.secretAccessKey) {
+      clientOptions.credentials = { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey };
+    }
+    this.client = new S3Client(clientOptions);
+  }
+
+  // Where files are kept, for logs and /health
+  describe() {
+    return `s3://${this.bucket}/${this.prefix}${this.endpoint ? ` (${this.endpoint})` : ''}`;
+  }
+
+  // Object key of a file
+  keyFor(filename) {
+    return `${this.prefix}${validateName(filename)}`;
+  }
+
+  // Upload a local file as `filename` with optional string metadata
+  async put(filename, localPath, metadata = {}) {
+    const { size } = await fs.stat(localPath);
+    let lastError = null;
+    for (let attempt = 1; attempt <= this.retries + 1; attempt++) {
+      try {
+        const upload = new Upload({
+          client: this.client,
+          params: {
+            Bucket: this.bucket,
+            Key: this.keyFor(filename),
+            Body: fs.createReadStream(localPath),
+            ContentType: contentType(filename),
+            Metadata: metadata
+          },
+          partSize: this.partSize,
+          queueSize: 2,
+          leavePartsOnError: false // Abort the multipart upload so failed attempts don't leave parts behind
+        });
+        await upload.done();
+        return { filename: filename, size: size, location: `s3://${this.bucket}/${this.keyFor(filename)}`, attempts: attempt };
+      } catch (err) {
+        lastError = err;
+        if (attempt <= this.retries) {
+          const delay = 1000 * Math.pow(2, attempt - 1);
+          console.warn(`Upload of ${filename} to ${this.describe()} failed (attempt ${attempt}/${this.retries + 1}): ${err.message || err} - retrying in ${delay}ms`);
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+    }
+    throw lastError;
+  }
+
+  // Size, modification time and metadata of an object - null if it doesn't exist
+  async head(filename) {
+    try {
+      const result = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: this.keyFor(filename) }));
+      return { filename: filename, size: result.ContentLength, lastModified: result.LastModified, metadata: result.Metadata || {} };
+    } catch (err) {
+      if (err.name === 'NotFound' || err.name === 'NoSuchKey' || (err.$metadata && err.$metadata.httpStatusCode === 404)) return null;
+      throw err;
+    }
+  }
+
+  // Every object under the prefix (keys that aren't valid recording names are skipped)
+  async list() {
+    const entries = [];
+    let token;
+    do {
+      const result = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: this.prefix || undefined,
+        ContinuationToken: token
+      }));
+      for (const object of result.Contents || []) {
+        const filename = object.Key.slice(this.prefix.length);
+        try {
+          validateName(filename);
+        } catch (err) {
+          continue;
+        }
+        entries.push({ filename: filename, size: object.Size, lastModified: object.LastModified, metadata: null });
+      }
+      token = result.IsTruncated ? result.NextContinuationToken : undefined;
+    } while (token);
+    return entries;
+  }
+
+  // Readable stream of an object's contents
+  async createReadStream(filename) {
+    const result = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: this.keyFor(filename) }));
+    return result.Body;
+  }
+
+  // Remove an object
+  async remove(filename) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this.keyFor(filename) }));
+  }
+}
+
+// Content type stored with uploaded objects
+function contentType(filename) {
+  if (filename.endsWith('.wav')) return 'audio/wav';
+  if (filename.endsWith('.mp3')) return 'audio/mpeg';
+  if (filename.endsWith('.flac')) return 'audio/flac';
+  if (filename.endsWith('.json')) return 'application/json';
+  return 'application/octet-stream';
+}
+
+// Export the S3StorageDriver class for use in recordingStorage.js
+module.exports = S3StorageDriver;
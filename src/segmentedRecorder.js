@@ -0,0 +1,191 @@
+// segmentedRecorder.js
+
+// Import required Node.js modules for streams and file handling
+const fs = require('fs-extra');
+const path = require('path');
+const { once } = require('events');
+const { Writable } = require('stream');
+const { finished } = require('stream/promises');
+
+// SegmentedRecorder class to split a session's recording into files of bounded duration or size.
+// It takes the mixed 16-bit PCM on `writeStream` like a single recording writer and hands it to one
+// writer per segment (<basePath>-part-N). Segments are cut on sample frame boundaries, so joining them
+// gives back every sample, and a manifest (<basePath>.manifest.json) lists them with their start offsets.
+// With no limits configured it writes a single <basePath> file and no manifest, as before.
+class SegmentedRecorder {
+  // Constructor with the base path, a factory for the per-segment writers and the segment limits
+  // Options: basePath, createWriter ((segmentBasePath) -> writer from recordingFormats.js), sampleRate,
+  //          outputSampleRate (rate of the segment files, if the writers resample), channels,
+  //          maxSegmentSeconds (0 = no limit), maxSegmentBytes (0 = no limit), onSegment
+  constructor(options) {
+    this.basePath = options.basePath;
+    this.createWriter = options.createWriter;
+    this.sampleRate = options.sampleRate || 8000;
+    this.outputSampleRate = options.outputSampleRate || this.sampleRate;
+    this.channels = options.channels || 1;
+    this.frameBytes = this.channels * 2;                   // One 16-bit sample per channel
+    this.maxSegmentSeconds = options.maxSegmentSeconds || 0;
+    this.maxSegmentBytes = options.maxSegmentBytes || 0;
+    this.onSegment = options.onSegment || null;             // Called with each segment once it is finished
+
+    this.segments = [];         // { index, writer, path, startFrame, frames, closed }
+    this.current = null;        // Segment being written
+    this.totalFrames = 0;
+    this.carry = Buffer.alloc(0);                           // Partial sample frame held for the next write
+    this.finishing = Promise.resolve();                     // Segment finalizes run one at a time, in order
+    this.complete = false;
+
+    this.writeStream = new Writable({
+      write: (chunk, encoding, callback) => {
+        this.writeChunk(chunk).then(() => callback(), callback);
+      },
+      final: (callback) => {
+        this.closeSegment(this.current).then(() => callback(), callback);
+      },
+      // Destroying the recorder (failed session) closes the open segment's file too
+      destroy: (err, callback) => {
+        if (!this.current.closed) this.current.writer.fileStream.destroy();
+        callback(err);
+      }
+    });
+    // The writeStream only emits 'finish' once the last segment's file is closed
+    this.fileStream = this.writeStream;
+
+    this.openSegment();
+  }
+
+  // Whether recordings are split at all
+  get rotating() {
+    return this.maxSegmentSeconds > 0 || this.maxSegmentBytes > 0;
+  }
+
+  // Output format of the segments
+  get format() {
+    return this.current.writer.format;
+  }
+
+  // File currently being written
+  get path() {
+    return this.current.path;
+  }
+
+  // Files of every segment so far
+  get paths() {
+    return this.segments.map(segment => segment.path);
+  }
+
+  // Manifest listing the segments (only written when rotating)
+  get manifestPath() {
+    return `${this.basePath}.manifest.json`;
+  }
+
+  // Open the next segment's writer
+  openSegment() {
+    const index = this.segments.length + 1;
+    const writer = this.createWriter(this.rotating ? `${this.basePath}-part-${index}` : this.basePath);
+    const fail = (err) => this.writeStream.destroy(err);
+    writer.writeStream.on('error', fail);
+    if (writer.fileStream !== writer.writeStream) writer.fileStream.on('error', fail);
+
+    this.current = { index: index, writer: writer, path: writer.path, startFrame: this.totalFrames, frames: 0, closed: false };
+    this.segments.push(this.current);
+  }
+
+  // Whether the current segment has reached a limit - only checked between writes, so a segment is
+  // never left empty
+  segmentFull() {
+    const segment = this.current;
+    if (segment.frames === 0) return false;
+    if (this.maxSegmentSeconds > 0 && segment.frames >= this.maxSegmentSeconds * this.sampleRate) return true;
+    if (this.maxSegmentBytes > 0) {
+      const { fileStream } = segment.writer;
+      return fileStream.bytesWritten + fileStream.writableLength >= this.maxSegmentBytes;
+    }
+    return false;
+  }
+
+  // Write PCM, rotating to a new segment wherever a limit falls
+  async writeChunk(chunk) {
+    let data = this.carry.length ? Buffer.concat([this.carry, chunk]) : chunk;
+    while (data.length >= this.frameBytes) {
+      if (this.segmentFull()) {
+        await this.closeSegment(this.current);
+        this.openSegment();
+      }
+      let frames = Math.floor(data.length / this.frameBytes);
+      if (this.maxSegmentSeconds > 0) {
+        frames = Math.min(frames, this.maxSegmentSeconds * this.sampleRate - this.current.frames);
+      }
+      const part = data.slice(0, frames * this.frameBytes);
+      data = data.slice(part.length);
+      this.current.frames += frames;
+      this.totalFrames += frames;
+      const stream = this.current.writer.writeStream;
+      if (!stream.write(part)) await once(stream, 'drain');
+    }
+    this.carry = Buffer.from(data);
+  }
+
+  // End a segment's writer, then finalize it in the background (FLAC header, MP3 encoding, ...)
+  async closeSegment(segment) {
+    if (segment.closed) return;
+    segment.closed = true;
+    const { writeStream, fileStream } = segment.writer;
+    const closed = once(fileStream, 'close');
+    writeStream.end();
+    await closed;
+
+    this.finishing = this.finishing.then(async () => {
+      try {
+        segment.path = await segment.writer.finalize();
+      } catch (err) {
+        console.error(`Error finalizing recording segment ${segment.path}:`, err.message || err);
+      }
+      if (this.rotating) await this.writeManifest();
+      if (this.onSegment) this.onSegment(this.describeSegment(segment));
+    });
+  }
+
+  // Manifest entry for a segment
+  describeSegment(segment) {
+    return {
+      index: segment.index,
+      filename: path.basename(segment.path),
+      startSample: Math.round(segment.startFrame * this.outputSampleRate / this.sampleRate),
+      startOffsetSec: segment.startFrame / this.sampleRate,
+      durationSec: segment.frames / this.sampleRate
+    };
+  }
+
+  // Write the manifest - rewritten after every segment, so it also survives a crash mid-call
+  async writeManifest() {
+    const manifest = {
+      recording: path.basename(this.basePath),
+      format: this.format.name,
+      sampleRate: this.outputSampleRate,
+      channels: this.channels,
+      complete: this.complete,
+      maxSegmentSeconds: this.maxSegmentSeconds || null,
+      maxSegmentBytes: this.maxSegmentBytes || null,
+      durationSec: this.totalFrames / this.sampleRate,
+      segments: this.segments.map(segment => this.describeSegment(segment))
+    };
+    const partPath = `${this.manifestPath}.part`;
+    await fs.writeJson(partPath, manifest, { spaces: 2 });
+    await fs.move(partPath, this.manifestPath, { overwrite: true });
+  }
+
+  // Wait for every segment to be finalized once writeStream has been ended - resolves with the manifest
+  // path when rotating, otherwise the path of the single recording file
+  async finalize() {
+    if (!this.writeStream.writableFinished) await finished(this.writeStream);
+    await this.finishing;
+    if (!this.rotating) return this.current.path;
+    this.complete = true;
+    await this.writeManifest();
+    return this.manifestPath;
+  }
+}
+
+// Export the SegmentedRecorder class for use in index.js
+module.exports = SegmentedRecorder;
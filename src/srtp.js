@@ -0,0 +1,224 @@
+// srtp.js
+
+// SRTP/SRTCP (RFC 3711) receive-side support for the AES_CM_128_HMAC_SHA1_80 and AES_CM_128_HMAC_SHA1_32
+// crypto suites (RFC 4568). Session keys are derived from a 30-byte master key + salt (the SDES "inline:"
+// value), payloads are decrypted with AES in counter mode and authenticated with a truncated HMAC-SHA1.
+// Key derivation rate is 0 (keys are derived once) and no MKI is used, matching Asterisk's defaults.
+
+// Import required Node.js modules for AES and HMAC
+const crypto = require('crypto');
+
+// Crypto suites - tagLength applies to SRTP only, SRTCP always uses the 80-bit tag
+const PROFILES = {
+  AES_CM_128_HMAC_SHA1_80: { tagLength: 10 },
+  AES_CM_128_HMAC_SHA1_32: { tagLength: 4 }
+};
+
+const MASTER_KEY_LENGTH = 16;
+const MASTER_SALT_LENGTH = 14;
+const SRTCP_TAG_LENGTH = 10;
+
+// Key derivation labels (RFC 3711 section 4.3.2)
+const LABEL_RTP_ENCRYPTION = 0;
+const LABEL_RTP_AUTH = 1;
+const LABEL_RTP_SALT = 2;
+const LABEL_RTCP_ENCRYPTION = 3;
+const LABEL_RTCP_AUTH = 4;
+const LABEL_RTCP_SALT = 5;
+
+// AES-CM keystream applied to `data` (encryption and decryption are the same operation)
+function aesCounterMode(key, iv, data) {
+  const cipher = crypto.createCipheriv('aes-128-ctr', key, iv);
+  return Buffer.concat([cipher.update(data), cipher.final()]);
+}
+
+// Derive one session key from the master key and salt (AES-CM PRF, key derivation rate 0)
+function deriveKey(masterKey, masterSalt, label, length) {
+  const iv = Buffer.alloc(16);
+  masterSalt.copy(iv, 0);
+  iv[7] ^= label;
+  return aesCounterMode(masterKey, iv, Buffer.alloc(length));
+}
+
+// Packet IV: (salt * 2^16) XOR (SSRC * 2^64) XOR (index * 2^16)
+function packetIV(salt, ssrc, index) {
+  const iv = Buffer.alloc(16);
+  salt.copy(iv, 0);
+  iv.writeUInt32BE((iv.readUInt32BE(4) ^ ssrc) >>> 0, 4);
+  const high = Math.floor(index / 0x100000000);
+  iv.writeUInt16BE(iv.readUInt16BE(8) ^ (high & 0xFFFF), 8);
+  iv.writeUInt32BE((iv.readUInt32BE(10) ^ (index >>> 0)) >>> 0, 10);
+  return iv;
+}
+
+// Length of the RTP header including CSRCs and the header extension - null if the packet is too short
+function rtpHeaderLength(packet) {
+  let length = 12 + (packet[0] & 0x0F) * 4;
+  if (packet[0] & 0x10) {
+    if (packet.length < length + 4) return null;
+    length += 4 + packet.readUInt16BE(length + 2) * 4;
+  }
+  return length <= packet.length ? length : null;
+}
+
+// Parse an SDES crypto key ("inline:<base64>[|lifetime][|MKI:length]" or bare base64) into key and salt
+function parseKey(value) {
+  const match = /^(?:inline:)?([A-Za-z0-9+/=]+)/.exec(String(value).trim());
+  const keySalt = match ? Buffer.from(match[1], 'base64') : Buffer.alloc(0);
+  if (keySalt.length !== MASTER_KEY_LENGTH + MASTER_SALT_LENGTH) {
+    throw new Error(`SRTP master key must be ${MASTER_KEY_LENGTH + MASTER_SALT_LENGTH} bytes of base64 (got ${keySalt.length})`);
+  }
+  return { masterKey: keySalt.slice(0, MASTER_KEY_LENGTH), masterSalt: keySalt.slice(MASTER_KEY_LENGTH) };
+}
+
+// SRTPContext class holding the derived keys of one session and the rollover counter of each incoming SSRC.
+// unprotect()/unprotectRTCP() return the cleartext packet, or null with the reason counted in `rejected`.
+class SRTPContext {
+  // Constructor with the crypto suite and the base64 master key + salt
+  constructor(options = {}) {
+    this.profile = options.profile || 'AES_CM_128_HMAC_SHA1_80';
+    if (!PROFILES[this.profile]) {
+      throw new Error(`Unsupported SRTP profile '${this.profile}' (expected ${Object.keys(PROFILES).join(' or ')})`);
+    }
+    this.key = options.key; // Kept so a per-session key can be handed over with the externalMedia channel
+    const { masterKey, masterSalt } = parseKey(options.key);
+    this.tagLength = PROFILES[this.profile].tagLength;
+
+    this.rtpKeys = {
+      encryption: deriveKey(masterKey, masterSalt, LABEL_RTP_ENCRYPTION, 16),
+      auth: deriveKey(masterKey, masterSalt, LABEL_RTP_AUTH, 20),
+      salt: deriveKey(masterKey, masterSalt, LABEL_RTP_SALT, 14)
+    };
+    this.rtcpKeys = {
+      encryption: deriveKey(masterKey, masterSalt, LABEL_RTCP_ENCRYPTION, 16),
+      auth: deriveKey(masterKey, masterSalt, LABEL_RTCP_AUTH, 20),
+      salt: deriveKey(masterKey, masterSalt, LABEL_RTCP_SALT, 14)
+    };
+
+    this.streams = new Map();      // SSRC -> { roc, highestSeq } for incoming SRTP
+    this.rtcpIndex = 0;            // SRTCP index of the packets we send
+    this.decrypted = 0;            // Packets successfully unprotected (SRTP + SRTCP)
+    this.rejected = {};            // Reason -> count of packets dropped
+  }
+
+  // Generate a random master key + salt for a session (base64, as used in SDES "inline:")
+  static generateKey() {
+    return crypto.randomBytes(MASTER_KEY_LENGTH + MASTER_SALT_LENGTH).toString('base64');
+  }
+
+  // SDES crypto attribute value for this context ("AES_CM_128_HMAC_SHA1_80 inline:...")
+  get cryptoAttribute() {
+    return `${this.profile} inline:${this.key}`;
+  }
+
+  // Total number of rejected packets
+  get rejectedCount() {
+    return Object.values(this.rejected).reduce((sum, n) => sum + n, 0);
+  }
+
+  // Count a rejected packet and return null
+  reject(reason) {
+    this.rejected[reason] = (this.rejected[reason] || 0) + 1;
+    return null;
+  }
+
+  // Truncated HMAC-SHA1 over the authenticated portion of a packet
+  static authTag(authKey, parts, length) {
+    const hmac = crypto.createHmac('sha1', authKey);
+    for (const part of parts) hmac.update(part);
+    return hmac.digest().slice(0, length);
+  }
+
+  // Guess the rollover counter of an incoming packet from the highest sequence number seen (RFC 3711 appendix A)
+  static estimateRoc(stream, seq) {
+    if (!stream) return 0;
+    if (stream.highestSeq < 0x8000) {
+      return (seq - stream.highestSeq > 0x8000) ? stream.roc - 1 : stream.roc;
+    }
+    return (stream.highestSeq - 0x8000 > seq) ? stream.roc + 1 : stream.roc;
+  }
+
+  // Verify and decrypt an SRTP packet - returns the cleartext RTP packet or null
+  unprotect(packet) {
+    if (packet.length < 12 + this.tagLength || (packet[0] >> 6) !== 2) return this.reject('malformed');
+    const authenticated = packet.slice(0, packet.length - this.tagLength);
+    const headerLength = rtpHeaderLength(authenticated);
+    if (headerLength === null) return this.reject('malformed');
+
+    const seq = packet.readUInt16BE(2);
+    const ssrc = packet.readUInt32BE(8);
+    const stream = this.streams.get(ssrc);
+    const roc = SRTPContext.estimateRoc(stream, seq);
+    if (roc < 0) return this.reject('rollover');
+
+    const rocBytes = Buffer.alloc(4);
+    rocBytes.writeUInt32BE(roc >>> 0, 0);
+    const expected = SRTPContext.authTag(this.rtpKeys.auth, [authenticated, rocBytes], this.tagLength);
+    if (!crypto.timingSafeEqual(expected, packet.slice(packet.length - this.tagLength))) {
+      return this.reject('auth');
+    }
+
+    // Only an authenticated packet may move the rollover counter forward
+    const index = roc * 0x10000 + seq;
+    if (!stream) {
+      this.streams.set(ssrc, { roc: roc, highestSeq: seq });
+    } else if (index > stream.roc * 0x10000 + stream.highestSeq) {
+      stream.roc = roc;
+      stream.highestSeq = seq;
+    }
+
+    const iv = packetIV(this.rtpKeys.salt, ssrc, index);
+    const payload = aesCounterMode(this.rtpKeys.encryption, iv, authenticated.slice(headerLength));
+    this.decrypted++;
+    return Buffer.concat([authenticated.slice(0, headerLength), payload]);
+  }
+
+  // Verify and decrypt an SRTCP compound packet - returns the cleartext RTCP or null
+  unprotectRTCP(packet) {
+    if (packet.length < 8 + 4 + SRTCP_TAG_LENGTH || (packet[0] >> 6) !== 2) return this.reject('malformed');
+    const authenticated = packet.slice(0, packet.length - SRTCP_TAG_LENGTH);
+    const expected = SRTPContext.authTag(this.rtcpKeys.auth, [authenticated], SRTCP_TAG_LENGTH);
+    if (!crypto.timingSafeEqual(expected, packet.slice(packet.length - SRTCP_TAG_LENGTH))) {
+      return this.reject('auth');
+    }
+
+    // E flag + 31-bit SRTCP index follow the (possibly encrypted) compound packet
+    const trailer = authenticated.readUInt32BE(authenticated.length - 4);
+    const encrypted = (trailer & 0x80000000) !== 0;
+    const index = trailer & 0x7FFFFFFF;
+    const rtcp = authenticated.slice(0, authenticated.length - 4);
+    this.decrypted++;
+    if (!encrypted) return rtcp;
+
+    const ssrc = rtcp.readUInt32BE(4);
+    const iv = packetIV(this.rtcpKeys.salt, ssrc, index);
+    return Buffer.concat([rtcp.slice(0, 8), aesCounterMode(this.rtcpKeys.encryption, iv, rtcp.slice(8))]);
+  }
+
+  // Encrypt and authenticate an outgoing RTCP compound packet (our receiver reports)
+  protectRTCP(packet) {
+    const index = this.rtcpIndex;
+    this.rtcpIndex = (this.rtcpIndex + 1) & 0x7FFFFFFF;
+    const ssrc = packet.readUInt32BE(4);
+    const iv = packetIV(this.rtcpKeys.salt, ssrc, index);
+    const trailer = Buffer.alloc(4);
+    trailer.writeUInt32BE((0x80000000 | index) >>> 0, 0);
+    const authenticated = Buffer.concat([packet.slice(0, 8), aesCounterMode(this.rtcpKeys.encryption, iv, packet.slice(8)), trailer]);
+    return Buffer.concat([authenticated, SRTPContext.authTag(this.rtcpKeys.auth, [authenticated], SRTCP_TAG_LENGTH)]);
+  }
+
+  // Summary for the session stats
+  summary() {
+    return {
+      profile: this.profile,
+      decrypted: this.decrypted,
+      rejected: this.rejectedCount,
+      rejectedByReason: Object.assign({}, this.rejected)
+    };
+  }
+}
+
+SRTPContext.PROFILES = PROFILES;
+
+// Export the SRTPContext class for use in index.js
+module.exports = SRTPContext;
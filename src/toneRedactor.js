@@ -0,0 +1,65 @@
+// toneRedactor.js
+
+// ToneRedactor class to silence detected in-band DTMF tones in the mixed recording. Tones are only
+// recognised some way into them (dtmfDetector.js needs two analysis blocks), and by then the mixer may
+// already have emitted their start - so the mixed PCM is held back for `delayMs` before it is passed on,
+// and any stretch of the timeline marked in the meantime is replaced with silence on its channel.
+class ToneRedactor {
+  // Constructor with the audio layout, the hold-back time and where the redacted PCM goes
+  // onData(pcm) returns false when downstream is full, like the mixer's callback
+  constructor(options = {}) {
+    this.sampleRate = options.sampleRate || 8000;
+    this.channels = options.channels || 1;
+    this.delayFrames = Math.round((options.delayMs || 150) * this.sampleRate / 1000);
+    this.onData = options.onData || (() => true);
+    this.frameBytes = this.channels * 2;
+    this.pending = Buffer.alloc(0);   // Held-back PCM, starting at timeline frame `position`
+    this.position = 0;
+    this.intervals = [];              // { start, end, channel (null = all), ended } in timeline frames, end exclusive
+  }
+
+  // Mark a stretch of the timeline to silence - the interval object may be extended later (a tone that
+  // goes on) until its `ended` is set, as long as the frames it gains are still held back
+  redact(interval) {
+    this.intervals.push(interval);
+  }
+
+  // Take the next stretch of mixed PCM and pass on what is older than the hold-back time
+  write(pcm) {
+    this.pending = this.pending.length ? Buffer.concat([this.pending, pcm]) : pcm;
+    const frames = Math.floor(this.pending.length / this.frameBytes) - this.delayFrames;
+    return frames > 0 ? this.emit(frames) : true;
+  }
+
+  // Pass on everything still held back (end of the call)
+  flush() {
+    const frames = Math.floor(this.pending.length / this.frameBytes);
+    return frames > 0 ? this.emit(frames) : true;
+  }
+
+  emit(frames) {
+    const first = this.position;
+    const last = first + frames;
+    const out = Buffer.from(this.pending.subarray(0, frames * this.frameBytes));
+    this.pending = this.pending.subarray(frames * this.frameBytes);
+    this.position = last;
+
+    for (const interval of this.intervals) {
+      const from = Math.max(interval.start, first);
+      const to = Math.min(interval.end, last);
+      for (let frame = from; frame < to; frame++) {
+        for (let channel = 0; channel < this.channels; channel++) {
+          if (interval.channel === null || interval.channel === channel) {
+            out.writeInt16LE(0, ((frame - first) * this.channels + channel) * 2);
+          }
+        }
+      }
+    }
+    // Finished intervals wholly in the past can't affect anything any more
+    this.intervals = this.intervals.filter(interval => !interval.ended || interval.end > last);
+    return this.onData(out);
+  }
+}
+
+// Export the ToneRedactor class for use in index.js
+module.exports = ToneRedactor;
@@ -0,0 +1,154 @@
+// wavFile.js
+
+// Helpers for reading back the RIFF/WAVE files written by the recorder. Recordings are written as a stream,
+// so the size fields in the header stay at the writer's placeholder until the file is finalised - the
+// data length reported here is clamped to what is actually on disk, and syncWavHeader() rewrites the sizes
+// so the file plays even if the process died before the writer could finish it.
+
+const fs = require('fs-extra');
+
+// Bytes read from the start of the file to find the fmt and data chunks
+const HEADER_PROBE_BYTES = 4096;
+
+// WAVE format tags
+const WAVE_FORMAT_PCM = 0x0001;
+const WAVE_FORMAT_ALAW = 0x0006;
+const WAVE_FORMAT_MULAW = 0x0007;
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+
+// Parse the header of a WAV file from a buffer holding its first bytes and the file size
+// Returns null if the buffer doesn't start with a RIFF/WAVE header containing fmt and data chunks
+function parseWavHeader(buf, fileSize) {
+  if (buf.length < 12 || buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WAVE') {
+    return null;
+  }
+  let fmt = null;
+  let offset = 12;
+  while (offset + 8 <= buf.length) {
+    const id = buf.toString('ascii', offset, offset + 4);
+    const size = buf.readUInt32LE(offset + 4);
+    const body = offset + 8;
+    if (id === 'fmt ' && body + 16 <= buf.length) {
+      fmt = {
+        audioFormat: buf.readUInt16LE(body),
+        channels: buf.readUInt16LE(body + 2),
+        sampleRate: buf.readUInt32LE(body + 4),
+        byteRate: buf.readUInt32LE(body + 8),
+        blockAlign: buf.readUInt16LE(body + 12),
+        bitDepth: buf.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data' && fmt) {
+      const available = Math.max(0, fileSize - body);
+      const dataLength = Math.min(size, available);
+      return Object.assign(fmt, {
+        riffSize: buf.readUInt32LE(4),
+        headerLength: body,
+        dataOffset: body,
+        declaredDataLength: size,
+        dataLength: dataLength - (dataLength % (fmt.blockAlign || 1)),
+        durationSec: fmt.byteRate > 0 ? dataLength / fmt.byteRate : 0
+      });
+    }
+    offset = body + size + (size & 1); // Chunks are padded to an even size
+  }
+  return null;
+}
+
+// RIFF and data chunk sizes for a WAV whose data chunk runs to the end of the file
+// (the recorder always writes the data chunk last). A trailing partial sample frame is left out.
+function expectedSizes(header, fileSize) {
+  const available = Math.max(0, fileSize - header.dataOffset);
+  const dataLength = available - (available % (header.blockAlign || 1));
+  return { riffSize: header.dataOffset - 8 + dataLength, dataLength: dataLength };
+}
+
+// Rewrite the RIFF and data chunk sizes of a WAV file from its size on disk
+// Resolves with { updated, previousDataLength, dataLength, durationSec } - updated is false if the header
+// already matched - or null if the file doesn't (yet) hold a WAV header
+async function syncWavHeader(filePath) {
+  const fd = await fs.open(filePath, 'r+');
+  try {
+    const { size } = await fs.fstat(fd);
+    const buf = Buffer.alloc(Math.min(HEADER_PROBE_BYTES, size));
+    await fs.read(fd, buf, 0, buf.length, 0);
+    const header = parseWavHeader(buf, size);
+    if (!header) return null;
+
+    const expected = expectedSizes(header, size);
+    const result = {
+      updated: false,
+      previousDataLength: header.declaredDataLength,
+      dataLength: expected.dataLength,
+      durationSec: header.byteRate > 0 ? expected.dataLength / header.byteRate : 0
+    };
+    if (header.riffSize === expected.riffSize && header.declaredDataLength === expected.dataLength) {
+      return result;
+    }
+    const field = Buffer.alloc(4);
+    field.writeUInt32LE(expected.riffSize, 0);
+    await fs.write(fd, field, 0, 4, 4);
+    field.writeUInt32LE(expected.dataLength, 0);
+    await fs.write(fd, field, 0, 4, header.dataOffset - 4);
+    result.updated = true;
+    return result;
+  } finally {
+    await fs.close(fd);
+  }
+}
+
+// Read the header of a WAV file on disk - resolves with the parsed header or null
+async function readWavHeader(filePath) {
+  const { size } = await fs.stat(filePath);
+  const fd = await fs.open(filePath, 'r');
+  try {
+    const buf = Buffer.alloc(Math.min(HEADER_PROBE_BYTES, size));
+    await fs.read(fd, buf, 0, buf.length, 0);
+    return parseWavHeader(buf, size);
+  } finally {
+    await fs.close(fd);
+  }
+}
+
+// 44-byte header of a WAV whose data length is known up front (no header rewrite needed afterwards)
+// Fields: audioFormat (default PCM), channels, sampleRate, bitDepth, dataLength
+function encodeWavHeader(fields) {
+  const blockAlign = fields.channels * fields.bitDepth / 8;
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + fields.dataLength, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(fields.audioFormat || WAVE_FORMAT_PCM, 20);
+  header.writeUInt16LE(fields.channels, 22);
+  header.writeUInt32LE(fields.sampleRate, 24);
+  header.writeUInt32LE(fields.sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(fields.bitDepth, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(fields.dataLength, 40);
+  return header;
+}
+
+// Sample data of a WAV file as a source - { header, read() } where read() returns a fresh stream of the
+// data chunk each time it is called (post-processing reads the audio more than once)
+async function openWavSource(filePath) {
+  const header = await readWavHeader(filePath);
+  if (!header) throw new Error(`${filePath} is not a WAV file`);
+  return {
+    header: header,
+    read: () => header.dataLength === 0 ? [] : fs.createReadStream(filePath, { start: header.dataOffset, end: header.dataOffset + header.dataLength - 1, highWaterMark: 64 * 1024 })
+  };
+}
+
+module.exports = {
+  WAVE_FORMAT_PCM,
+  WAVE_FORMAT_ALAW,
+  WAVE_FORMAT_MULAW,
+  WAVE_FORMAT_EXTENSIBLE,
+  parseWavHeader,
+  readWavHeader,
+  syncWavHeader,
+  encodeWavHeader,
+  openWavSource
+};
@@ -0,0 +1,47 @@
+// wavHeaderUpdater.js
+
+const { syncWavHeader } = require('./wavFile');
+
+// WavHeaderUpdater class to keep the RIFF/data sizes of a WAV that is still being written in step with
+// the data on disk. The wav writer only knows the sizes when the stream ends, so without this a crash
+// mid-call leaves a header claiming ~4 GB (or nothing) of audio.
+class WavHeaderUpdater {
+  // Constructor with the WAV path and how often to rewrite the header (0 = only on update() calls)
+  constructor(filePath, intervalMs = 5000) {
+    this.filePath = filePath;
+    this.intervalMs = intervalMs;
+    this.timer = null;
+    this.pending = Promise.resolve(null);     // Updates run one at a time
+  }
+
+  // Start rewriting the header on the interval
+  start() {
+    if (this.timer || !(this.intervalMs > 0)) return;
+    this.timer = setInterval(() => this.update(), this.intervalMs);
+    this.timer.unref(); // Never keep the process alive just for header updates
+  }
+
+  // Stop the interval
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Rewrite the header now - resolves with the syncWavHeader result (null if there was nothing to update)
+  update() {
+    this.pending = this.pending.then(() => syncWavHeader(this.filePath)).catch((err) => {
+      if (err.code === 'ENOENT') {
+        this.stop(); // File was removed (e.g. failed session) - nothing left to update
+      } else {
+        console.warn(`Failed to update WAV header of ${this.filePath}:`, err.message || err);
+      }
+      return null;
+    });
+    return this.pending;
+  }
+}
+
+// Export the WavHeaderUpdater class for use in recordingFormats.js
+module.exports = WavHeaderUpdater;
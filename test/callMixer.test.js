@@ -0,0 +1,107 @@
+// callMixer.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const CallMixer = require('../src/callMixer');
+
+const SAMPLE_RATE = 8000;
+const FRAME = 160; // 20 ms at 8 kHz
+const START = 1700000000000; // Wall-clock time the recordings start at
+
+// A 20 ms frame of a constant sample value (16-bit LE mono)
+function frame(value, samples = FRAME) {
+  const pcm = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) pcm.writeInt16LE(value, i * 2);
+  return pcm;
+}
+
+// Split the mixer's interleaved stereo output into left and right sample arrays
+function channels(output) {
+  const pcm = Buffer.concat(output);
+  const left = [];
+  const right = [];
+  for (let i = 0; i < pcm.length; i += 4) {
+    left.push(pcm.readInt16LE(i));
+    right.push(pcm.readInt16LE(i + 2));
+  }
+  return { left, right };
+}
+
+// Count samples of a channel in [from, to) that differ from `value`
+function mismatches(samples, from, to, value) {
+  let count = 0;
+  for (let i = from; i < to; i++) {
+    if (samples[i] !== value) count++;
+  }
+  return count;
+}
+
+test('one direction going quiet for several seconds keeps both sides in place', () => {
+  const output = [];
+  const mixer = new CallMixer({ channels: 2, sampleRate: SAMPLE_RATE, maxLagMs: 500, startTime: START, onData: (pcm) => output.push(pcm) });
+  mixer.addSource('caller');
+  mixer.addSource('callee');
+
+  // 10 s call, the callee sends nothing from 3 s to 6 s (silence suppression - its timestamps keep running)
+  const firstTimestamp = 4294960000; // Wraps past 2^32 during the call
+  for (let ms = 0; ms < 10000; ms += 20) {
+    const timestamp = (firstTimestamp + ms * 8) >>> 0;
+    mixer.write('caller', frame(1000), timestamp, SAMPLE_RATE, START + ms);
+    if (ms === 6000) {
+      // The jitter buffer fills the gap in front of the returning frame - the mixer has already padded it
+      mixer.write('callee', frame(0, 3000 * 8), (firstTimestamp + 3000 * 8) >>> 0, SAMPLE_RATE, START + ms);
+    }
+    if (ms < 3000 || ms >= 6000) {
+      mixer.write('callee', frame(2000), timestamp, SAMPLE_RATE, START + ms);
+    }
+  }
+  mixer.flush();
+
+  const { left, right } = channels(output);
+  assert.strictEqual(left.length, 10 * SAMPLE_RATE);
+  assert.strictEqual(mismatches(left, 0, left.length, 1000), 0);
+  assert.strictEqual(mismatches(right, 0, 3 * SAMPLE_RATE, 2000), 0);
+  assert.strictEqual(mismatches(right, 3 * SAMPLE_RATE, 6 * SAMPLE_RATE, 0), 0);
+  assert.strictEqual(mismatches(right, 6 * SAMPLE_RATE, 10 * SAMPLE_RATE, 2000), 0);
+});
+
+test('frames landing before the emitted part of the timeline are dropped', () => {
+  const output = [];
+  const mixer = new CallMixer({ channels: 2, sampleRate: SAMPLE_RATE, maxLagMs: 100, startTime: START, onData: (pcm) => output.push(pcm) });
+  mixer.addSource('caller');
+  mixer.addSource('callee');
+
+  // The callee's frames from 1 s to 1.5 s are held up and arrive in a burst at 1.6 s - by then the
+  // callee has been padded with silence past them
+  for (let ms = 0; ms < 2000; ms += 20) {
+    mixer.write('caller', frame(1000), ms * 8, SAMPLE_RATE, START + ms);
+    if (ms === 1600) {
+      for (let late = 1000; late < 1500; late += 20) {
+        mixer.write('callee', frame(2000), late * 8, SAMPLE_RATE, START + ms);
+      }
+    }
+    if (ms < 1000 || ms >= 1600) {
+      mixer.write('callee', frame(2000), ms * 8, SAMPLE_RATE, START + ms);
+    }
+  }
+  mixer.flush();
+
+  const { left, right } = channels(output);
+  assert.strictEqual(left.length, 2 * SAMPLE_RATE);
+  assert.strictEqual(mismatches(left, 0, left.length, 1000), 0);
+  assert.strictEqual(mismatches(right, 0, 1 * SAMPLE_RATE, 2000), 0);
+  assert.strictEqual(mismatches(right, 1 * SAMPLE_RATE, 1.6 * SAMPLE_RATE, 0), 0);
+  assert.strictEqual(mismatches(right, 1.6 * SAMPLE_RATE, 2 * SAMPLE_RATE, 2000), 0);
+});
+
+test('sources without timestamps follow on from their previous frame', () => {
+  const output = [];
+  const mixer = new CallMixer({ channels: 1, sampleRate: SAMPLE_RATE, startTime: START, onData: (pcm) => output.push(pcm) });
+  for (let ms = 0; ms < 1000; ms += 20) {
+    mixer.write('audiosocket', frame(500), null, SAMPLE_RATE, START);
+  }
+  mixer.flush();
+
+  const pcm = Buffer.concat(output);
+  assert.strictEqual(pcm.length / 2, SAMPLE_RATE);
+});
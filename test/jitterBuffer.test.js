@@ -0,0 +1,46 @@
+// jitterBuffer.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const JitterBuffer = require('../src/jitterBuffer');
+
+// A jitter buffer that records what it plays and the gaps it reports
+function recorder() {
+  const played = [];
+  const gaps = [];
+  const jitterBuffer = new JitterBuffer({
+    depth: 5,
+    onFrame: (packet) => played.push(packet.seq),
+    onGap: (ticks, timestamp) => gaps.push({ ticks, timestamp })
+  });
+  return { jitterBuffer, played, gaps };
+}
+
+test('telephone-event sequence numbers skipped in place do not stall playout', () => {
+  const { jitterBuffer, played, gaps } = recorder();
+  jitterBuffer.push(1, 0, 160, null);
+  jitterBuffer.push(2, 160, 160, null);
+  // Three event packets (seq 3-5) while the digit is held, then audio resumes
+  jitterBuffer.skip(3);
+  jitterBuffer.skip(4);
+  jitterBuffer.skip(5);
+  jitterBuffer.push(6, 800, 160, null);
+
+  assert.deepStrictEqual(played, [1, 2, 6]);
+  assert.deepStrictEqual(gaps, [{ ticks: 480, timestamp: 320 }]);
+  assert.strictEqual(jitterBuffer.stats.lost, 0);
+  assert.strictEqual(jitterBuffer.packets.size, 0);
+});
+
+test('a skipped sequence number ahead of a missing packet waits its turn', () => {
+  const { jitterBuffer, played } = recorder();
+  jitterBuffer.push(1, 0, 160, null);
+  jitterBuffer.skip(3);
+  jitterBuffer.push(4, 480, 160, null);
+  assert.deepStrictEqual(played, [1]);
+
+  // The reordered audio packet arrives - everything behind it plays out
+  jitterBuffer.push(2, 160, 160, null);
+  assert.deepStrictEqual(played, [1, 2, 4]);
+  assert.strictEqual(jitterBuffer.stats.lost, 0);
+});